@@ -0,0 +1,361 @@
+import { EventEmitter } from 'events';
+import { Socket, ManagerOptions, SocketOptions } from 'socket.io-client';
+
+export type Scope = 'stats:view' | 'stats:read' | 'stats:write' | 'stats:delete' | 'stats:import';
+export type AuthType = 'api_key' | 'viewer_token' | 'secret_key' | 'none';
+export type BattleResult = -1 | 0 | 1 | 2;
+
+export interface Player {
+    name?: string;
+    damage?: number;
+    kills?: number;
+    points?: number;
+    vehicle?: string;
+}
+
+export interface Battle {
+    startTime?: number;
+    duration?: number;
+    win?: BattleResult;
+    mapName?: string;
+    players?: Record<string, Player>;
+}
+
+export interface StatsPayload {
+    schemaVersion?: 1 | 2;
+    BattleStats?: Record<string, Battle>;
+    PlayerInfo?: Record<string, string>;
+}
+
+export interface StatsDelta {
+    BattleStats: Record<string, Partial<Battle>>;
+    PlayerInfo: Record<string, string>;
+    removed: string[];
+}
+
+export interface ChangeEntry {
+    type: 'statsUpdated' | 'statsImported' | 'statsRestored' | 'statsCleared' | 'battleDeleted' | 'trashRestored';
+    revision: number;
+    timestamp: number;
+    delta?: StatsDelta;
+    battleId?: string;
+    trashId?: string | null;
+    strategy?: ImportStrategy;
+    mode?: 'merge' | 'replace';
+    requiresReload?: boolean;
+}
+
+export interface Ack {
+    status: number;
+    success: true;
+    timestamp: string;
+}
+
+export interface ErrorResponse {
+    success: false;
+    timestamp: string;
+    version: string;
+    error: { code: string; message: string; details?: unknown };
+}
+
+export interface PlayerTotals {
+    name: string;
+    battles: number;
+    wins: number;
+    losses: number;
+    draws: number;
+    winRate: number;
+    totalDamage: number;
+    averageDamage: number;
+    totalKills: number;
+    averageKills: number;
+    totalPoints: number;
+    averagePoints: number;
+    firstBattleAt: number;
+    lastBattleAt: number;
+}
+
+export type ImportStrategy = 'overwrite' | 'skip-existing' | 'merge';
+
+export interface ImportSummary {
+    battles: Record<string, number>;
+    players: Record<string, number>;
+    playerInfo: Record<string, number>;
+}
+
+export interface ImportJob {
+    id: string;
+    key: string;
+    status: 'queued' | 'running' | 'done' | 'failed';
+    strategy: ImportStrategy;
+    dryRun: boolean;
+    totalBattles: number;
+    processedBattles: number;
+    progress: number;
+    summary: ImportSummary | null;
+    revision: number | null;
+    error: string | null;
+}
+
+export interface TrashEntry {
+    id: string;
+    key: string;
+    type: 'battle' | 'stats';
+    status: 'pending' | 'active';
+    battleId: string | null;
+    battleCount: number;
+    playerInfoCount: number;
+    deletedAt: string;
+    expiresAt: string;
+}
+
+export type SortField = 'startTime' | 'duration' | 'totalDamage';
+
+export interface BattleFilters {
+    mapName?: string;
+    win?: string;
+    from?: number | string;
+    to?: number | string;
+    minDuration?: number;
+    playerId?: string;
+    vehicle?: string;
+    sort?: SortField;
+    order?: 'asc' | 'desc';
+}
+
+export interface TargetOptions {
+    gameKey?: string;
+}
+
+export interface GetStatsOptions extends TargetOptions {
+    page?: number;
+    limit?: number;
+    cursor?: string;
+    filters?: BattleFilters;
+}
+
+export interface LeaderboardOptions extends TargetOptions {
+    metric?: 'damage' | 'kills' | 'points' | 'averageDamage' | 'winRate';
+    from?: number | string;
+    to?: number | string;
+    limit?: number;
+    minBattles?: number;
+}
+
+export interface ImportOptions extends TargetOptions {
+    strategy?: ImportStrategy;
+    dryRun?: boolean;
+}
+
+export interface QueuedUpdateAck extends Ack {
+    message: string;
+    queueSize: number;
+}
+
+export interface StatsAck extends Ack {
+    BattleStats: Record<string, Battle>;
+    PlayerInfo: Record<string, unknown>;
+    revision: number;
+    nextCursor?: string | null;
+    pagination?: Record<string, unknown>;
+}
+
+export interface PlayerSummaryAck extends Ack {
+    playerId: string;
+    found: boolean;
+    summary: PlayerTotals;
+}
+
+export interface LeaderboardAck extends Ack {
+    metric: string;
+    range: { from: number | null; to: number | null };
+    leaderboard: Array<PlayerTotals & { rank: number; playerId: string }>;
+}
+
+export interface SyncAck {
+    status: number;
+    success: true;
+    key: string;
+    revision: number;
+    fullReload: boolean;
+    changes: ChangeEntry[];
+    timestamp: string;
+}
+
+export interface ImportAck extends Ack {
+    message: string;
+    jobId: string;
+    job: ImportJob;
+}
+
+export interface ImportJobAck extends Ack {
+    job: ImportJob;
+}
+
+export interface TrashResultAck extends Ack {
+    message: string;
+    revision: number;
+    trash: TrashEntry | null;
+}
+
+export interface TrashListAck extends Ack {
+    key: string;
+    entries: TrashEntry[];
+}
+
+export interface TrashRestoreAck extends Ack {
+    message: string;
+    revision: number;
+    restored: { type: string; battleId: string | null; battles: number; playerInfo: number };
+}
+
+export interface DatabaseClearAck extends Ack {
+    confirmationRequired?: boolean;
+    confirmationToken?: string;
+    expiresAt?: string;
+    snapshot?: { bucket: string; fileId: string; filename: string; keys: number };
+}
+
+export interface SubscriptionAck extends Ack {
+    key: string;
+    subscriptions: string[];
+}
+
+export interface QueueStatusAck extends Ack {
+    queueSize: number;
+    pendingCount: number;
+    isPaused: boolean;
+    metrics: {
+        totalRequests: number;
+        successfulRequests: number;
+        failedRequests: number;
+        successRate: string;
+    };
+}
+
+export interface PongAck {
+    status: number;
+    success: true;
+    message: 'pong';
+    serverTime: number;
+    clientId: string;
+    authType: AuthType;
+}
+
+export interface ConnectedEvent {
+    socketId: string;
+    sessionId: string | null;
+    authType: AuthType;
+    serverTime: number;
+    message: string;
+}
+
+export interface StatsUpdatedEvent {
+    key: string;
+    revision: number;
+    delta: StatsDelta | null;
+    timestamp: number;
+}
+
+export interface StatsClearedEvent {
+    key: string;
+    revision: number;
+    timestamp: number;
+}
+
+export interface BattleDeletedEvent {
+    key: string;
+    battleId: string;
+    revision: number;
+    timestamp: number;
+}
+
+export interface UpdateErrorEvent {
+    key: string;
+    error: string;
+    timestamp: number;
+}
+
+export interface ImportJobEvent {
+    key: string;
+    jobId: string;
+    revision: number | null;
+    job: ImportJob;
+    error?: string;
+    timestamp: number;
+}
+
+export interface ResyncEvent {
+    key: string;
+    fromRevision: number;
+    revision: number;
+    fullReload: boolean;
+    changes: ChangeEntry[];
+}
+
+export interface ClientEvents {
+    connected: (event: ConnectedEvent) => void;
+    reconnected: (event: ConnectedEvent) => void;
+    disconnect: (reason: string) => void;
+    connect_error: (error: Error) => void;
+    statsUpdated: (event: StatsUpdatedEvent) => void;
+    statsCleared: (event: StatsClearedEvent) => void;
+    battleDeleted: (event: BattleDeletedEvent) => void;
+    updateError: (event: UpdateErrorEvent) => void;
+    importProgress: (event: ImportJobEvent) => void;
+    importCompleted: (event: ImportJobEvent) => void;
+    importError: (event: ImportJobEvent) => void;
+    databaseCleared: (event: { timestamp: number }) => void;
+    resync: (event: ResyncEvent) => void;
+    resyncError: (error: Error) => void;
+}
+
+export interface BattleStatsClientOptions {
+    apiKey?: string;
+    secretKey?: string;
+    viewerToken?: string;
+    playerId?: string;
+    gameKey?: string;
+    timeout?: number;
+    autoResync?: boolean;
+    socketOptions?: Partial<ManagerOptions & SocketOptions>;
+}
+
+export class BattleStatsError extends Error {
+    code: string;
+    details?: unknown;
+    response?: ErrorResponse;
+}
+
+export class BattleStatsClient extends EventEmitter {
+    constructor(url: string, options?: BattleStatsClientOptions);
+
+    readonly socket: Socket;
+    readonly session: ConnectedEvent | null;
+
+    on<E extends keyof ClientEvents>(event: E, listener: ClientEvents[E]): this;
+    once<E extends keyof ClientEvents>(event: E, listener: ClientEvents[E]): this;
+    off<E extends keyof ClientEvents>(event: E, listener: ClientEvents[E]): this;
+
+    connect(): Promise<ConnectedEvent>;
+    close(): void;
+    resync(gameKey?: string | null): Promise<SyncAck | null>;
+
+    updateStats(payload: StatsPayload, options?: TargetOptions): Promise<QueuedUpdateAck>;
+    getStats(options?: GetStatsOptions): Promise<StatsAck>;
+    getPlayerSummary(playerId: string, options?: TargetOptions): Promise<PlayerSummaryAck>;
+    getLeaderboard(options?: LeaderboardOptions): Promise<LeaderboardAck>;
+    syncSince(revision: number, options?: TargetOptions): Promise<SyncAck>;
+    importStats(payload: StatsPayload, options?: ImportOptions): Promise<ImportAck>;
+    getImportJob(jobId: string, options?: TargetOptions): Promise<ImportJobAck>;
+    waitForImport(jobId: string, options?: TargetOptions): Promise<ImportJob>;
+    clearStats(options?: TargetOptions): Promise<TrashResultAck>;
+    deleteBattle(battleId: string, options?: TargetOptions): Promise<TrashResultAck>;
+    getTrash(options?: TargetOptions): Promise<TrashListAck>;
+    restoreFromTrash(trashId: string, options?: TargetOptions): Promise<TrashRestoreAck>;
+    clearDatabase(confirmationToken?: string | null): Promise<DatabaseClearAck>;
+    subscribe(gameKey: string): Promise<SubscriptionAck>;
+    unsubscribe(gameKey: string): Promise<SubscriptionAck>;
+    getQueueStatus(): Promise<QueueStatusAck>;
+    ping(): Promise<PongAck>;
+}
\ No newline at end of file
@@ -0,0 +1,315 @@
+const { EventEmitter } = require('events');
+const { io } = require('socket.io-client');
+
+const STATS_EVENTS = ['statsUpdated', 'statsCleared', 'battleDeleted'];
+const FORWARDED_EVENTS = ['updateError', 'importProgress', 'importCompleted', 'importError', 'databaseCleared'];
+const OWN_KEY = null;
+
+const withoutUndefined = (source) => Object.fromEntries(
+    Object.entries(source).filter(([, value]) => value !== undefined && value !== null)
+);
+
+class BattleStatsError extends Error {
+    constructor(response) {
+        super(response?.error?.message || 'Помилка запиту');
+        this.name = 'BattleStatsError';
+        this.code = response?.error?.code || 'UNKNOWN_ERROR';
+        this.details = response?.error?.details;
+        this.response = response;
+    }
+}
+
+class BattleStatsClient extends EventEmitter {
+    constructor(url, options = {}) {
+        super();
+
+        const {
+            apiKey,
+            secretKey,
+            viewerToken,
+            playerId,
+            gameKey = null,
+            timeout = 10000,
+            autoResync = true,
+            socketOptions = {}
+        } = options;
+
+        this.secretKey = secretKey || null;
+        this.gameKey = gameKey;
+        this.timeout = timeout;
+        this.autoResync = autoResync;
+        this.session = null;
+        this.revisions = new Map();
+        this.subscriptions = new Set();
+        this.namespaces = new Map();
+        this.resyncs = new Map();
+
+        this.socket = io(url, {
+            transports: ['websocket'],
+            ...socketOptions,
+            autoConnect: false,
+            auth: withoutUndefined({ key: apiKey, secretKey, token: viewerToken, playerId })
+        });
+
+        this.socket.on('connected', (session) => this.handleConnected(session));
+        this.socket.on('connect_error', (error) => this.emit('connect_error', error));
+        this.socket.on('disconnect', (reason) => this.emit('disconnect', reason));
+        STATS_EVENTS.forEach(event => this.socket.on(event, (data) => this.handleStatsEvent(event, data)));
+        FORWARDED_EVENTS.forEach(event => this.socket.on(event, (data) => this.emit(event, data)));
+    }
+
+    connect() {
+        if (this.socket.connected && this.session) {
+            return Promise.resolve(this.session);
+        }
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                this.socket.off('connected', onConnected);
+                this.socket.off('connect_error', onError);
+            };
+            const onConnected = (session) => {
+                cleanup();
+                resolve(session);
+            };
+            const onError = (error) => {
+                cleanup();
+                reject(error);
+            };
+
+            this.socket.on('connected', onConnected);
+            this.socket.on('connect_error', onError);
+            this.socket.connect();
+        });
+    }
+
+    close() {
+        this.socket.close();
+        this.session = null;
+    }
+
+    handleConnected(session) {
+        const isReconnect = this.session !== null;
+        this.session = session;
+        this.emit('connected', session);
+
+        if (isReconnect) {
+            this.emit('reconnected', session);
+            this.restoreSession().catch(error => this.emit('resyncError', error));
+        }
+    }
+
+    async restoreSession() {
+        for (const gameKey of this.subscriptions) {
+            await this.request('subscribe', { gameKey });
+        }
+
+        if (this.autoResync) {
+            await Promise.all([...this.revisions.keys()].map(key => this.resync(key)));
+        }
+    }
+
+    trackingKey(options = {}) {
+        return this.secretKey ? options.gameKey ?? this.gameKey : OWN_KEY;
+    }
+
+    handleStatsEvent(event, data) {
+        const key = this.secretKey ? this.namespaces.get(data?.key) : OWN_KEY;
+        if (key === undefined) {
+            this.emit(event, data);
+            return;
+        }
+
+        const known = this.revisions.get(key);
+
+        if (known !== undefined && data.revision <= known) return;
+
+        if (this.autoResync && known !== undefined && (data.revision > known + 1 || this.resyncs.has(key))) {
+            this.resync(key).catch(error => this.emit('resyncError', error));
+            return;
+        }
+
+        this.revisions.set(key, data.revision);
+        this.emit(event, data);
+    }
+
+    resync(key = OWN_KEY) {
+        const previous = this.resyncs.get(key) || Promise.resolve();
+        const current = previous
+            .catch(() => {})
+            .then(() => this.runResync(key))
+            .finally(() => {
+                if (this.resyncs.get(key) === current) this.resyncs.delete(key);
+            });
+
+        this.resyncs.set(key, current);
+        return current;
+    }
+
+    async runResync(key) {
+        const revision = this.revisions.get(key);
+        if (revision === undefined) return null;
+
+        const result = await this.request('syncSince', this.withTarget({ revision }, { gameKey: key }));
+        this.revisions.set(key, result.revision);
+        if (this.secretKey) this.namespaces.set(result.key, key);
+
+        if (result.fullReload || result.changes.length > 0) {
+            this.emit('resync', {
+                key: result.key,
+                fromRevision: revision,
+                revision: result.revision,
+                fullReload: result.fullReload,
+                changes: result.changes
+            });
+        }
+
+        return result;
+    }
+
+    withTarget(data, options = {}) {
+        const gameKey = options.gameKey ?? this.gameKey;
+        return this.secretKey && gameKey ? { ...data, gameKey } : data;
+    }
+
+    async request(event, data) {
+        let response;
+
+        try {
+            response = data === undefined
+                ? await this.socket.timeout(this.timeout).emitWithAck(event)
+                : await this.socket.timeout(this.timeout).emitWithAck(event, data);
+        } catch (error) {
+            throw new BattleStatsError({
+                error: { code: 'REQUEST_TIMEOUT', message: `Сервер не відповів на ${event} за ${this.timeout} мс` }
+            });
+        }
+
+        if (!response || response.success === false) {
+            throw new BattleStatsError(response);
+        }
+
+        return response;
+    }
+
+    updateStats(payload, options = {}) {
+        return this.request('updateStats', this.withTarget({ body: payload }, options));
+    }
+
+    async getStats(options = {}) {
+        const { page, limit, cursor, filters } = options;
+        const result = await this.request('getStats', this.withTarget(withoutUndefined({ page, limit, cursor, filters }), options));
+        const key = this.trackingKey(options);
+
+        if (Number.isInteger(result.revision) && (key !== null || !this.secretKey)) {
+            this.revisions.set(key, result.revision);
+        }
+
+        return result;
+    }
+
+    getPlayerSummary(playerId, options = {}) {
+        return this.request('getPlayerSummary', this.withTarget({ playerId }, options));
+    }
+
+    getLeaderboard(options = {}) {
+        const { metric, from, to, limit, minBattles } = options;
+        return this.request('getLeaderboard', this.withTarget(withoutUndefined({ metric, from, to, limit, minBattles }), options));
+    }
+
+    syncSince(revision, options = {}) {
+        return this.request('syncSince', this.withTarget({ revision }, options));
+    }
+
+    importStats(payload, options = {}) {
+        const { strategy, dryRun } = options;
+        return this.request('importStats', this.withTarget(withoutUndefined({ body: payload, strategy, dryRun }), options));
+    }
+
+    getImportJob(jobId, options = {}) {
+        return this.request('getImportJob', this.withTarget({ jobId }, options));
+    }
+
+    waitForImport(jobId, options = {}) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                this.off('importCompleted', onCompleted);
+                this.off('importError', onFailed);
+            };
+            const onCompleted = (event) => {
+                if (event.jobId !== jobId) return;
+                cleanup();
+                resolve(event.job);
+            };
+            const onFailed = (event) => {
+                if (event.jobId !== jobId) return;
+                cleanup();
+                reject(new BattleStatsError({ error: { code: 'IMPORT_FAILED', message: event.error, details: event.job } }));
+            };
+
+            this.on('importCompleted', onCompleted);
+            this.on('importError', onFailed);
+
+            this.getImportJob(jobId, options)
+                .then(({ job }) => {
+                    if (job.status === 'done') onCompleted({ jobId, job });
+                    else if (job.status === 'failed') onFailed({ jobId, job, error: job.error });
+                })
+                .catch((error) => {
+                    cleanup();
+                    reject(error);
+                });
+        });
+    }
+
+    clearStats(options = {}) {
+        return this.request('clearStats', this.withTarget({}, options));
+    }
+
+    deleteBattle(battleId, options = {}) {
+        return this.request('deleteBattle', this.withTarget({ battleId }, options));
+    }
+
+    getTrash(options = {}) {
+        return this.request('getTrash', this.withTarget({}, options));
+    }
+
+    restoreFromTrash(trashId, options = {}) {
+        return this.request('restoreFromTrash', this.withTarget({ trashId }, options));
+    }
+
+    clearDatabase(confirmationToken = null) {
+        if (!this.secretKey) {
+            return Promise.reject(new BattleStatsError({
+                error: { code: 'SECRET_KEY_REQUIRED', message: 'Очищення бази даних потребує секретний ключ' }
+            }));
+        }
+
+        return this.request('clearDatabase', withoutUndefined({ secretKey: this.secretKey, confirmationToken }));
+    }
+
+    async subscribe(gameKey) {
+        const result = await this.request('subscribe', { gameKey });
+        this.subscriptions.add(gameKey);
+        this.namespaces.set(result.key, gameKey);
+        return result;
+    }
+
+    async unsubscribe(gameKey) {
+        const result = await this.request('unsubscribe', { gameKey });
+        this.subscriptions.delete(gameKey);
+        this.revisions.delete(gameKey);
+        this.namespaces.delete(result.key);
+        return result;
+    }
+
+    getQueueStatus() {
+        return this.request('getQueueStatus');
+    }
+
+    ping() {
+        return this.request('ping');
+    }
+}
+
+module.exports = { BattleStatsClient, BattleStatsError };
\ No newline at end of file
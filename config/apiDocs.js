@@ -0,0 +1,245 @@
+const Validators = require('../utils/validators');
+const ExportFormatter = require('../utils/exportFormatter');
+
+const query = (name, schema, description) => ({ name, in: 'query', required: false, schema, description });
+
+const BATTLE_QUERY = [
+    query('mapName', { type: 'string', maxLength: 100 }, 'Точна назва мапи без урахування регістру'),
+    query('win', { type: 'string' }, 'Результати через кому: win, loss, draw, unknown або -1, 0, 1, 2'),
+    query('from', { type: 'string' }, 'Початок діапазону (мс або ISO 8601)'),
+    query('to', { type: 'string' }, 'Кінець діапазону (мс або ISO 8601)'),
+    query('minDuration', { type: 'number', minimum: 0 }, 'Мінімальна тривалість бою в секундах'),
+    query('playerId', { type: 'string', maxLength: 100 }, 'Лише бої з участю гравця'),
+    query('vehicle', { type: 'string', maxLength: 100 }, 'Лише бої з технікою (разом з playerId — техніка цього гравця)'),
+    query('sort', { type: 'string', enum: Validators.battleSortFields, default: 'startTime' }),
+    query('order', { type: 'string', enum: ['asc', 'desc'], default: 'desc' })
+];
+
+const PAGINATION_QUERY = [
+    query('page', { type: 'integer', minimum: 1, default: 1 }),
+    query('limit', { type: 'integer', minimum: 0, default: 10 }, '0 повертає всі бої'),
+    query('cursor', { type: 'string' }, 'Курсор nextCursor з попередньої сторінки')
+];
+
+const API_DOCS = {
+    'post /update-stats': {
+        tag: 'Stats',
+        summary: 'Надіслати оновлення статистики',
+        description: 'Оновлюються лише передані поля; типові значення схеми застосовуються тільки до нових боїв.',
+        body: 'StatsPayload',
+        status: 202,
+        response: 'QueuedUpdate',
+        errors: {
+            400: ['INVALID_DATA'],
+            422: ['VALIDATION_ERROR', 'PROCESSING_FAILED'],
+            503: ['QUEUE_FULL'],
+            500: ['UPDATE_STATS_ERROR']
+        }
+    },
+    'get /stats': {
+        tag: 'Stats',
+        summary: 'Отримати бої та гравців з фільтрами і пагінацією',
+        query: [...PAGINATION_QUERY, ...BATTLE_QUERY],
+        response: 'StatsResponse',
+        errors: { 400: ['INVALID_STATS_QUERY'], 413: ['STATS_TOO_LARGE'], 500: ['GET_STATS_ERROR'] }
+    },
+    'get /players/:playerId/summary': {
+        tag: 'Stats',
+        summary: 'Підсумкова статистика гравця',
+        response: 'PlayerSummaryResponse',
+        errors: { 400: ['MISSING_PLAYER_ID'], 500: ['PLAYER_SUMMARY_ERROR'] }
+    },
+    'get /leaderboard': {
+        tag: 'Stats',
+        summary: 'Рейтинг гравців',
+        query: [
+            query('metric', { type: 'string', enum: Validators.leaderboardMetrics, default: 'damage' }),
+            query('from', { type: 'string' }, 'Початок діапазону (мс або ISO 8601)'),
+            query('to', { type: 'string' }, 'Кінець діапазону (мс або ISO 8601)'),
+            query('limit', { type: 'integer', minimum: 1, maximum: Validators.maxLeaderboardLimit, default: 10 }),
+            query('minBattles', { type: 'integer', minimum: 1, default: 1 })
+        ],
+        response: 'LeaderboardResponse',
+        errors: { 400: ['INVALID_LEADERBOARD_QUERY'], 500: ['LEADERBOARD_ERROR'] }
+    },
+    'get /export': {
+        tag: 'Export',
+        summary: 'Потоковий експорт боїв (рядок на кожного гравця)',
+        query: [query('format', { type: 'string', enum: ExportFormatter.formats, default: 'csv' }), ...BATTLE_QUERY],
+        content: Object.fromEntries(ExportFormatter.formats.map(format => [
+            ExportFormatter.getFormat(format).contentType.split(';')[0],
+            { schema: { type: 'string' } }
+        ])),
+        errors: { 400: ['INVALID_EXPORT_FORMAT', 'INVALID_STATS_QUERY'], 500: ['EXPORT_ERROR'] }
+    },
+    'get /jobs/:jobId': {
+        tag: 'Import',
+        summary: 'Стан фонового завдання імпорту',
+        response: 'ImportJobResponse',
+        errors: { 404: ['IMPORT_JOB_NOT_FOUND'], 500: ['IMPORT_JOB_ERROR'] }
+    },
+    'get /backup': {
+        tag: 'Backup',
+        summary: 'Завантажити резервну копію з контрольною сумою',
+        response: 'Backup',
+        errors: { 500: ['BACKUP_ERROR'] }
+    },
+    'post /restore': {
+        tag: 'Backup',
+        summary: 'Відновити дані з резервної копії',
+        query: [query('mode', { type: 'string', enum: ['merge', 'replace'], default: 'merge' })],
+        body: 'Backup',
+        response: 'RestoreResult',
+        errors: {
+            400: ['INVALID_RESTORE_MODE'],
+            422: ['INVALID_BACKUP', 'VALIDATION_ERROR'],
+            500: ['RESTORE_ERROR']
+        }
+    },
+    'post /import': {
+        tag: 'Import',
+        summary: 'Імпортувати статистику',
+        description: 'З async=true створює фонове завдання і повертає 202 з jobId.',
+        query: [
+            query('strategy', { type: 'string', enum: ['overwrite', 'skip-existing', 'merge'], default: 'overwrite' }),
+            query('dryRun', { type: 'boolean', default: false }, 'Лише порахувати зміни без запису'),
+            query('async', { type: 'boolean', default: false }, 'Виконати імпорт як фонове завдання')
+        ],
+        body: 'StatsPayload',
+        response: 'ImportResult',
+        accepted: 'ImportJobResponse',
+        errors: {
+            400: ['INVALID_IMPORT_DATA', 'INVALID_IMPORT_STRATEGY'],
+            422: ['VALIDATION_ERROR'],
+            500: ['IMPORT_ERROR']
+        }
+    },
+    'delete /clear': {
+        tag: 'Trash',
+        summary: 'Очистити статистику ключа (з можливістю відновлення з кошика)',
+        response: 'TrashResult',
+        errors: { 500: ['CLEAR_ERROR'] }
+    },
+    'delete /battle/:battleId': {
+        tag: 'Trash',
+        summary: 'Видалити бій (з можливістю відновлення з кошика)',
+        response: 'TrashResult',
+        errors: { 400: ['MISSING_BATTLE_ID'], 404: ['BATTLE_NOT_FOUND'], 500: ['DELETE_BATTLE_ERROR'] }
+    },
+    'get /trash': {
+        tag: 'Trash',
+        summary: 'Вміст кошика',
+        response: 'TrashListResponse',
+        errors: { 500: ['TRASH_ERROR'] }
+    },
+    'post /trash/:trashId/restore': {
+        tag: 'Trash',
+        summary: 'Відновити запис з кошика',
+        response: 'TrashRestoreResult',
+        errors: { 404: ['TRASH_ENTRY_NOT_FOUND'], 500: ['TRASH_RESTORE_ERROR'] }
+    },
+    'post /viewer-token': {
+        tag: 'Keys',
+        summary: 'Випустити токен глядача лише для читання',
+        body: {
+            type: 'object',
+            properties: { ttlSeconds: { type: 'integer', minimum: 60, maximum: 172800, default: 21600 } }
+        },
+        status: 201,
+        response: 'ViewerToken',
+        errors: {
+            400: ['INVALID_TOKEN_TTL'],
+            403: ['VIEWER_TOKEN_NOT_ALLOWED'],
+            500: ['VIEWER_TOKEN_ERROR', 'SECRET_NOT_CONFIGURED']
+        }
+    },
+    'delete /clear-database': {
+        tag: 'Admin',
+        summary: 'Очистити всю базу даних (двоетапно)',
+        description: 'Перший виклик без confirmationToken повертає 202 з токеном, другий виклик з токеном робить резервну копію і очищує базу.',
+        query: [query('confirmationToken', { type: 'string' }, 'Токен з першого виклику')],
+        response: 'DatabaseClearResult',
+        accepted: 'DatabaseClearConfirmation',
+        errors: {
+            400: ['INVALID_CONFIRMATION_TOKEN'],
+            403: ['DATABASE_CLEAR_DISABLED'],
+            409: ['CONFIRMATION_TOKEN_USED'],
+            500: ['CLEAR_DATABASE_ERROR']
+        }
+    },
+    'get /keys': {
+        tag: 'Keys',
+        summary: 'Список API ключів',
+        query: [
+            query('namespace', { type: 'string' }),
+            query('status', { type: 'string', enum: ['active', 'revoked'] })
+        ],
+        response: 'ApiKeyListResponse',
+        errors: { 500: ['LIST_KEYS_ERROR'] }
+    },
+    'post /keys': {
+        tag: 'Keys',
+        summary: 'Створити API ключ',
+        body: 'ApiKeyInput',
+        status: 201,
+        response: 'ApiKeyResponse',
+        errors: {
+            400: ['INVALID_LABEL', 'INVALID_SCOPES', 'INVALID_EXPIRY'],
+            404: ['NAMESPACE_NOT_FOUND'],
+            500: ['CREATE_KEY_ERROR']
+        }
+    },
+    'patch /keys/:key': {
+        tag: 'Keys',
+        summary: 'Оновити мітку, права або термін дії ключа',
+        body: 'ApiKeyInput',
+        response: 'ApiKeyResponse',
+        errors: {
+            400: ['NO_CHANGES', 'INVALID_LABEL', 'INVALID_SCOPES', 'INVALID_EXPIRY'],
+            404: ['API_KEY_NOT_FOUND'],
+            500: ['UPDATE_KEY_ERROR']
+        }
+    },
+    'post /keys/:key/revoke': {
+        tag: 'Keys',
+        summary: 'Відкликати ключ',
+        response: 'ApiKeyResponse',
+        errors: { 404: ['API_KEY_NOT_FOUND'], 500: ['REVOKE_KEY_ERROR'] }
+    },
+    'post /keys/:key/rotate': {
+        tag: 'Keys',
+        summary: 'Ротувати ключ з необов\'язковим періодом дії старого',
+        body: {
+            type: 'object',
+            properties: { gracePeriodMs: { type: 'integer', minimum: 0, default: 0 } }
+        },
+        status: 201,
+        response: 'ApiKeyRotation',
+        errors: {
+            400: ['INVALID_GRACE_PERIOD'],
+            404: ['API_KEY_NOT_FOUND'],
+            409: ['API_KEY_INACTIVE'],
+            500: ['ROTATE_KEY_ERROR']
+        }
+    },
+    'get /audit': {
+        tag: 'Admin',
+        summary: 'Журнал аудиту',
+        query: [
+            query('action', { type: 'string' }),
+            query('key', { type: 'string' }, 'Простір даних, якого стосується дія; у записах зберігається лише його відбиток'),
+            query('actorKey', { type: 'string' }, 'Ключ виконавця; у записах зберігається лише його відбиток'),
+            query('authType', { type: 'string', enum: ['api_key', 'viewer_token', 'secret_key'] }),
+            query('transport', { type: 'string', enum: ['http', 'websocket'] }),
+            query('status', { type: 'string', enum: ['pending', 'success', 'failed'] }),
+            query('from', { type: 'string' }, 'мс або ISO 8601'),
+            query('to', { type: 'string' }, 'мс або ISO 8601'),
+            query('limit', { type: 'integer', minimum: 1, maximum: 500, default: 100 }),
+            query('before', { type: 'string' }, 'nextBefore з попередньої сторінки')
+        ],
+        response: 'AuditLogResponse',
+        errors: { 400: ['INVALID_AUDIT_QUERY'], 500: ['AUDIT_LOG_ERROR'] }
+    }
+};
+
+module.exports = API_DOCS;
\ No newline at end of file
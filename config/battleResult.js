@@ -0,0 +1,8 @@
+const BATTLE_RESULT = Object.freeze({
+    UNKNOWN: -1,
+    LOSS: 0,
+    WIN: 1,
+    DRAW: 2
+});
+
+module.exports = BATTLE_RESULT;
\ No newline at end of file
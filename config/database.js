@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const metrics = require('./metrics');
 
 const MONGODB_URI = process.env.MONGODB_URI;
 const MAX_RETRIES = 5;
@@ -14,11 +15,13 @@ const connectDB = async (retryCount = 0) => {
     maxIdleTimeMS: 30000,
     bufferCommands: false,
     retryWrites: true,
-    retryReads: true
+    retryReads: true,
+    monitorCommands: true
   };
 
   try {
     await mongoose.connect(MONGODB_URI, options);
+    metrics.trackMongoClient(mongoose.connection.getClient());
     console.log(`✅ MongoDB підключено: ${mongoose.connection.host}`);
 
     if (retryCount > 0) {
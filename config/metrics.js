@@ -1,8 +1,183 @@
-const metrics = {
-    totalRequests: 0,
-    successfulRequests: 0,
-    failedRequests: 0,
-    queueSize: 0
-};
-
-module.exports = metrics;
\ No newline at end of file
+const cluster = require('cluster');
+const crypto = require('crypto');
+const MetricsRegistry = require('../utils/metricsRegistry');
+
+const COLLECT_TIMEOUT = parseInt(process.env.METRICS_COLLECT_TIMEOUT) || 2000;
+
+class Metrics {
+    constructor() {
+        this.registry = new MetricsRegistry();
+        this.pendingRequests = new Map();
+
+        this.statsUpdates = this.registry.counter('battle_stats_updates_total', 'Оброблені оновлення статистики', ['transport', 'result']);
+        this.httpRequests = this.registry.counter('http_requests_total', 'Кількість HTTP запитів', ['method', 'route', 'status']);
+        this.httpDuration = this.registry.histogram('http_request_duration_seconds', 'Тривалість HTTP запитів', ['method', 'route', 'status']);
+        this.socketEvents = this.registry.counter('socket_events_total', 'Кількість подій WebSocket', ['event', 'outcome']);
+        this.socketDuration = this.registry.histogram('socket_event_duration_seconds', 'Тривалість обробки подій WebSocket', ['event', 'outcome']);
+        this.mongoDuration = this.registry.histogram('mongodb_command_duration_seconds', 'Тривалість команд MongoDB', ['command', 'outcome']);
+        this.queueSize = this.registry.gauge('queue_size', 'Завдання, що очікують у черзі', ['queue'], { collected: true });
+        this.queuePending = this.registry.gauge('queue_pending', 'Завдання черги, що виконуються', ['queue'], { collected: true });
+        this.keyQueues = this.registry.gauge('queue_per_key_count', 'Кількість черг окремих ключів', [], { collected: true });
+        this.pendingBatchSize = this.registry.gauge('battle_stats_pending_batch_size', 'Оновлення, що очікують пакетного запису', [], { collected: true });
+        this.pendingBatchKeys = this.registry.gauge('battle_stats_pending_batch_keys', 'Ключі з оновленнями, що очікують пакетного запису', [], { collected: true });
+        this.cacheHits = this.registry.counter('lru_cache_hits_total', 'Влучання в LRU кеш', ['cache'], { collected: true });
+        this.cacheMisses = this.registry.counter('lru_cache_misses_total', 'Промахи LRU кешу', ['cache'], { collected: true });
+        this.cacheEntries = this.registry.gauge('lru_cache_entries', 'Кількість записів у LRU кеші', ['cache'], { collected: true });
+        this.cacheMemory = this.registry.gauge('lru_cache_memory_bytes', 'Оцінений розмір LRU кешу', ['cache'], { collected: true });
+        this.redisConnections = this.registry.gauge('redis_pool_connections', 'З\'єднання пулу Redis', ['state'], { collected: true });
+        this.redisWaiting = this.registry.gauge('redis_pool_waiting_requests', 'Запити, що очікують вільне з\'єднання Redis', [], { collected: true });
+    }
+
+    addCollector(collector) {
+        this.registry.addCollector(collector);
+    }
+
+    recordUpdate(transport, isSuccessful) {
+        this.statsUpdates.inc({ transport, result: isSuccessful ? 'success' : 'failed' });
+    }
+
+    getUpdateTotals() {
+        const successfulRequests = this.statsUpdates.sum({ result: 'success' });
+        const failedRequests = this.statsUpdates.sum({ result: 'failed' });
+
+        return {
+            totalRequests: successfulRequests + failedRequests,
+            successfulRequests,
+            failedRequests
+        };
+    }
+
+    trackQueues(queueManager) {
+        this.addCollector(() => {
+            const { defaultQueue, perKeyQueues } = queueManager.getQueueStats();
+            const keyQueues = Object.values(perKeyQueues);
+
+            // Queue names are API keys, so per-key queues are exported only as a total
+            this.queueSize.set({ queue: 'default' }, defaultQueue.size);
+            this.queuePending.set({ queue: 'default' }, defaultQueue.pending);
+            this.queueSize.set({ queue: 'per_key' }, keyQueues.reduce((total, stats) => total + stats.size, 0));
+            this.queuePending.set({ queue: 'per_key' }, keyQueues.reduce((total, stats) => total + stats.pending, 0));
+            this.keyQueues.set({}, keyQueues.length);
+        });
+    }
+
+    trackCache(name, cache) {
+        this.addCollector(() => {
+            const { size, memoryUsage, hits, misses } = cache.getStats();
+
+            this.cacheHits.set({ cache: name }, hits);
+            this.cacheMisses.set({ cache: name }, misses);
+            this.cacheEntries.set({ cache: name }, size);
+            this.cacheMemory.set({ cache: name }, memoryUsage);
+        });
+    }
+
+    trackRedisPool(pool) {
+        this.addCollector(() => {
+            const { available, inUse, waiting } = pool.getStats();
+
+            this.redisConnections.set({ state: 'available' }, available);
+            this.redisConnections.set({ state: 'in_use' }, inUse);
+            this.redisWaiting.set({}, waiting);
+        });
+    }
+
+    trackMongoClient(client) {
+        client.on('commandSucceeded', (event) => {
+            this.mongoDuration.observe({ command: event.commandName, outcome: 'success' }, event.duration / 1000);
+        });
+        client.on('commandFailed', (event) => {
+            this.mongoDuration.observe({ command: event.commandName, outcome: 'failed' }, event.duration / 1000);
+        });
+    }
+
+    withCacheHitRatio(snapshot) {
+        const hits = snapshot.find(metric => metric.name === this.cacheHits.name);
+        const misses = snapshot.find(metric => metric.name === this.cacheMisses.name);
+        const missesByCache = new Map((misses?.samples || []).map(([[cache], value]) => [cache, value]));
+
+        return [...snapshot, {
+            type: 'gauge',
+            name: 'lru_cache_hit_ratio',
+            help: 'Частка влучань в LRU кеш',
+            labelNames: ['cache'],
+            samples: (hits?.samples || []).map(([labelValues, hitCount]) => {
+                const total = hitCount + (missesByCache.get(labelValues[0]) || 0);
+                return [labelValues, total > 0 ? hitCount / total : 0];
+            })
+        }];
+    }
+
+    request(send, type, timeout) {
+        const requestId = crypto.randomUUID();
+
+        return new Promise((resolve) => {
+            const timeoutId = setTimeout(() => {
+                this.pendingRequests.delete(requestId);
+                resolve(null);
+            }, timeout);
+
+            this.pendingRequests.set(requestId, (snapshot) => {
+                clearTimeout(timeoutId);
+                this.pendingRequests.delete(requestId);
+                resolve(snapshot);
+            });
+
+            try {
+                send({ type, requestId });
+            } catch (error) {
+                console.error('Помилка надсилання запиту метрик:', error);
+                this.pendingRequests.get(requestId)?.(null);
+            }
+        });
+    }
+
+    resolveRequest({ requestId, snapshot }) {
+        const resolve = this.pendingRequests.get(requestId);
+        if (resolve) resolve(snapshot);
+    }
+
+    async collectFromWorkers() {
+        const workers = Object.values(cluster.workers || {}).filter(worker => worker.isConnected());
+        const snapshots = await Promise.all(
+            workers.map(worker => this.request(message => worker.send(message), 'metrics:collect', COLLECT_TIMEOUT))
+        );
+
+        return MetricsRegistry.merge(snapshots.filter(Boolean));
+    }
+
+    setupPrimary() {
+        cluster.on('message', (worker, message) => {
+            if (message?.type === 'metrics:snapshot') {
+                this.resolveRequest(message);
+            } else if (message?.type === 'metrics:request') {
+                this.collectFromWorkers()
+                    .then(snapshot => worker.send({ type: 'metrics:response', requestId: message.requestId, snapshot }))
+                    .catch(error => console.error('Помилка агрегації метрик:', error));
+            }
+        });
+    }
+
+    setupWorker() {
+        if (!cluster.isWorker) return;
+
+        process.on('message', (message) => {
+            if (message?.type === 'metrics:collect') {
+                process.send({ type: 'metrics:snapshot', requestId: message.requestId, snapshot: this.registry.snapshot() });
+            } else if (message?.type === 'metrics:response') {
+                this.resolveRequest(message);
+            }
+        });
+    }
+
+    async collect() {
+        const aggregated = cluster.isWorker && process.send
+            ? await this.request(message => process.send(message), 'metrics:request', COLLECT_TIMEOUT + 1000)
+            : null;
+
+        const snapshot = aggregated || MetricsRegistry.merge([this.registry.snapshot()]);
+        return MetricsRegistry.format(this.withCacheHitRatio(snapshot));
+    }
+}
+
+module.exports = new Metrics();
\ No newline at end of file
@@ -0,0 +1,28 @@
+const BATTLE_RESULT = require('./battleResult');
+
+const PAYLOAD_SCHEMA = Object.freeze({
+    limits: {
+        maxBattles: parseInt(process.env.MAX_BATTLES_PER_PAYLOAD) || 1000,
+        maxPlayersPerBattle: parseInt(process.env.MAX_PLAYERS_PER_BATTLE) || 60,
+        maxPlayerInfo: parseInt(process.env.MAX_PLAYER_INFO_PER_PAYLOAD) || 5000,
+        idPattern: /^[\w-]{1,64}$/
+    },
+    battle: {
+        startTime: { type: 'number', min: 0, default: Date.now },
+        duration: { type: 'number', min: 0, max: 86400, default: 0 },
+        win: { type: 'number', enum: Object.values(BATTLE_RESULT), default: BATTLE_RESULT.UNKNOWN },
+        mapName: { type: 'string', minLength: 1, maxLength: 100, default: 'Unknown Map' }
+    },
+    player: {
+        name: { type: 'string', minLength: 1, maxLength: 64, default: 'Unknown Player' },
+        damage: { type: 'number', min: 0, max: 100000, default: 0 },
+        kills: { type: 'integer', min: 0, max: 100, default: 0 },
+        points: { type: 'number', min: 0, max: 100000, default: 0 },
+        vehicle: { type: 'string', minLength: 1, maxLength: 100, default: 'Unknown Vehicle' }
+    },
+    playerInfo: {
+        nickname: { type: 'string', minLength: 1, maxLength: 64 }
+    }
+});
+
+module.exports = PAYLOAD_SCHEMA;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const PQueue = require('p-queue').default;
+const metrics = require('./metrics');
 
 const concurrency = process.env.NODE_ENV === 'production' ? 50 : 20;
 const timeout = parseInt(process.env.QUEUE_TIMEOUT) || 30000;
@@ -39,7 +40,7 @@ class PerKeyQueueManager {
                     if (queue.size === 0 && queue.pending === 0) {
                         this.queues.delete(key);
                     }
-                }, 60000);
+                }, 60000).unref();
             });
 
             this.queues.set(key, queue);
@@ -209,6 +210,7 @@ class PerKeyQueueManager {
 }
 
 const queueManager = new PerKeyQueueManager();
+metrics.trackQueues(queueManager);
 
 module.exports = {
     queue: queueManager.defaultQueue,
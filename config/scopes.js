@@ -0,0 +1,20 @@
+const SCOPES = Object.freeze({
+    VIEW: 'stats:view',
+    READ: 'stats:read',
+    WRITE: 'stats:write',
+    DELETE: 'stats:delete',
+    IMPORT: 'stats:import'
+});
+
+const ALL_SCOPES = Object.freeze(Object.values(SCOPES));
+
+// Viewer tokens only carry VIEW; a full READ key keeps access to everything VIEW opens
+const IMPLIED_SCOPES = Object.freeze({
+    [SCOPES.READ]: Object.freeze([SCOPES.VIEW])
+});
+
+const grantsScope = (scopes, requiredScope) => Array.isArray(scopes) && scopes.some(scope =>
+    scope === requiredScope || (IMPLIED_SCOPES[scope] || []).includes(requiredScope)
+);
+
+module.exports = { SCOPES, ALL_SCOPES, IMPLIED_SCOPES, grantsScope };
\ No newline at end of file
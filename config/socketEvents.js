@@ -0,0 +1,333 @@
+const Validators = require('../utils/validators');
+const { SCOPES } = require('./scopes');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+
+const AUTH_ERRORS = {
+    401: ['API_KEY_REQUIRED'],
+    403: ['UNKNOWN_ERROR', 'INSUFFICIENT_SCOPE', 'VIEWER_TOKEN_NOT_ALLOWED'],
+    429: ['UNKNOWN_ERROR'],
+    503: ['UNKNOWN_ERROR']
+};
+
+const SOCKET_REQUESTS = {
+    updateStats: {
+        tag: 'Stats',
+        summary: 'Надіслати оновлення статистики',
+        description: 'Дані обробляються у черзі; оновлюються лише передані поля, помилка обробки приходить подією updateError.',
+        scope: SCOPES.WRITE,
+        payload: { oneOf: [ref('StatsPayload'), object({ body: ref('StatsPayload') }, { required: ['body'] })] },
+        ack: { status: 202, properties: { message: { type: 'string' }, queueSize: { type: 'integer' } } },
+        errors: { 422: ['VALIDATION_ERROR'], 500: ['UNKNOWN_ERROR'], 503: ['UNKNOWN_ERROR'] }
+    },
+    getStats: {
+        tag: 'Stats',
+        summary: 'Отримати бої та гравців з фільтрами і пагінацією',
+        scope: SCOPES.VIEW,
+        payload: object({
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 0, default: 100 },
+            cursor: { type: 'string' },
+            filters: object({
+                mapName: { type: 'string', maxLength: 100 },
+                win: { type: 'string' },
+                from: { type: 'string' },
+                to: { type: 'string' },
+                minDuration: { type: 'number', minimum: 0 },
+                playerId: { type: 'string', maxLength: 100 },
+                vehicle: { type: 'string', maxLength: 100 },
+                sort: { type: 'string', enum: Validators.battleSortFields },
+                order: { type: 'string', enum: ['asc', 'desc'] }
+            })
+        }),
+        ack: {
+            properties: {
+                BattleStats: { type: 'object', additionalProperties: ref('Battle') },
+                PlayerInfo: { type: 'object', additionalProperties: {} },
+                revision: { type: 'integer' },
+                nextCursor: { type: 'string', nullable: true },
+                pagination: object({})
+            }
+        },
+        errors: { 400: ['UNKNOWN_ERROR'], 413: ['STATS_TOO_LARGE'], 500: ['UNKNOWN_ERROR'] }
+    },
+    getPlayerSummary: {
+        tag: 'Stats',
+        summary: 'Підсумкова статистика гравця',
+        scope: SCOPES.VIEW,
+        payload: object({ playerId: { type: 'string' } }, { required: ['playerId'] }),
+        ack: { properties: { playerId: { type: 'string' }, found: { type: 'boolean' }, summary: ref('PlayerTotals') } },
+        errors: { 400: ['UNKNOWN_ERROR'], 500: ['UNKNOWN_ERROR'] }
+    },
+    getLeaderboard: {
+        tag: 'Stats',
+        summary: 'Рейтинг гравців',
+        scope: SCOPES.VIEW,
+        payload: object({
+            metric: { type: 'string', enum: Validators.leaderboardMetrics, default: 'damage' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            limit: { type: 'integer', minimum: 1, maximum: Validators.maxLeaderboardLimit, default: 10 },
+            minBattles: { type: 'integer', minimum: 1, default: 1 }
+        }),
+        ack: {
+            properties: {
+                metric: { type: 'string' },
+                range: object({ from: { type: 'number', nullable: true }, to: { type: 'number', nullable: true } }),
+                leaderboard: {
+                    type: 'array',
+                    items: { allOf: [object({ rank: { type: 'integer' }, playerId: { type: 'string' } }), ref('PlayerTotals')] }
+                }
+            }
+        },
+        errors: { 400: ['INVALID_LEADERBOARD_QUERY'], 500: ['UNKNOWN_ERROR'] }
+    },
+    syncSince: {
+        tag: 'Stats',
+        summary: 'Зміни після вказаної ревізії',
+        description: 'Якщо журнал змін не покриває пропущені ревізії, повертає fullReload: true — клієнт має перезавантажити дані через getStats.',
+        scope: SCOPES.VIEW,
+        payload: object({ revision: { type: 'integer', minimum: 0 } }, { required: ['revision'] }),
+        ack: {
+            properties: {
+                key: { type: 'string' },
+                revision: { type: 'integer' },
+                fullReload: { type: 'boolean' },
+                changes: { type: 'array', items: ref('ChangeEntry') }
+            }
+        },
+        errors: { 400: ['UNKNOWN_ERROR'], 500: ['UNKNOWN_ERROR'] }
+    },
+    importStats: {
+        tag: 'Import',
+        summary: 'Створити фонове завдання імпорту',
+        description: 'Сокет автоматично приєднується до кімнати завдання і отримує importProgress, importCompleted та importError.',
+        scope: SCOPES.IMPORT,
+        payload: object({
+            body: ref('StatsPayload'),
+            importData: ref('StatsPayload'),
+            strategy: { type: 'string', enum: ['overwrite', 'skip-existing', 'merge'], default: 'overwrite' },
+            dryRun: { type: 'boolean', default: false }
+        }),
+        ack: { status: 202, properties: { message: { type: 'string' }, jobId: { type: 'string' }, job: ref('ImportJob') } },
+        errors: { 400: ['INVALID_IMPORT_STRATEGY'], 422: ['VALIDATION_ERROR'], 500: ['IMPORT_JOB_ERROR'] }
+    },
+    getImportJob: {
+        tag: 'Import',
+        summary: 'Стан фонового завдання імпорту',
+        scope: SCOPES.READ,
+        payload: object({ jobId: { type: 'string' } }, { required: ['jobId'] }),
+        ack: { properties: { job: ref('ImportJob') } },
+        errors: { 400: ['UNKNOWN_ERROR'], 404: ['IMPORT_JOB_NOT_FOUND'], 500: ['UNKNOWN_ERROR'] }
+    },
+    clearStats: {
+        tag: 'Trash',
+        summary: 'Очистити статистику ключа (з можливістю відновлення з кошика)',
+        scope: SCOPES.DELETE,
+        payload: object({}),
+        ack: {
+            properties: {
+                message: { type: 'string' },
+                revision: { type: 'integer' },
+                trash: { allOf: [ref('TrashEntry')], nullable: true }
+            }
+        },
+        errors: { 500: ['UNKNOWN_ERROR'] }
+    },
+    deleteBattle: {
+        tag: 'Trash',
+        summary: 'Видалити бій (з можливістю відновлення з кошика)',
+        scope: SCOPES.DELETE,
+        payload: object({ battleId: { type: 'string' } }, { required: ['battleId'] }),
+        ack: {
+            properties: {
+                message: { type: 'string' },
+                revision: { type: 'integer' },
+                trash: { allOf: [ref('TrashEntry')], nullable: true }
+            }
+        },
+        errors: { 400: ['UNKNOWN_ERROR'], 404: ['BATTLE_NOT_FOUND'], 500: ['UNKNOWN_ERROR'] }
+    },
+    getTrash: {
+        tag: 'Trash',
+        summary: 'Вміст кошика',
+        scope: SCOPES.READ,
+        payload: object({}),
+        ack: { properties: { key: { type: 'string' }, entries: { type: 'array', items: ref('TrashEntry') } } },
+        errors: { 500: ['UNKNOWN_ERROR'] }
+    },
+    restoreFromTrash: {
+        tag: 'Trash',
+        summary: 'Відновити запис з кошика',
+        scope: SCOPES.DELETE,
+        payload: object({ trashId: { type: 'string' } }, { required: ['trashId'] }),
+        ack: {
+            properties: {
+                message: { type: 'string' },
+                revision: { type: 'integer' },
+                restored: object({
+                    type: { type: 'string' },
+                    battleId: { type: 'string', nullable: true },
+                    battles: { type: 'integer' },
+                    playerInfo: { type: 'integer' }
+                })
+            }
+        },
+        errors: { 400: ['UNKNOWN_ERROR'], 404: ['TRASH_ENTRY_NOT_FOUND'], 500: ['UNKNOWN_ERROR'] }
+    },
+    clearDatabase: {
+        tag: 'Admin',
+        summary: 'Очистити всю базу даних (двоетапно)',
+        description: 'Секретний ключ передається в самому повідомленні. Перший виклик без confirmationToken повертає токен зі статусом 202.',
+        secretOnly: true,
+        payload: object({
+            secretKey: { type: 'string' },
+            confirmationToken: { type: 'string' }
+        }, { required: ['secretKey'] }),
+        ack: {
+            properties: {
+                confirmationRequired: { type: 'boolean' },
+                confirmationToken: { type: 'string' },
+                expiresAt: { type: 'string', format: 'date-time' },
+                snapshot: object({
+                    bucket: { type: 'string' },
+                    fileId: { type: 'string' },
+                    filename: { type: 'string' },
+                    keys: { type: 'integer' }
+                })
+            }
+        },
+        errors: {
+            400: ['INVALID_CONFIRMATION_TOKEN'],
+            403: ['UNKNOWN_ERROR', 'DATABASE_CLEAR_DISABLED'],
+            409: ['CONFIRMATION_TOKEN_USED'],
+            500: ['UNKNOWN_ERROR']
+        }
+    },
+    subscribe: {
+        tag: 'Subscriptions',
+        summary: 'Підписатися на події іншого ключа',
+        secretOnly: true,
+        payload: object({ gameKey: { type: 'string' } }, { required: ['gameKey'] }),
+        ack: { properties: { key: { type: 'string' }, subscriptions: { type: 'array', items: { type: 'string' } } } },
+        errors: { 400: ['UNKNOWN_ERROR'], 403: ['UNKNOWN_ERROR'], 500: ['UNKNOWN_ERROR'] }
+    },
+    unsubscribe: {
+        tag: 'Subscriptions',
+        summary: 'Скасувати підписку на події ключа',
+        secretOnly: true,
+        payload: object({ gameKey: { type: 'string' } }, { required: ['gameKey'] }),
+        ack: { properties: { key: { type: 'string' }, subscriptions: { type: 'array', items: { type: 'string' } } } },
+        errors: { 403: ['UNKNOWN_ERROR'], 404: ['UNKNOWN_ERROR'], 500: ['UNKNOWN_ERROR'] }
+    },
+    getQueueStatus: {
+        tag: 'Service',
+        summary: 'Стан черги обробки',
+        public: true,
+        ack: {
+            properties: {
+                queueSize: { type: 'integer' },
+                pendingCount: { type: 'integer' },
+                isPaused: { type: 'boolean' },
+                metrics: object({
+                    totalRequests: { type: 'integer' },
+                    successfulRequests: { type: 'integer' },
+                    failedRequests: { type: 'integer' },
+                    successRate: { type: 'string' }
+                })
+            }
+        }
+    },
+    ping: {
+        tag: 'Service',
+        summary: 'Перевірка з\'єднання',
+        description: 'Без callback сервер відповідає подією pong.',
+        public: true,
+        ack: {
+            properties: {
+                message: { type: 'string', enum: ['pong'] },
+                serverTime: { type: 'integer' },
+                clientId: { type: 'string' },
+                authType: { type: 'string' }
+            }
+        }
+    }
+};
+
+const JOB_EVENT = {
+    key: { type: 'string' },
+    jobId: { type: 'string' },
+    revision: { type: 'integer', nullable: true },
+    job: ref('ImportJob'),
+    timestamp: { type: 'integer' }
+};
+
+const SOCKET_PUSHES = {
+    connected: {
+        summary: 'Підтвердження підключення після автентифікації',
+        payload: object({
+            socketId: { type: 'string' },
+            sessionId: { type: 'string', nullable: true },
+            authType: { type: 'string', enum: ['api_key', 'viewer_token', 'secret_key', 'none'] },
+            serverTime: { type: 'integer' },
+            message: { type: 'string' }
+        })
+    },
+    statsUpdated: {
+        summary: 'Статистику ключа оновлено',
+        description: 'delta відсутня, якщо зміну неможливо описати інкрементально — тоді клієнт перезавантажує дані.',
+        payload: object({
+            key: { type: 'string' },
+            revision: { type: 'integer' },
+            delta: { allOf: [ref('StatsDelta')], nullable: true },
+            timestamp: { type: 'integer' }
+        })
+    },
+    statsCleared: {
+        summary: 'Статистику ключа очищено',
+        payload: object({ key: { type: 'string' }, revision: { type: 'integer' }, timestamp: { type: 'integer' } })
+    },
+    battleDeleted: {
+        summary: 'Бій видалено',
+        payload: object({
+            key: { type: 'string' },
+            battleId: { type: 'string' },
+            revision: { type: 'integer' },
+            timestamp: { type: 'integer' }
+        })
+    },
+    updateError: {
+        summary: 'Оновлення з updateStats не вдалося обробити',
+        payload: object({ key: { type: 'string' }, error: { type: 'string' }, timestamp: { type: 'integer' } })
+    },
+    importProgress: {
+        summary: 'Прогрес фонового імпорту',
+        payload: object(JOB_EVENT)
+    },
+    importCompleted: {
+        summary: 'Фоновий імпорт завершено',
+        payload: object(JOB_EVENT)
+    },
+    importError: {
+        summary: 'Фоновий імпорт завершився помилкою',
+        payload: object({ ...JOB_EVENT, error: { type: 'string' } })
+    },
+    databaseCleared: {
+        summary: 'Базу даних очищено',
+        payload: object({ timestamp: { type: 'integer' } })
+    },
+    pong: {
+        summary: 'Відповідь на ping без callback',
+        payload: object({
+            status: { type: 'integer' },
+            success: { type: 'boolean' },
+            message: { type: 'string' },
+            serverTime: { type: 'integer' },
+            clientId: { type: 'string' },
+            authType: { type: 'string' }
+        })
+    }
+};
+
+module.exports = { SOCKET_REQUESTS, SOCKET_PUSHES, AUTH_ERRORS };
\ No newline at end of file
@@ -0,0 +1,146 @@
+const ResponseUtils = require('../utils/responseUtils');
+const apiKeyService = require('../services/apiKeyService');
+const viewerTokenService = require('../services/viewerTokenService');
+const auditLogService = require('../services/auditLogService');
+
+const sendServiceError = (res, error, fallback) => {
+    if (error.isOperational) {
+        return ResponseUtils.sendError(res, error);
+    }
+    ResponseUtils.sendError(res, { statusCode: 500, ...fallback });
+};
+
+const audit = (req, action, options = {}) =>
+    auditLogService.track(action, auditLogService.fromRequest(req), options);
+
+const fingerprint = (key) => auditLogService.fingerprint(key);
+
+const listKeys = async (req, res) => {
+    try {
+        const keys = await apiKeyService.listKeys(req.query);
+
+        ResponseUtils.sendSuccess(res, { keys, count: keys.length });
+
+    } catch (error) {
+        sendServiceError(res, error, {
+            code: 'LIST_KEYS_ERROR',
+            message: 'Помилка при отриманні списку ключів'
+        });
+    }
+};
+
+const createKey = async (req, res) => {
+    try {
+        const key = await apiKeyService.createKey(req.body || {});
+        audit(req, 'createKey', { key: key.namespace, details: { apiKey: fingerprint(key._id), scopes: key.scopes } });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Ключ успішно створено',
+            key
+        }, {}, 201);
+
+    } catch (error) {
+        audit(req, 'createKey', { error });
+        sendServiceError(res, error, {
+            code: 'CREATE_KEY_ERROR',
+            message: 'Помилка при створенні ключа'
+        });
+    }
+};
+
+const updateKey = async (req, res) => {
+    try {
+        const key = await apiKeyService.updateKey(req.params.key, req.body || {});
+        audit(req, 'updateKey', { key: key.namespace, details: { apiKey: fingerprint(req.params.key) } });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Ключ успішно оновлено',
+            key
+        });
+
+    } catch (error) {
+        audit(req, 'updateKey', { details: { apiKey: fingerprint(req.params.key) }, error });
+        sendServiceError(res, error, {
+            code: 'UPDATE_KEY_ERROR',
+            message: 'Помилка при оновленні ключа'
+        });
+    }
+};
+
+const revokeKey = async (req, res) => {
+    try {
+        const key = await apiKeyService.revokeKey(req.params.key);
+        audit(req, 'revokeKey', { key: key.namespace, details: { apiKey: fingerprint(req.params.key) } });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Ключ успішно відкликано',
+            key
+        });
+
+    } catch (error) {
+        audit(req, 'revokeKey', { details: { apiKey: fingerprint(req.params.key) }, error });
+        sendServiceError(res, error, {
+            code: 'REVOKE_KEY_ERROR',
+            message: 'Помилка при відкликанні ключа'
+        });
+    }
+};
+
+const rotateKey = async (req, res) => {
+    try {
+        const result = await apiKeyService.rotateKey(req.params.key, req.body || {});
+        audit(req, 'rotateKey', {
+            key: result.key.namespace,
+            details: { apiKey: fingerprint(req.params.key), replacement: fingerprint(result.key._id) }
+        });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Ключ успішно ротовано',
+            ...result
+        }, {}, 201);
+
+    } catch (error) {
+        audit(req, 'rotateKey', { details: { apiKey: fingerprint(req.params.key) }, error });
+        sendServiceError(res, error, {
+            code: 'ROTATE_KEY_ERROR',
+            message: 'Помилка при ротації ключа'
+        });
+    }
+};
+
+const createViewerToken = async (req, res) => {
+    try {
+        if (req.authType === 'viewer_token') {
+            return ResponseUtils.sendError(res, {
+                statusCode: 403,
+                code: 'VIEWER_TOKEN_NOT_ALLOWED',
+                message: 'Токен глядача не може випускати нові токени'
+            });
+        }
+
+        const { ttlSeconds } = req.body || {};
+        const result = viewerTokenService.mint(req.apiKeyToken, req.apiKey, ttlSeconds);
+        audit(req, 'createViewerToken', { key: req.apiKey, details: { expiresAt: result.expiresAt } });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Токен глядача успішно створено',
+            ...result
+        }, {}, 201);
+
+    } catch (error) {
+        audit(req, 'createViewerToken', { key: req.apiKey, error });
+        sendServiceError(res, error, {
+            code: 'VIEWER_TOKEN_ERROR',
+            message: 'Помилка при створенні токена глядача'
+        });
+    }
+};
+
+module.exports = {
+    listKeys,
+    createKey,
+    updateKey,
+    revokeKey,
+    rotateKey,
+    createViewerToken
+};
\ No newline at end of file
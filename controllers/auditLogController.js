@@ -0,0 +1,27 @@
+const ResponseUtils = require('../utils/responseUtils');
+const auditLogService = require('../services/auditLogService');
+
+const getAuditLog = async (req, res) => {
+    try {
+        const result = await auditLogService.query(req.query);
+
+        ResponseUtils.sendSuccess(res, {
+            ...result,
+            count: result.entries.length
+        });
+
+    } catch (error) {
+        if (error.isOperational) {
+            return ResponseUtils.sendError(res, error);
+        }
+        ResponseUtils.sendError(res, {
+            statusCode: 500,
+            code: 'AUDIT_LOG_ERROR',
+            message: 'Помилка при отриманні журналу аудиту'
+        });
+    }
+};
+
+module.exports = {
+    getAuditLog
+};
\ No newline at end of file
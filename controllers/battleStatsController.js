@@ -1,7 +1,30 @@
+const { pipeline } = require('stream/promises');
 const ResponseUtils = require('../utils/responseUtils');
+const ExportFormatter = require('../utils/exportFormatter');
 const { addWithRetry, isQueueFull, getQueueStats } = require('../config/queue');
 const metrics = require('../config/metrics');
 const battleStatsService = require('../services/battleStatsService');
+const importJobService = require('../services/importJobService');
+const trashService = require('../services/trashService');
+const databaseClearService = require('../services/databaseClearService');
+const auditLogService = require('../services/auditLogService');
+
+const sendServiceError = (res, error, fallback) => {
+    if (error.isOperational) {
+        return ResponseUtils.sendError(res, error);
+    }
+    ResponseUtils.sendError(res, { statusCode: 500, ...fallback });
+};
+
+const audit = (req, action, options = {}) =>
+    auditLogService.track(action, auditLogService.fromRequest(req), { key: req.apiKey, ...options });
+
+const sendValidationError = (res, errors) => ResponseUtils.sendError(res, {
+    statusCode: 422,
+    code: 'VALIDATION_ERROR',
+    message: 'Дані не пройшли валідацію',
+    details: errors
+});
 
 const updateStats = async (req, res) => {
     try {
@@ -13,6 +36,12 @@ const updateStats = async (req, res) => {
             });
         }
 
+        const validation = battleStatsService.validatePayload(req.body, { partial: true });
+        if (!validation.isValid) {
+            metrics.recordUpdate('http', false);
+            return sendValidationError(res, validation.errors);
+        }
+
         if (isQueueFull()) {
             return ResponseUtils.sendError(res, {
                 statusCode: 503,
@@ -22,23 +51,21 @@ const updateStats = async (req, res) => {
         }
 
         const result = await addWithRetry('updateStats', async () => {
-            return await battleStatsService.processDataAsync(req.apiKey, req.body);
+            return await battleStatsService.processDataAsync(req.apiKey, validation.data);
         }, {
             retries: 3,
             retryDelay: 1000,
             priority: 5
         });
 
-        metrics.totalRequests++;
+        metrics.recordUpdate('http', !!result);
         
         if (result) {
-            metrics.successfulRequests++;
             ResponseUtils.sendSuccess(res, {
                 message: 'Статистика успішно оновлена',
                 queueStats: getQueueStats()
             }, {}, 202);
         } else {
-            metrics.failedRequests++;
             ResponseUtils.sendError(res, {
                 statusCode: 422,
                 code: 'PROCESSING_FAILED',
@@ -47,8 +74,7 @@ const updateStats = async (req, res) => {
         }
 
     } catch (error) {
-        metrics.totalRequests++;
-        metrics.failedRequests++;
+        metrics.recordUpdate('http', false);
         
         ResponseUtils.sendError(res, {
             statusCode: 500,
@@ -61,26 +87,141 @@ const updateStats = async (req, res) => {
 const getStats = async (req, res) => {
     try {
         const { page, limit } = req.pagination;
-        const result = await battleStatsService.getStats(req.apiKey, page, limit);
+        const { cursor, ...query } = req.battleQuery;
+        const result = await battleStatsService.getStats(req.apiKey, page, limit, req.battleQuery);
 
         ResponseUtils.sendSuccess(res, {
             ...result,
-            pagination: { page, limit }
+            pagination: cursor
+                ? { cursor: req.query.cursor, limit, nextCursor: result.nextCursor ?? null }
+                : { page, limit, nextCursor: result.nextCursor ?? null },
+            query
         });
 
     } catch (error) {
-        ResponseUtils.sendError(res, {
-            statusCode: 500,
+        sendServiceError(res, error, {
             code: 'GET_STATS_ERROR',
             message: 'Помилка при отриманні статистики'
         });
     }
 };
 
+const getPlayerSummary = async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        const result = await battleStatsService.getPlayerSummary(req.apiKey, playerId);
+
+        ResponseUtils.sendSuccess(res, result);
+
+    } catch (error) {
+        ResponseUtils.sendError(res, {
+            statusCode: 500,
+            code: 'PLAYER_SUMMARY_ERROR',
+            message: 'Помилка при отриманні статистики гравця'
+        });
+    }
+};
+
+const getLeaderboard = async (req, res) => {
+    try {
+        const result = await battleStatsService.getLeaderboard(req.apiKey, req.leaderboard);
+
+        ResponseUtils.sendSuccess(res, result);
+
+    } catch (error) {
+        sendServiceError(res, error, {
+            code: 'LEADERBOARD_ERROR',
+            message: 'Помилка при побудові рейтингу гравців'
+        });
+    }
+};
+
+const exportStats = async (req, res) => {
+    const format = req.exportFormat;
+    const chunks = battleStatsService.exportBattles(req.apiKey, format, req.battleQuery);
+    let first;
+
+    try {
+        first = await chunks.next();
+    } catch (error) {
+        return ResponseUtils.sendError(res, {
+            statusCode: 500,
+            code: 'EXPORT_ERROR',
+            message: 'Помилка при експорті статистики'
+        });
+    }
+
+    const { contentType, extension } = ExportFormatter.getFormat(format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="battle-stats-${date}.${extension}"`
+    });
+
+    try {
+        await pipeline(async function* () {
+            if (!first.done) yield first.value;
+            yield* chunks;
+        }, res);
+    } catch (error) {
+        console.error('❌ Помилка під час потокового експорту:', error.message);
+    }
+};
+
+const downloadBackup = async (req, res) => {
+    try {
+        const backup = await battleStatsService.createBackup(req.apiKey);
+        const date = backup.createdAt.slice(0, 10);
+
+        res.set('Content-Disposition', `attachment; filename="battle-stats-backup-${date}.json"`);
+        res.status(200).json(backup);
+
+    } catch (error) {
+        ResponseUtils.sendError(res, {
+            statusCode: 500,
+            code: 'BACKUP_ERROR',
+            message: 'Помилка при створенні резервної копії'
+        });
+    }
+};
+
+const restoreBackup = async (req, res) => {
+    try {
+        const mode = req.query.mode || 'merge';
+
+        const result = await addWithRetry('restoreBackup', async () => {
+            return await battleStatsService.restoreBackup(req.apiKey, req.body, mode);
+        }, {
+            retries: 1,
+            priority: 8
+        });
+        audit(req, 'restoreBackup', { details: { mode, revision: result.revision, restored: result.restored, verified: result.verified } });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Резервну копію успішно відновлено',
+            key: req.apiKey,
+            ...result
+        });
+
+    } catch (error) {
+        audit(req, 'restoreBackup', { details: { mode: req.query.mode || 'merge' }, error });
+        sendServiceError(res, error, {
+            code: 'RESTORE_ERROR',
+            message: 'Помилка при відновленні резервної копії'
+        });
+    }
+};
+
 const importStats = async (req, res) => {
     try {
-        const { stats, ...importData } = req.body;
+        const { stats, strategy, dryRun, async: runAsync, ...importData } = req.body;
         const dataToImport = stats || importData;
+        const options = battleStatsService.parseImportOptions({
+            strategy: strategy ?? req.query.strategy,
+            dryRun: dryRun ?? req.query.dryRun
+        });
 
         if (!dataToImport || typeof dataToImport !== 'object') {
             return ResponseUtils.sendError(res, {
@@ -90,43 +231,91 @@ const importStats = async (req, res) => {
             });
         }
 
-        await addWithRetry('importStats', async () => {
-            return await battleStatsService.importStats(req.apiKey, dataToImport);
+        const validation = battleStatsService.validatePayload(dataToImport);
+        if (!validation.isValid) {
+            return sendValidationError(res, validation.errors);
+        }
+
+        const battleIds = Object.keys(validation.data.BattleStats);
+
+        if (runAsync === true || req.query.async === 'true') {
+            const job = await importJobService.createJob(req.apiKey, validation.data, options);
+            audit(req, 'importStats', { details: { ...options, battleIds, jobId: job.id } });
+
+            return ResponseUtils.sendSuccess(res, {
+                message: 'Завдання імпорту створено',
+                key: req.apiKey,
+                jobId: job.id,
+                job,
+                statusUrl: `${req.baseUrl}/jobs/${job.id}`
+            }, {}, 202);
+        }
+
+        const result = await addWithRetry('importStats', async () => {
+            return await battleStatsService.importStats(req.apiKey, validation.data, options);
         }, {
             retries: 2,
             retryDelay: 2000,
             priority: 8
         });
+        audit(req, 'importStats', { details: { ...options, battleIds, revision: result.revision } });
 
         ResponseUtils.sendSuccess(res, {
-            message: 'Імпорт успішно завершено',
-            key: req.apiKey
+            message: options.dryRun ? 'Попередній перегляд імпорту сформовано' : 'Імпорт успішно завершено',
+            key: req.apiKey,
+            ...result
         });
 
     } catch (error) {
-        ResponseUtils.sendError(res, {
-            statusCode: 500,
+        audit(req, 'importStats', { error });
+        sendServiceError(res, error, {
             code: 'IMPORT_ERROR',
             message: 'Помилка при імпорті статистики'
         });
     }
 };
 
+const getImportJob = async (req, res) => {
+    try {
+        const job = await importJobService.getJob(req.apiKey, req.params.jobId);
+
+        if (!job) {
+            return ResponseUtils.sendError(res, {
+                statusCode: 404,
+                code: 'IMPORT_JOB_NOT_FOUND',
+                message: 'Завдання імпорту не знайдено'
+            });
+        }
+
+        ResponseUtils.sendSuccess(res, { job });
+
+    } catch (error) {
+        ResponseUtils.sendError(res, {
+            statusCode: 500,
+            code: 'IMPORT_JOB_ERROR',
+            message: 'Помилка при отриманні завдання імпорту'
+        });
+    }
+};
+
 const clearStats = async (req, res) => {
     try {
-        await addWithRetry('clearStats', async () => {
+        const result = await addWithRetry('clearStats', async () => {
             return await battleStatsService.clearStats(req.apiKey);
         }, {
             retries: 1,
             priority: 7
         });
+        audit(req, 'clearStats', { details: { trashId: result.trash?.id ?? null, revision: result.revision } });
 
         ResponseUtils.sendSuccess(res, {
             message: 'Статистика успішно очищена',
-            key: req.apiKey
+            key: req.apiKey,
+            trash: result.trash
         });
 
     } catch (error) {
+        audit(req, 'clearStats', { error });
         ResponseUtils.sendError(res, {
             statusCode: 500,
             code: 'CLEAR_ERROR',
@@ -139,44 +328,98 @@ const deleteBattle = async (req, res) => {
     try {
         const { battleId } = req.params;
 
-        await addWithRetry('deleteBattle', async () => {
+        const result = await addWithRetry('deleteBattle', async () => {
             return await battleStatsService.deleteBattle(req.apiKey, battleId);
         }, {
             retries: 1,
             priority: 6
         });
+        audit(req, 'deleteBattle', { details: { battleId, trashId: result.trash?.id ?? null, revision: result.revision } });
 
         ResponseUtils.sendSuccess(res, {
             message: 'Бій успішно видалено',
             battleId,
-            key: req.apiKey
+            key: req.apiKey,
+            trash: result.trash
         });
 
     } catch (error) {
-        ResponseUtils.sendError(res, {
-            statusCode: 500,
+        audit(req, 'deleteBattle', { details: { battleId: req.params.battleId }, error });
+        sendServiceError(res, error, {
             code: 'DELETE_BATTLE_ERROR',
             message: 'Помилка при видаленні бою'
         });
     }
 };
 
+const getTrash = async (req, res) => {
+    try {
+        const entries = await trashService.listTrash(req.apiKey);
+
+        ResponseUtils.sendSuccess(res, {
+            key: req.apiKey,
+            entries
+        });
+
+    } catch (error) {
+        ResponseUtils.sendError(res, {
+            statusCode: 500,
+            code: 'TRASH_ERROR',
+            message: 'Помилка при отриманні вмісту кошика'
+        });
+    }
+};
+
+const restoreFromTrash = async (req, res) => {
+    try {
+        const result = await addWithRetry('restoreFromTrash', async () => {
+            return await trashService.restore(req.apiKey, req.params.trashId);
+        }, {
+            retries: 1,
+            priority: 7
+        });
+        audit(req, 'restoreFromTrash', { details: { trashId: req.params.trashId, revision: result.revision, restored: result.restored } });
+
+        ResponseUtils.sendSuccess(res, {
+            message: 'Дані успішно відновлено з кошика',
+            key: req.apiKey,
+            ...result
+        });
+
+    } catch (error) {
+        audit(req, 'restoreFromTrash', { details: { trashId: req.params.trashId }, error });
+        sendServiceError(res, error, {
+            code: 'TRASH_RESTORE_ERROR',
+            message: 'Помилка при відновленні даних з кошика'
+        });
+    }
+};
+
 const clearDatabase = async (req, res) => {
     try {
-        await addWithRetry('clearDatabase', async () => {
-            return await battleStatsService.clearDatabase();
+        const confirmationToken = req.body?.confirmationToken || req.query.confirmationToken;
+
+        if (!confirmationToken) {
+            return ResponseUtils.sendSuccess(res, {
+                message: 'Підтвердіть очищення бази даних повторним запитом з токеном підтвердження',
+                ...databaseClearService.issueConfirmation(auditLogService.fromRequest(req))
+            }, {}, 202);
+        }
+
+        const result = await addWithRetry('clearDatabase', async () => {
+            return await databaseClearService.clear(confirmationToken, auditLogService.fromRequest(req));
         }, {
             retries: 1,
             priority: 10
         });
 
         ResponseUtils.sendSuccess(res, {
-            message: 'База даних успішно очищена'
+            message: 'База даних успішно очищена',
+            snapshot: result.snapshot
         });
 
     } catch (error) {
-        ResponseUtils.sendError(res, {
-            statusCode: 500,
+        sendServiceError(res, error, {
             code: 'CLEAR_DATABASE_ERROR',
             message: 'Помилка при очищенні бази даних'
         });
@@ -186,8 +429,16 @@ const clearDatabase = async (req, res) => {
 module.exports = {
     updateStats,
     getStats,
+    getPlayerSummary,
+    getLeaderboard,
     importStats,
+    getImportJob,
+    exportStats,
+    downloadBackup,
+    restoreBackup,
     clearStats,
     deleteBattle,
+    getTrash,
+    restoreFromTrash,
     clearDatabase
 };
\ No newline at end of file
@@ -9,6 +9,7 @@ const COMMON_HEADERS = [
     'X-API-Key', 
     'X-Player-ID', 
     'X-Secret-Key', 
+    'X-Viewer-Token', 
     'Authorization', 
     'Accept', 
     'Origin', 
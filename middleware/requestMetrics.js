@@ -0,0 +1,20 @@
+const metrics = require('../config/metrics');
+
+const requestMetrics = (req, res, next) => {
+    const stopTimer = metrics.httpDuration.startTimer();
+
+    res.on('finish', () => {
+        const labels = {
+            method: req.method,
+            route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+            status: res.statusCode
+        };
+
+        stopTimer(labels);
+        metrics.httpRequests.inc(labels);
+    });
+
+    next();
+};
+
+module.exports = { requestMetrics };
\ No newline at end of file
@@ -54,10 +54,51 @@ class AuthCache {
     }
 }
 
+// Fallback counters for when Redis is missing; limits then hold per process instead of per cluster
+class MemoryRateLimiter {
+    constructor() {
+        this.counters = new Map();
+        this.cleanupInterval = setInterval(() => this.cleanup(), 60000);
+    }
+
+    increment(key, ttl) {
+        const now = Date.now();
+        const counter = this.counters.get(key);
+
+        if (!counter || counter.expiresAt <= now) {
+            this.counters.set(key, { attempts: 1, expiresAt: now + ttl * 1000 });
+            return 1;
+        }
+
+        counter.attempts++;
+        return counter.attempts;
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, counter] of this.counters.entries()) {
+            if (counter.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    clear() {
+        this.counters.clear();
+    }
+
+    destroy() {
+        clearInterval(this.cleanupInterval);
+        this.counters.clear();
+    }
+}
+
 class UnifiedAuth {
     constructor() {
         this.redisClient = null;
         this.authCache = new AuthCache();
+        this.memoryRateLimiter = new MemoryRateLimiter();
+        this.hasWarnedMemoryRateLimit = false;
     }
 
     setRedisClient(client) {
@@ -71,28 +112,38 @@ class UnifiedAuth {
         return ALLOWED_ORIGINS.includes(origin);
     }
 
-    async checkRateLimit(key, identifier) {
+    checkMemoryRateLimit(rateLimitKey, max, ttl) {
+        if (!this.hasWarnedMemoryRateLimit) {
+            this.hasWarnedMemoryRateLimit = true;
+            console.warn('⚠️ Redis недоступний: ліміти запитів рахуються в пам\'яті окремо для кожного процесу');
+        }
+
+        return this.memoryRateLimiter.increment(rateLimitKey, ttl) <= max;
+    }
+
+    async checkRateLimit(key, identifier, max = RATE_LIMIT_MAX, ttl = RATE_LIMIT_TTL) {
+        const rateLimitKey = `rate-limit:${key}:${identifier}`;
+
         try {
             if (!this.redisClient?.isOpen) {
-                return true;
+                return this.checkMemoryRateLimit(rateLimitKey, max, ttl);
             }
             
-            const rateLimitKey = `rate-limit:${key}:${identifier}`;
             const attempts = await this.redisClient.incr(rateLimitKey);
             
             if (attempts === 1) {
-                await this.redisClient.expire(rateLimitKey, RATE_LIMIT_TTL);
+                await this.redisClient.expire(rateLimitKey, ttl);
             }
             
-            return attempts <= RATE_LIMIT_MAX;
+            return attempts <= max;
         } catch (error) {
             console.error('Помилка rate limiting:', error);
-            return true;
+            return this.checkMemoryRateLimit(rateLimitKey, max, ttl);
         }
     }
 
-    createHttpMiddleware(requireSecret = false, isServerEndpoint = false) {
-        return async (req, res, next) => {
+    createHttpMiddleware(requireSecret = false, isServerEndpoint = false, requiredScope = null) {
+        return this.guardHttpAuth(async (req, res, next) => {
             if (req.method === 'OPTIONS') return next();
             
             const origin = req.headers.origin;
@@ -107,7 +158,7 @@ class UnifiedAuth {
                         message: 'Server endpoint requires secret key'
                     });
                 }
-                if (!authData.apiKey || !AuthValidationUtils.validateKey(authData.apiKey)) {
+                if (!authData.apiKey || !await AuthValidationUtils.validateKey(authData.apiKey)) {
                     return ResponseUtils.sendError(res, {
                         statusCode: 403,
                         message: 'Server endpoint requires valid API key'
@@ -122,7 +173,11 @@ class UnifiedAuth {
                     });
                 }
                 
-                if (!authData.apiKey || !AuthValidationUtils.validateKey(authData.apiKey)) {
+                const hasCredential = authData.apiKey
+                    ? await AuthValidationUtils.validateKey(authData.apiKey)
+                    : !!(await AuthValidationUtils.verifyViewerToken(authData.viewerToken));
+
+                if (!hasCredential) {
                     return ResponseUtils.sendError(res, {
                         statusCode: 401,
                         message: 'Valid API key required'
@@ -130,7 +185,7 @@ class UnifiedAuth {
                 }
             }
 
-            const validation = AuthValidationUtils.validateAuthForContext(
+            const validation = await AuthValidationUtils.validateAuthForContext(
                 authData, 
                 requireSecret, 
                 false
@@ -144,6 +199,15 @@ class UnifiedAuth {
                 });
             }
 
+            if (!requireSecret && !AuthValidationUtils.hasScope(validation.scopes, requiredScope)) {
+                return ResponseUtils.sendError(res, {
+                    statusCode: 403,
+                    code: 'INSUFFICIENT_SCOPE',
+                    message: `API ключ не має права ${requiredScope}`,
+                    details: { requiredScope, grantedScopes: validation.scopes }
+                });
+            }
+
             if (!await this.checkRateLimit(validation.keyForRateLimit, clientIp)) {
                 return ResponseUtils.sendError(res, {
                     statusCode: 429,
@@ -151,13 +215,80 @@ class UnifiedAuth {
                 });
             }
 
-            req.apiKey = authData.apiKey;
+            req.apiKey = validation.resolvedKey;
+            req.apiKeyScopes = validation.scopes;
+            req.authType = validation.authType;
+            req.apiKeyToken = authData.apiKey;
             req.isAllowedOrigin = isAllowedOrigin;
             req.isServerEndpoint = isServerEndpoint;
             if (authData.secretKey) {
                 req.secretKey = authData.secretKey;
             }
             next();
+        });
+    }
+
+    createSecretOnlyMiddleware() {
+        return this.guardHttpAuth(async (req, res, next) => {
+            if (req.method === 'OPTIONS') return next();
+
+            const authData = AuthValidationUtils.extractAuthData(req);
+            const clientIp = req.ip || req.connection.remoteAddress || 'unknown';
+
+            if (!authData.secretKey || !AuthValidationUtils.validateSecretKey(authData.secretKey)) {
+                return ResponseUtils.sendError(res, {
+                    statusCode: 403,
+                    message: 'Server endpoint requires secret key'
+                });
+            }
+
+            if (!await this.checkRateLimit(authData.secretKey, clientIp)) {
+                return ResponseUtils.sendError(res, {
+                    statusCode: 429,
+                    message: 'Перевищено ліміт запитів'
+                });
+            }
+
+            req.secretKey = authData.secretKey;
+            req.isServerEndpoint = true;
+            next();
+        });
+    }
+
+    createRateLimitMiddleware(name, { max, windowSeconds }) {
+        return this.guardHttpAuth(async (req, res, next) => {
+            if (req.method === 'OPTIONS') return next();
+
+            const identifier = req.apiKey || req.ip || req.connection.remoteAddress || 'unknown';
+
+            if (!await this.checkRateLimit(`route:${name}`, identifier, max, windowSeconds)) {
+                res.set('Retry-After', String(windowSeconds));
+                return ResponseUtils.sendError(res, {
+                    statusCode: 429,
+                    code: 'RATE_LIMIT_EXCEEDED',
+                    message: 'Перевищено ліміт запитів для цього маршруту',
+                    details: { limit: max, windowSeconds }
+                });
+            }
+
+            next();
+        });
+    }
+
+    guardHttpAuth(handler) {
+        return async (req, res, next) => {
+            try {
+                await handler(req, res, next);
+            } catch (error) {
+                console.error('Помилка автентифікації:', error);
+                if (!res.headersSent) {
+                    ResponseUtils.sendError(res, {
+                        statusCode: 503,
+                        code: 'AUTH_UNAVAILABLE',
+                        message: 'Сервіс автентифікації тимчасово недоступний'
+                    });
+                }
+            }
         };
     }
 
@@ -167,10 +298,11 @@ class UnifiedAuth {
         const isAllowedOrigin = !origin || this.isOriginAllowed(origin);
         
         if (isAllowedOrigin) {
-            const authType = AuthValidationUtils.determineAuthType(authData);
+            const authType = await AuthValidationUtils.determineAuthType(authData);
             if (authType.isValid) {
                 const sessionId = await this.createSession(socket.id, authType.key, authData.playerId);
                 socket.authKey = authType.key;
+                socket.authCredential = authType.credential;
                 socket.sessionId = sessionId;
                 socket.authType = authType.type;
                 socket.isAllowedOrigin = true;
@@ -179,6 +311,7 @@ class UnifiedAuth {
             
             socket.authType = 'none';
             socket.authKey = null;
+            socket.authCredential = null;
             socket.isAllowedOrigin = true;
             return next();
         } else {
@@ -186,10 +319,11 @@ class UnifiedAuth {
                 return next(new Error('Unauthorized origin requires secret key'));
             }
             
-            const authType = AuthValidationUtils.determineAuthType(authData);
+            const authType = await AuthValidationUtils.determineAuthType(authData);
             if (authType.isValid && authType.type === 'secret_key') {
                 const sessionId = await this.createSession(socket.id, authType.key, authData.playerId);
                 socket.authKey = authType.key;
+                socket.authCredential = authType.credential;
                 socket.sessionId = sessionId;
                 socket.authType = authType.type;
                 socket.isAllowedOrigin = false;
@@ -212,23 +346,15 @@ class UnifiedAuth {
             }
         }
         
-        const messageAuthData = AuthValidationUtils.extractAuthData(data);
-        
-        let finalAuthData = messageAuthData;
-        if (socket.authKey) {
-            finalAuthData = {
-                ...messageAuthData,
-                [socket.authType === 'secret_key' ? 'secretKey' : 'apiKey']: socket.authKey
-            };
-        }
+        const finalAuthData = AuthValidationUtils.getSocketAuthData(socket, AuthValidationUtils.extractAuthData(data));
 
-        const validation = AuthValidationUtils.validateAuthForContext(
+        const validation = await AuthValidationUtils.validateAuthForContext(
             finalAuthData,
             socket.authType === 'secret_key' || !!finalAuthData.secretKey || !socket.isAllowedOrigin,
             requiresPlayerId
         );
 
-        if (!validation.isValid && socket.isAllowedOrigin && !finalAuthData.apiKey && !finalAuthData.secretKey) {
+        if (!validation.isValid && socket.isAllowedOrigin && !finalAuthData.apiKey && !finalAuthData.secretKey && !finalAuthData.viewerToken) {
             return true;
         }
 
@@ -320,6 +446,7 @@ class UnifiedAuth {
 
     destroy() {
         this.authCache.destroy();
+        this.memoryRateLimiter.destroy();
     }
 }
 
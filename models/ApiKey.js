@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { ALL_SCOPES } = require('../config/scopes');
+
+const ApiKeySchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    namespace: {
+        type: String,
+        required: true,
+        index: true
+    },
+    label: {
+        type: String,
+        default: '',
+        maxlength: 200
+    },
+    scopes: {
+        type: [{ type: String, enum: ALL_SCOPES }],
+        default: () => [...ALL_SCOPES]
+    },
+    status: {
+        type: String,
+        enum: ['active', 'revoked'],
+        default: 'active',
+        index: true
+    },
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    rotatedFrom: {
+        type: String,
+        default: null
+    },
+    rotatedTo: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+ApiKeySchema.statics.namespaceExists = function(namespace) {
+    return this.exists({ namespace });
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
\ No newline at end of file
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 90;
+
+const AuditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    key: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'success', 'failed'],
+        default: 'success'
+    },
+    operationId: {
+        type: String,
+        default: undefined
+    },
+    actor: {
+        key: { type: String, default: null },
+        authType: { type: String, default: null },
+        transport: { type: String, enum: ['http', 'websocket'], required: true },
+        ip: { type: String, default: null },
+        socketId: { type: String, default: null },
+        origin: { type: String, default: null }
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({})
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    minimize: false,
+    versionKey: false
+});
+
+AuditLogSchema.index({ operationId: 1 }, { unique: true, sparse: true });
+AuditLogSchema.index({ key: 1, timestamp: -1 });
+AuditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const playerStatsSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    damage: { type: Number, default: 0 },
+    kills: { type: Number, default: 0 },
+    points: { type: Number, default: 0 },
+    vehicle: { type: String, default: 'Unknown Vehicle' }
+}, { _id: false, strict: false });
+
+const BattleSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    battleId: {
+        type: String,
+        required: true
+    },
+    startTime: { type: Number, default: Date.now },
+    duration: { type: Number, default: 0 },
+    win: { type: Number, default: -1 },
+    mapName: { type: String, default: 'Unknown Map' },
+    players: {
+        type: Map,
+        of: playerStatsSchema,
+        default: () => new Map()
+    }
+}, {
+    strict: false,
+    minimize: false,
+    versionKey: false
+});
+
+BattleSchema.index({ key: 1, battleId: 1 }, { unique: true });
+BattleSchema.index({ key: 1, startTime: -1 });
+BattleSchema.index({ key: 1, win: 1 });
+
+BattleSchema.statics.findByKey = function(key) {
+    return this.find({ key });
+};
+
+BattleSchema.statics.addBattle = function(key, battleId, battleData) {
+    return this.updateOne(
+        { key, battleId: String(battleId) },
+        { $set: battleData },
+        { upsert: true }
+    );
+};
+
+BattleSchema.statics.removeBattle = function(key, battleId) {
+    return this.deleteOne({ key, battleId: String(battleId) });
+};
+
+BattleSchema.statics.clearAllBattles = function(key) {
+    return this.deleteMany({ key });
+};
+
+module.exports = mongoose.model('Battle', BattleSchema);
\ No newline at end of file
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const ImportJobSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'done', 'failed'],
+        default: 'queued',
+        index: true
+    },
+    strategy: {
+        type: String,
+        default: 'overwrite'
+    },
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    totalBattles: {
+        type: Number,
+        default: 0
+    },
+    processedBattles: {
+        type: Number,
+        default: 0
+    },
+    progress: {
+        type: Number,
+        default: 0
+    },
+    summary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    revision: {
+        type: Number,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    minimize: false,
+    versionKey: false
+});
+
+ImportJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ImportJob', ImportJobSchema);
\ No newline at end of file
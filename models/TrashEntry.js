@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const TrashEntrySchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['battle', 'stats'],
+        required: true
+    },
+    battleId: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'active'],
+        default: 'active'
+    },
+    battleCount: {
+        type: Number,
+        default: 0
+    },
+    playerInfo: {
+        type: mongoose.Schema.Types.Mixed,
+        default: () => ({})
+    },
+    playerInfoCount: {
+        type: Number,
+        default: 0
+    },
+    deletedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        index: true
+    }
+}, {
+    minimize: false,
+    versionKey: false
+});
+
+TrashEntrySchema.index({ status: 1, deletedAt: 1 });
+
+module.exports = mongoose.model('TrashEntry', TrashEntrySchema);
\ No newline at end of file
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const TrashedBattleSchema = new mongoose.Schema({
+    trashId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    battleId: {
+        type: String,
+        required: true
+    }
+}, {
+    strict: false,
+    minimize: false,
+    versionKey: false
+});
+
+module.exports = mongoose.model('TrashedBattle', TrashedBattleSchema);
\ No newline at end of file
@@ -0,0 +1,149 @@
+const ApiKey = require('../models/ApiKey');
+const LRUCache = require('../utils/LRUCache');
+const metrics = require('../config/metrics');
+
+const LOCAL_CACHE_TTL = 10000;
+const REDIS_CACHE_TTL = 300;
+const MISSING = { missing: true };
+
+class ApiKeyRepository {
+    constructor() {
+        this.cache = new LRUCache(1000, 5);
+        this.redisClient = null;
+        metrics.trackCache('api_keys', this.cache);
+        this.cleanupInterval = setInterval(() => this.cache.cleanup(), 60000);
+    }
+
+    setRedisClient(client) {
+        this.redisClient = client;
+    }
+
+    getRedisKey(key) {
+        return `api-key:${key}`;
+    }
+
+    async readRedis(key) {
+        try {
+            if (!this.redisClient?.isOpen) return null;
+            const cached = await this.redisClient.get(this.getRedisKey(key));
+            return cached ? JSON.parse(cached) : null;
+        } catch (error) {
+            console.error('Помилка читання ключа з Redis:', error);
+            return null;
+        }
+    }
+
+    async writeRedis(key, value) {
+        try {
+            if (!this.redisClient?.isOpen) return;
+            await this.redisClient.set(this.getRedisKey(key), JSON.stringify(value), { EX: REDIS_CACHE_TTL });
+        } catch (error) {
+            console.error('Помилка запису ключа в Redis:', error);
+        }
+    }
+
+    async findByKey(key) {
+        const cached = this.cache.get(key) || await this.readRedis(key);
+        if (cached) {
+            this.cache.set(key, cached, LOCAL_CACHE_TTL);
+            return cached.missing ? null : cached;
+        }
+
+        try {
+            const record = await ApiKey.findById(key).lean();
+            const value = record || MISSING;
+            this.cache.set(key, value, LOCAL_CACHE_TTL);
+            await this.writeRedis(key, value);
+            return record;
+        } catch (error) {
+            console.error('❌ Помилка в findByKey (ApiKey):', error);
+            throw error;
+        }
+    }
+
+    async invalidate(key) {
+        this.cache.delete(key);
+        try {
+            if (this.redisClient?.isOpen) {
+                await this.redisClient.del(this.getRedisKey(key));
+            }
+        } catch (error) {
+            console.error('Помилка інвалідації ключа в Redis:', error);
+        }
+    }
+
+    async create(record) {
+        try {
+            const created = await ApiKey.create(record);
+            await this.invalidate(record._id);
+            return created.toObject();
+        } catch (error) {
+            console.error('❌ Помилка створення ключа:', error);
+            throw error;
+        }
+    }
+
+    async update(key, changes) {
+        try {
+            const updated = await ApiKey.findByIdAndUpdate(key, { $set: changes }, { new: true, runValidators: true }).lean();
+            await this.invalidate(key);
+            return updated;
+        } catch (error) {
+            console.error('❌ Помилка оновлення ключа:', error);
+            throw error;
+        }
+    }
+
+    async list(filter = {}) {
+        try {
+            return await ApiKey.find(filter).sort({ createdAt: -1 }).lean();
+        } catch (error) {
+            console.error('❌ Помилка отримання списку ключів:', error);
+            throw error;
+        }
+    }
+
+    async namespaceExists(namespace) {
+        return !!(await ApiKey.namespaceExists(namespace));
+    }
+
+    async findExisting(keys) {
+        if (!keys || keys.length === 0) return [];
+
+        try {
+            return await ApiKey.find({ _id: { $in: keys } }, { _id: 1 }).lean();
+        } catch (error) {
+            console.error('❌ Помилка перевірки наявних ключів:', error);
+            throw error;
+        }
+    }
+
+    async seed(keys) {
+        if (!keys || keys.length === 0) return { upsertedCount: 0 };
+
+        try {
+            return await ApiKey.bulkWrite(keys.map(key => ({
+                updateOne: {
+                    filter: { _id: key },
+                    update: { $setOnInsert: { namespace: key, label: 'legacy', status: 'active' } },
+                    upsert: true
+                }
+            })), { ordered: false });
+        } catch (error) {
+            console.error('❌ Помилка імпорту початкових ключів:', error);
+            throw error;
+        }
+    }
+
+    destroy() {
+        clearInterval(this.cleanupInterval);
+        this.cache.clear();
+    }
+}
+
+const repository = new ApiKeyRepository();
+
+process.on('SIGINT', () => repository.destroy());
+process.on('SIGTERM', () => repository.destroy());
+
+module.exports = repository;
\ No newline at end of file
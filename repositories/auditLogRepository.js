@@ -0,0 +1,39 @@
+const AuditLog = require('../models/AuditLog');
+
+class AuditLogRepository {
+    get collectionName() {
+        return AuditLog.collection.collectionName;
+    }
+
+    async create(entry) {
+        try {
+            const created = await AuditLog.create(entry);
+            return created.toObject();
+        } catch (error) {
+            if (error.code !== 11000) {
+                console.error('❌ Помилка запису в журнал аудиту:', error);
+            }
+            throw error;
+        }
+    }
+
+    async find(filter, limit) {
+        try {
+            return await AuditLog.find(filter).sort({ _id: -1 }).limit(limit).lean();
+        } catch (error) {
+            console.error('❌ Помилка читання журналу аудиту:', error);
+            throw error;
+        }
+    }
+
+    async updateByOperationId(operationId, fields) {
+        try {
+            return await AuditLog.findOneAndUpdate({ operationId }, { $set: fields }, { new: true }).lean();
+        } catch (error) {
+            console.error('❌ Помилка оновлення журналу аудиту:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new AuditLogRepository();
\ No newline at end of file
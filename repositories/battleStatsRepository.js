@@ -1,10 +1,82 @@
 const BattleStats = require('../models/BattleStats');
+const Battle = require('../models/Battle');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
 const mongoose = require('mongoose');
 const LRUCache = require('../utils/LRUCache');
+const metrics = require('../config/metrics');
+const BATTLE_RESULT = require('../config/battleResult');
+const CursorCodec = require('../utils/cursorCodec');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const CHANGE_LOG_LIMIT = parseInt(process.env.CHANGE_LOG_LIMIT) || 200;
+const SNAPSHOT_BUCKET = 'databaseSnapshots';
+const REVISION_RETRIES = 5;
+const FULL_FETCH_LIMIT = parseInt(process.env.FULL_FETCH_LIMIT) || 5000;
+const DERIVED_CACHE_PREFIXES = ['paginated', 'player-summary', 'leaderboard'];
+
+const playersArray = (playersPath = "$players") => ({ $objectToArray: { $ifNull: [playersPath, {}] } });
+
+const sortValueExpression = (sortField) => sortField === 'totalDamage'
+    ? { $sum: { $map: { input: playersArray(), as: "p", in: "$$p.v.damage" } } }
+    : `$${sortField}`;
+
+const toBattleEntry = ({ _id, key, battleId, sortValue, ...battle }) => ({ ...battle, players: battle.players || {} });
+
+const toBattleStatsObject = (battles) => Object.fromEntries(
+    battles.map(battle => [battle.battleId, toBattleEntry(battle)])
+);
+
+const splitUpdates = (updates = {}) => {
+    const meta = {};
+    const battles = new Map();
+
+    for (const [operator, fields] of Object.entries(updates)) {
+        for (const [path, value] of Object.entries(fields || {})) {
+            if (!path.startsWith('BattleStats.')) {
+                meta[operator] = { ...meta[operator], [path]: value };
+                continue;
+            }
+
+            const [, battleId, ...rest] = path.split('.');
+            if (!battles.has(battleId)) {
+                battles.set(battleId, { remove: false, update: {} });
+            }
+
+            const entry = battles.get(battleId);
+            if (rest.length > 0) {
+                entry.update[operator] = { ...entry.update[operator], [rest.join('.')]: value };
+            } else if (operator === '$unset') {
+                entry.remove = true;
+            } else {
+                entry.update[operator] = { ...entry.update[operator], ...value };
+            }
+        }
+    }
+
+    return { meta, battles };
+};
+
+const toBattleOperations = (key, battles) => {
+    const operations = [];
+
+    for (const [battleId, { remove, update }] of battles) {
+        if (remove) {
+            operations.push({ deleteOne: { filter: { key, battleId } } });
+        } else if (Object.keys(update).length > 0) {
+            operations.push({ updateOne: { filter: { key, battleId }, update, upsert: true } });
+        }
+    }
+
+    return operations;
+};
 
 class BattleStatsRepository {
     constructor() {
         this.cache = new LRUCache(100, 50);
+        this.fullFetchLimit = FULL_FETCH_LIMIT;
+        metrics.trackCache('battle_stats', this.cache);
         this.cleanupInterval = setInterval(() => this.cache.cleanup(), 60000);
     }
 
@@ -15,7 +87,7 @@ class BattleStatsRepository {
                 if (cached) return cached;
             }
 
-            const result = await BattleStats.findById(key).lean();
+            const result = await this.loadStatsDocument(key, this.fullFetchLimit);
             
             if (result && useCache) {
                 this.cache.set(key, result, 5000);
@@ -28,62 +100,191 @@ class BattleStatsRepository {
         }
     }
 
+    // With a limit, at most limit + 1 battles are read and an oversized key comes back flagged instead of complete
+    async loadStatsDocument(key, limit = null) {
+        const battlesQuery = Battle.find({ key }).lean();
+        if (limit) battlesQuery.limit(limit + 1);
+
+        const [meta, found] = await Promise.all([
+            BattleStats.findById(key).select('-ChangeLog -QuarantinedBattles').lean(),
+            battlesQuery
+        ]);
+
+        if (!meta && found.length === 0) return null;
+
+        const isTruncated = !!limit && found.length > limit;
+        const battles = isTruncated ? found.slice(0, limit) : found;
+
+        return {
+            _id: key,
+            ...meta,
+            BattleStats: toBattleStatsObject(battles),
+            PlayerInfo: meta?.PlayerInfo || {},
+            ...(isTruncated ? { isTruncated } : {})
+        };
+    }
+
+    async writeBattleUpdates(key, updates) {
+        const { meta, battles } = splitUpdates(updates);
+        const operations = toBattleOperations(key, battles);
+
+        if (operations.length > 0) {
+            await Battle.bulkWrite(operations, { ordered: false });
+        }
+
+        return meta;
+    }
+
     invalidateCache(key) {
         this.cache.delete(key);
+        this.cache.delete(`stats-meta:${key}`);
+        DERIVED_CACHE_PREFIXES.forEach(prefix => this.cache.deleteByPrefix(`${prefix}:${key}:`));
+    }
+
+    async findBattles(key, battleIds) {
+        try {
+            const battles = await Battle.find({ key, battleId: { $in: battleIds } }).lean();
+            return toBattleStatsObject(battles);
+        } catch (error) {
+            console.error('❌ Помилка в findBattles:', error);
+            throw error;
+        }
     }
 
-    async findOrCreate(key) {
-        let statsDoc = await this.findByKey(key);
-        if (!statsDoc) {
-            statsDoc = new BattleStats({
-                _id: key,
-                BattleStats: new Map(),
-                PlayerInfo: new Map()
+    async getStatsMeta(key) {
+        const cacheKey = `stats-meta:${key}`;
+
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const result = await BattleStats.findById(key).select('PlayerInfo revision').lean();
+            const meta = {
+                PlayerInfo: result?.PlayerInfo || {},
+                revision: result?.revision || 0
+            };
+            this.cache.set(cacheKey, meta, 5000);
+            return meta;
+        } catch (error) {
+            console.error('❌ Помилка в getStatsMeta:', error);
+            throw error;
+        }
+    }
+
+    buildBattleFilterMatch(key, filters = {}) {
+        const match = { key };
+        const expressions = [];
+
+        if (filters.mapName) {
+            match.mapName = { $regex: `^${escapeRegex(filters.mapName)}$`, $options: 'i' };
+        }
+
+        if (filters.win && filters.win.length > 0) {
+            match.win = { $in: filters.win };
+        }
+
+        if (filters.from !== null && filters.from !== undefined) {
+            match.startTime = { ...match.startTime, $gte: filters.from };
+        }
+
+        if (filters.to !== null && filters.to !== undefined) {
+            match.startTime = { ...match.startTime, $lte: filters.to };
+        }
+
+        if (filters.minDuration) {
+            match.duration = { $gte: filters.minDuration };
+        }
+
+        if (filters.playerId) {
+            expressions.push({
+                $in: [filters.playerId, { $map: { input: playersArray(), as: "p", in: "$$p.k" } }]
+            });
+        }
+
+        if (filters.vehicle) {
+            const players = filters.playerId
+                ? {
+                    $filter: {
+                        input: playersArray(),
+                        as: "p",
+                        cond: { $eq: ["$$p.k", filters.playerId] }
+                    }
+                }
+                : playersArray();
+
+            expressions.push({
+                $in: [
+                    filters.vehicle.toLowerCase(),
+                    { $map: { input: players, as: "p", in: { $toLower: { $ifNull: ["$$p.v.vehicle", ""] } } } }
+                ]
             });
         }
-        return statsDoc;
+
+        if (expressions.length > 0) {
+            match.$expr = expressions.length === 1 ? expressions[0] : { $and: expressions };
+        }
+
+        return match;
     }
 
-    async getPaginatedBattles(key, page = 1, limit = 10) {
+    async getPaginatedBattles(key, page = 1, limit = 10, query = {}) {
+        const { filters = {}, sort = {}, cursor = null } = query;
+        const sortField = sort.field || 'startTime';
+        const sortOrder = sort.order === 'asc' ? 1 : -1;
         const skip = (page - 1) * limit;
-        const cacheKey = `paginated:${key}:${page}:${limit}`;
+        const cacheKey = `paginated:${key}:${page}:${limit}:${JSON.stringify(query)}`;
         
         const cached = this.cache.get(cacheKey);
         if (cached) return cached;
 
         try {
-            const results = await BattleStats.aggregate([
-                { $match: { _id: key } },
-                {
-                    $project: {
-                        PlayerInfo: "$PlayerInfo",
-                        BattleStats: { $objectToArray: "$BattleStats" }
-                    }
-                },
-                { $unwind: "$BattleStats" },
-                { $sort: { "BattleStats.v.startTime": -1 } },
-                { $skip: skip },
-                { $limit: limit },
-                {
-                    $group: {
-                        _id: "$_id",
-                        PlayerInfo: { $first: "$PlayerInfo" },
-                        BattleStats: { $push: "$BattleStats" }
-                    }
-                },
-                {
-                    $project: {
-                        _id: 1,
-                        PlayerInfo: 1,
-                        BattleStats: { $arrayToObject: "$BattleStats" }
+            const pipeline = [
+                { $match: this.buildBattleFilterMatch(key, filters) }
+            ];
+
+            pipeline.push({ $addFields: { sortValue: sortValueExpression(sortField) } });
+
+            if (cursor && limit > 0) {
+                const after = sortOrder === 1 ? "$gt" : "$lt";
+                pipeline.push({
+                    $match: {
+                        $or: [
+                            { sortValue: { [after]: cursor.value } },
+                            { sortValue: cursor.value, battleId: { [after]: cursor.id } }
+                        ]
                     }
+                });
+            }
+
+            pipeline.push({ $sort: { sortValue: sortOrder, battleId: sortOrder } });
+
+            if (limit > 0) {
+                if (!cursor) {
+                    pipeline.push({ $skip: skip });
                 }
-            ]);
+                pipeline.push({ $limit: limit + 1 });
+            }
+
+            const results = await Battle.aggregate(pipeline);
 
             if (results.length > 0) {
-                const doc = results[0];
-                doc.BattleStats = new Map(Object.entries(doc.BattleStats || {}));
-                doc.PlayerInfo = new Map(Object.entries(doc.PlayerInfo || {}));
+                const battles = limit > 0 ? results.slice(0, limit) : results;
+                const doc = {
+                    _id: key,
+                    BattleStats: new Map(battles.map(battle => [battle.battleId, toBattleEntry(battle)])),
+                    PlayerInfo: new Map(),
+                    nextCursor: null
+                };
+
+                if (limit > 0 && results.length > limit) {
+                    const last = battles[battles.length - 1];
+                    doc.nextCursor = CursorCodec.encode(
+                        { field: sortField, order: sort.order === 'asc' ? 'asc' : 'desc' },
+                        last.sortValue,
+                        last.battleId
+                    );
+                }
+
                 this.cache.set(cacheKey, [doc], 3000);
                 return [doc];
             }
@@ -95,129 +296,244 @@ class BattleStatsRepository {
         }
     }
 
-    async bulkUpdateBattleStats(operations) {
-        try {
-            if (!operations || operations.length === 0) {
-                return { acknowledged: true, modifiedCount: 0 };
+    streamBattleRows(key, { filters = {}, sort = {} } = {}) {
+        const sortOrder = sort.order === 'asc' ? 1 : -1;
+
+        return Battle.aggregate([
+            { $match: this.buildBattleFilterMatch(key, filters) },
+            { $addFields: { sortValue: sortValueExpression(sort.field || 'startTime') } },
+            { $sort: { sortValue: sortOrder, battleId: sortOrder } },
+            {
+                $project: {
+                    _id: 0,
+                    battleId: 1,
+                    startTime: 1,
+                    duration: 1,
+                    win: 1,
+                    mapName: 1,
+                    players: playersArray()
+                }
+            },
+            { $unwind: "$players" },
+            {
+                $project: {
+                    battleId: 1,
+                    startTime: 1,
+                    duration: 1,
+                    win: 1,
+                    mapName: 1,
+                    playerId: "$players.k",
+                    name: "$players.v.name",
+                    vehicle: "$players.v.vehicle",
+                    damage: "$players.v.damage",
+                    kills: "$players.v.kills",
+                    points: "$players.v.points"
+                }
             }
+        ]).allowDiskUse(true).cursor({ batchSize: 500 });
+    }
 
-            const parallelBatches = [];
-            const batchSize = 10;
-            
-            for (let i = 0; i < operations.length; i += batchSize) {
-                const batch = operations.slice(i, i + batchSize);
-                parallelBatches.push(this.processBatch(batch));
+    buildPlayerTotalsPipeline(key, { playerId = null, from = null, to = null } = {}) {
+        const match = { key };
+
+        if (from !== null || to !== null) {
+            match.startTime = {};
+            if (from !== null) match.startTime.$gte = from;
+            if (to !== null) match.startTime.$lte = to;
+        }
+
+        const pipeline = [
+            { $match: match },
+            { $project: { startTime: 1, win: 1, players: playersArray() } },
+            { $unwind: "$players" }
+        ];
+
+        if (playerId !== null) {
+            pipeline.push({ $match: { "players.k": playerId } });
+        }
+
+        pipeline.push(
+            { $sort: { startTime: 1 } },
+            {
+                $group: {
+                    _id: "$players.k",
+                    name: { $last: "$players.v.name" },
+                    battles: { $sum: 1 },
+                    wins: { $sum: { $cond: [{ $eq: ["$win", BATTLE_RESULT.WIN] }, 1, 0] } },
+                    losses: { $sum: { $cond: [{ $eq: ["$win", BATTLE_RESULT.LOSS] }, 1, 0] } },
+                    draws: { $sum: { $cond: [{ $eq: ["$win", BATTLE_RESULT.DRAW] }, 1, 0] } },
+                    totalDamage: { $sum: "$players.v.damage" },
+                    totalKills: { $sum: "$players.v.kills" },
+                    totalPoints: { $sum: "$players.v.points" },
+                    firstBattleAt: { $min: "$startTime" },
+                    lastBattleAt: { $max: "$startTime" }
+                }
             }
+        );
 
-            const results = await Promise.all(parallelBatches);
-            
-            const totalModified = results.reduce((sum, r) => sum + (r.modifiedCount || 0), 0);
-            
-            return {
-                acknowledged: true,
-                modifiedCount: totalModified
-            };
+        return pipeline;
+    }
+
+    async getPlayerAggregate(key, playerId) {
+        const cacheKey = `player-summary:${key}:${playerId}`;
+
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
+
+        try {
+            const results = await Battle.aggregate(this.buildPlayerTotalsPipeline(key, { playerId }));
+
+            const aggregate = results.length > 0 ? results[0] : null;
+            if (aggregate) {
+                this.cache.set(cacheKey, aggregate, 3000);
+            }
+
+            return aggregate;
         } catch (error) {
-            console.error('❌ Помилка в bulkUpdateBattleStats:', error);
+            console.error('❌ Помилка в getPlayerAggregate:', error);
             throw error;
         }
     }
 
-    async processBatch(operations) {
-        operations.forEach(op => this.invalidateCache(op.key));
-        
-        const bulkOps = operations.map(op => ({
-            updateOne: {
-                filter: { _id: op.key },
-                update: op.updates,
-                upsert: true
-            }
-        }));
+    async getLeaderboard(key, { sortField, from = null, to = null, limit = 10, minBattles = 1 }) {
+        const cacheKey = `leaderboard:${key}:${sortField}:${from}:${to}:${limit}:${minBattles}`;
 
-        return BattleStats.bulkWrite(bulkOps, { ordered: false });
-    }
+        const cached = this.cache.get(cacheKey);
+        if (cached) return cached;
 
-    async updateBattleStats(key, updates) {
         try {
-            this.invalidateCache(key);
-            
-            const result = await BattleStats.updateOne(
-                { _id: key }, 
-                updates, 
-                { upsert: true }
-            );
-            
-            return result;
+            const finishedBattles = { $add: ["$wins", "$losses", "$draws"] };
+            const results = await Battle.aggregate([
+                ...this.buildPlayerTotalsPipeline(key, { from, to }),
+                { $match: { battles: { $gte: minBattles } } },
+                {
+                    $addFields: {
+                        averageDamage: { $divide: ["$totalDamage", "$battles"] },
+                        averageKills: { $divide: ["$totalKills", "$battles"] },
+                        averagePoints: { $divide: ["$totalPoints", "$battles"] },
+                        winRate: {
+                            $cond: [
+                                { $gt: [finishedBattles, 0] },
+                                { $multiply: [{ $divide: ["$wins", finishedBattles] }, 100] },
+                                0
+                            ]
+                        }
+                    }
+                },
+                { $sort: { [sortField]: -1, battles: -1, _id: 1 } },
+                { $limit: limit }
+            ]);
+
+            this.cache.set(cacheKey, results, 3000);
+            return results;
         } catch (error) {
-            console.error('❌ Помилка в updateBattleStats:', error);
+            console.error('❌ Помилка в getLeaderboard:', error);
             throw error;
         }
     }
 
-    async save(statsDoc) {
-        try {
-            this.invalidateCache(statsDoc._id);
+    async applyChange(key, updates, change, upsert = true) {
+        this.invalidateCache(key);
 
-            const updates = {
-                $set: {}
-            };
+        if (!upsert && !(await BattleStats.exists({ _id: key }))) {
+            return null;
+        }
+
+        const meta = await this.writeBattleUpdates(key, updates);
+
+        // The revision and its change log entry land in one write, guarded by the revision it was computed from
+        for (let attempt = 0; attempt < REVISION_RETRIES; attempt++) {
+            const current = await BattleStats.findById(key).select('revision').lean();
+            if (!current && !upsert) return null;
+
+            const previous = current?.revision ?? null;
+            const revision = (previous || 0) + 1;
 
-            if (statsDoc.BattleStats instanceof Map) {
-                for (const [battleId, battleData] of statsDoc.BattleStats) {
-                    updates.$set[`BattleStats.${battleId}`] = battleData;
-                    
-                    if (battleData.players instanceof Map) {
-                        const playersObj = {};
-                        for (const [playerId, playerData] of battleData.players) {
-                            playersObj[playerId] = playerData;
+            try {
+                const result = await BattleStats.findOneAndUpdate(
+                    { _id: key, revision: previous },
+                    {
+                        ...meta,
+                        $set: { ...meta.$set, revision },
+                        $push: {
+                            ChangeLog: {
+                                $each: [{ ...change, revision, timestamp: Date.now() }],
+                                $sort: { revision: 1 },
+                                $slice: -CHANGE_LOG_LIMIT
+                            }
                         }
-                        updates.$set[`BattleStats.${battleId}.players`] = playersObj;
-                    }
-                }
-            }
+                    },
+                    { upsert, new: true, projection: { revision: 1 } }
+                ).lean();
 
-            if (statsDoc.PlayerInfo instanceof Map) {
-                for (const [playerId, playerData] of statsDoc.PlayerInfo) {
-                    updates.$set[`PlayerInfo.${playerId}`] = playerData;
+                if (result) {
+                    // Readers that ran while the write was in flight may have cached the old state
+                    this.invalidateCache(key);
+                    return result.revision;
                 }
+            } catch (error) {
+                // A concurrent writer created the document first; the upsert collides on _id
+                if (error.code !== 11000) throw error;
             }
+        }
 
-            const result = await BattleStats.updateOne(
-                { _id: statsDoc._id },
-                updates,
-                { upsert: true }
-            );
+        throw new Error(`Не вдалося оновити ревізію для ключа ${key}: конкурентні зміни`);
+    }
 
-            return result;
+    async getChangeLog(key) {
+        try {
+            const result = await BattleStats.findById(key).select('revision ChangeLog').lean();
+            return {
+                revision: result?.revision || 0,
+                changes: result?.ChangeLog || []
+            };
         } catch (error) {
-            console.error('❌ Помилка збереження:', error);
+            console.error('❌ Помилка в getChangeLog:', error);
             throw error;
         }
     }
 
-    async clearStats(key) {
+    async updateBattleStats(key, updates, change = { type: 'statsUpdated' }) {
         try {
-            this.invalidateCache(key);
-            const result = await BattleStats.updateOne(
-                { _id: key },
-                { $set: { BattleStats: {}, PlayerInfo: {} } },
-                { upsert: true }
+            return await this.applyChange(key, updates, change);
+        } catch (error) {
+            console.error('❌ Помилка в updateBattleStats:', error);
+            throw error;
+        }
+    }
+
+    async replaceStats(key, updates, change) {
+        try {
+            await Battle.clearAllBattles(key);
+            return await this.applyChange(key, updates, change);
+        } catch (error) {
+            console.error('❌ Помилка заміни статистики:', error);
+            throw error;
+        }
+    }
+
+    // Battles already left the live collection through the trash move, which deletes exactly the ids it captured
+    async clearStats(key, trashId = null) {
+        try {
+            return await this.applyChange(
+                key,
+                { $set: { PlayerInfo: {} } },
+                { type: 'statsCleared', trashId }
             );
-            return result;
         } catch (error) {
             console.error('❌ Помилка очищення статистики:', error);
             throw error;
         }
     }
 
-    async deleteBattle(key, battleId) {
+    async deleteBattle(key, battleId, trashId = null) {
         try {
-            this.invalidateCache(key);
-            const result = await BattleStats.updateOne(
-                { _id: key },
-                { $unset: { [`BattleStats.${battleId}`]: "" } }
+            return await this.applyChange(
+                key,
+                { $unset: { [`BattleStats.${battleId}`]: "" } },
+                { type: 'battleDeleted', battleId, trashId },
+                false
             );
-            return result;
         } catch (error) {
             console.error('❌ Помилка видалення бою:', error);
             throw error;
@@ -227,18 +543,45 @@ class BattleStatsRepository {
     async dropDatabase() {
         try {
             this.cache.clear();
-            const result = await mongoose.connection.db.dropDatabase();
-            return result;
+            // The key registry survives so streamers keep access after a wipe, the audit trail and snapshots so it stays traceable and reversible
+            const preserved = new Set([
+                ApiKey.collection.collectionName,
+                AuditLog.collection.collectionName,
+                `${SNAPSHOT_BUCKET}.files`,
+                `${SNAPSHOT_BUCKET}.chunks`
+            ]);
+            const collections = await mongoose.connection.db.listCollections({}, { nameOnly: true }).toArray();
+            const droppable = collections.filter(({ name }) => !preserved.has(name) && !name.startsWith('system.'));
+            await Promise.all(droppable.map(({ name }) => mongoose.connection.db.dropCollection(name)));
+            return { dropped: droppable.map(({ name }) => name) };
         } catch (error) {
             console.error('❌ Помилка видалення БД:', error);
             throw error;
         }
     }
 
+    openSnapshotUpload(filename, metadata = {}) {
+        const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: SNAPSHOT_BUCKET });
+        return { bucket: SNAPSHOT_BUCKET, upload: bucket.openUploadStream(filename, { metadata }) };
+    }
+
+    async listKeys() {
+        try {
+            const [metaKeys, battleKeys] = await Promise.all([
+                BattleStats.distinct('_id'),
+                Battle.distinct('key')
+            ]);
+            return [...new Set([...metaKeys, ...battleKeys])];
+        } catch (error) {
+            console.error('❌ Помилка в listKeys:', error);
+            throw error;
+        }
+    }
+
+    // Backups must hold every battle, so this path stays unbounded; its routes are rate limited, per process when Redis is down
     async getStatsRaw(key) {
         try {
-            const result = await BattleStats.findById(key).lean();
-            return result;
+            return await this.loadStatsDocument(key);
         } catch (error) {
             console.error('❌ Помилка в getStatsRaw:', error);
             throw error;
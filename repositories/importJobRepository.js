@@ -0,0 +1,84 @@
+const ImportJob = require('../models/ImportJob');
+
+const PUBLIC_FIELDS = '-payload';
+
+class ImportJobRepository {
+    async create(job) {
+        try {
+            const created = await ImportJob.create(job);
+            const { payload, ...rest } = created.toObject();
+            return rest;
+        } catch (error) {
+            console.error('❌ Помилка створення завдання імпорту:', error);
+            throw error;
+        }
+    }
+
+    async findById(jobId) {
+        try {
+            return await ImportJob.findById(jobId).select(PUBLIC_FIELDS).lean();
+        } catch (error) {
+            console.error('❌ Помилка в findById (ImportJob):', error);
+            throw error;
+        }
+    }
+
+    async claim(jobId, staleBefore) {
+        try {
+            return await ImportJob.findOneAndUpdate(
+                {
+                    _id: jobId,
+                    $or: [
+                        { status: 'queued' },
+                        { status: 'running', lockedAt: { $lt: staleBefore } }
+                    ]
+                },
+                [{
+                    $set: {
+                        status: 'running',
+                        lockedAt: "$$NOW",
+                        startedAt: { $ifNull: ["$startedAt", "$$NOW"] }
+                    }
+                }],
+                { new: true }
+            ).lean();
+        } catch (error) {
+            console.error('❌ Помилка захоплення завдання імпорту:', error);
+            throw error;
+        }
+    }
+
+    async update(jobId, fields, unset = []) {
+        try {
+            const update = { $set: { ...fields, lockedAt: new Date() } };
+            if (unset.length > 0) {
+                update.$unset = Object.fromEntries(unset.map(field => [field, ""]));
+            }
+
+            return await ImportJob.findByIdAndUpdate(jobId, update, { new: true })
+                .select(PUBLIC_FIELDS)
+                .lean();
+        } catch (error) {
+            console.error('❌ Помилка оновлення завдання імпорту:', error);
+            throw error;
+        }
+    }
+
+    async findResumable(staleBefore) {
+        try {
+            const jobs = await ImportJob.find({
+                $or: [
+                    { status: 'queued' },
+                    { status: 'running', lockedAt: { $lt: staleBefore } }
+                ]
+            }).select('_id').sort({ createdAt: 1 }).lean();
+
+            return jobs.map(job => job._id);
+        } catch (error) {
+            console.error('❌ Помилка пошуку незавершених завдань імпорту:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new ImportJobRepository();
\ No newline at end of file
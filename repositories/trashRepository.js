@@ -0,0 +1,125 @@
+const Battle = require('../models/Battle');
+const TrashEntry = require('../models/TrashEntry');
+const TrashedBattle = require('../models/TrashedBattle');
+
+const LIST_FIELDS = '-playerInfo';
+
+class TrashRepository {
+    async moveBattles(trashId, match) {
+        try {
+            await Battle.aggregate([
+                { $match: match },
+                { $project: { _id: 0 } },
+                { $addFields: { trashId } },
+                { $merge: { into: TrashedBattle.collection.collectionName } }
+            ]);
+
+            // Only battles that made it into the trash are removed from the live collection
+            const battleIds = await TrashedBattle.distinct('battleId', { trashId });
+            if (battleIds.length > 0) {
+                await Battle.deleteMany({ key: match.key, battleId: { $in: battleIds } });
+            }
+
+            return battleIds.length;
+        } catch (error) {
+            console.error('❌ Помилка переміщення боїв у кошик:', error);
+            throw error;
+        }
+    }
+
+    async createEntry(entry) {
+        try {
+            const created = await TrashEntry.create(entry);
+            const { playerInfo, ...rest } = created.toObject();
+            return rest;
+        } catch (error) {
+            console.error('❌ Помилка створення запису кошика:', error);
+            throw error;
+        }
+    }
+
+    async activateEntry(trashId, changes = {}) {
+        try {
+            return await TrashEntry.findByIdAndUpdate(
+                trashId,
+                { $set: { ...changes, status: 'active' } },
+                { new: true }
+            ).select(LIST_FIELDS).lean();
+        } catch (error) {
+            console.error('❌ Помилка активації запису кошика:', error);
+            throw error;
+        }
+    }
+
+    async findByKey(key) {
+        try {
+            return await TrashEntry.find({ key, status: { $ne: 'pending' } }).select(LIST_FIELDS).sort({ deletedAt: -1 }).lean();
+        } catch (error) {
+            console.error('❌ Помилка в findByKey (TrashEntry):', error);
+            throw error;
+        }
+    }
+
+    async findById(key, trashId) {
+        try {
+            return await TrashEntry.findOne({ _id: trashId, key }).lean();
+        } catch (error) {
+            console.error('❌ Помилка в findById (TrashEntry):', error);
+            throw error;
+        }
+    }
+
+    async restoreBattles(trashId) {
+        try {
+            // Battles recreated after the deletion are newer than the trashed copies and win
+            await TrashedBattle.aggregate([
+                { $match: { trashId } },
+                { $project: { _id: 0, trashId: 0 } },
+                {
+                    $merge: {
+                        into: Battle.collection.collectionName,
+                        on: ['key', 'battleId'],
+                        whenMatched: 'keepExisting',
+                        whenNotMatched: 'insert'
+                    }
+                }
+            ]);
+        } catch (error) {
+            console.error('❌ Помилка відновлення боїв з кошика:', error);
+            throw error;
+        }
+    }
+
+    async remove(trashIds) {
+        try {
+            await TrashedBattle.deleteMany({ trashId: { $in: trashIds } });
+            const result = await TrashEntry.deleteMany({ _id: { $in: trashIds } });
+            return result.deletedCount;
+        } catch (error) {
+            console.error('❌ Помилка видалення записів кошика:', error);
+            throw error;
+        }
+    }
+
+    async findStalePending(before) {
+        try {
+            const entries = await TrashEntry.find({ status: 'pending', deletedAt: { $lte: before } }).select('_id').lean();
+            return entries.map(entry => entry._id);
+        } catch (error) {
+            console.error('❌ Помилка пошуку незавершених записів кошика:', error);
+            throw error;
+        }
+    }
+
+    async findExpired(now) {
+        try {
+            const entries = await TrashEntry.find({ expiresAt: { $lte: now } }).select('_id').lean();
+            return entries.map(entry => entry._id);
+        } catch (error) {
+            console.error('❌ Помилка пошуку прострочених записів кошика:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = new TrashRepository();
\ No newline at end of file
@@ -1,9 +1,16 @@
 const { unifiedAuth, cleanupSession } = require('../middleware/unifiedAuth');
 const battleStatsService = require('../services/battleStatsService');
+const notificationService = require('../services/notificationService');
+const importJobService = require('../services/importJobService');
+const trashService = require('../services/trashService');
+const databaseClearService = require('../services/databaseClearService');
+const auditLogService = require('../services/auditLogService');
 const { queue, isQueueFull } = require('../config/queue');
 const metrics = require('../config/metrics');
 const ResponseUtils = require('../utils/responseUtils');
 const AuthValidationUtils = require('../utils/authValidationUtils');
+const Validators = require('../utils/validators');
+const { SCOPES } = require('../config/scopes');
 
 const MAX_PAYLOAD_SIZE = 5 * 1024 * 1024;
 
@@ -44,14 +51,28 @@ class WebSocketHandler {
         }
     }
 
-    getTargetKey(socket, data) {
+    async getTargetKey(socket, data) {
         if (socket.authType === 'secret_key') {
-            return data.gameKey || data.key || socket.authKey;
+            return AuthValidationUtils.resolveKey(data.gameKey || data.key);
         }
         return socket.authKey;
     }
 
-    async validateRequest(socket, data, callback, requiresPlayerId = false) {
+    audit(socket, action, options = {}) {
+        auditLogService.track(action, auditLogService.fromSocket(socket), options);
+    }
+
+    async validateRequest(socket, data, callback, options = {}) {
+        try {
+            return await this.runRequestValidation(socket, data, callback, options);
+        } catch (error) {
+            console.error('Помилка валідації запиту:', error);
+            ResponseUtils.wsError(callback, 503, 'Сервіс автентифікації тимчасово недоступний', error);
+            return false;
+        }
+    }
+
+    async runRequestValidation(socket, data, callback, { requiresPlayerId = false, scope = null } = {}) {
         if (!data || typeof data !== 'object') {
             ResponseUtils.wsError(callback, 400, 'Невалідні дані запиту');
             return false;
@@ -71,22 +92,25 @@ class WebSocketHandler {
         }
 
         const messageAuthData = AuthValidationUtils.extractAuthData(data);
-        
-        let finalAuthData = messageAuthData;
-        if (socket.authKey) {
-            finalAuthData = {
-                ...messageAuthData,
-                [socket.authType === 'secret_key' ? 'secretKey' : 'apiKey']: socket.authKey
-            };
+
+        if (socket.authType === 'viewer_token' && (messageAuthData.apiKey || messageAuthData.secretKey)) {
+            ResponseUtils.wsError(callback, 403, 'Токен глядача не можна поєднувати з ключами в повідомленні', null, 'VIEWER_TOKEN_NOT_ALLOWED');
+            return false;
         }
 
+        const finalAuthData = AuthValidationUtils.getSocketAuthData(socket, messageAuthData);
+
         const isServerMode = socket.authType === 'secret_key' || !!finalAuthData.secretKey || !socket.isAllowedOrigin;
         
-        if (socket.isAllowedOrigin && !finalAuthData.apiKey && !finalAuthData.secretKey) {
+        if (socket.isAllowedOrigin && !finalAuthData.apiKey && !finalAuthData.secretKey && !finalAuthData.viewerToken) {
+            if (scope) {
+                ResponseUtils.wsError(callback, 401, 'Для цієї операції потрібен API ключ', null, 'API_KEY_REQUIRED');
+                return false;
+            }
             return true;
         }
 
-        const validation = AuthValidationUtils.validateAuthForContext(
+        const validation = await AuthValidationUtils.validateAuthForContext(
             finalAuthData,
             isServerMode, 
             requiresPlayerId
@@ -97,8 +121,13 @@ class WebSocketHandler {
             return false;
         }
 
+        if (!isServerMode && !AuthValidationUtils.hasScope(validation.scopes, scope)) {
+            ResponseUtils.wsError(callback, 403, `API ключ не має права ${scope}`, null, 'INSUFFICIENT_SCOPE');
+            return false;
+        }
+
         if (socket.authType === 'secret_key') {
-            const targetKey = this.getTargetKey(socket, data);
+            const targetKey = await this.getTargetKey(socket, data);
             if (!targetKey) {
                 ResponseUtils.wsError(callback, 400, 'Відсутній key або gameKey для secret_key операції');
                 return false;
@@ -113,13 +142,26 @@ class WebSocketHandler {
         return true;
     }
 
+    validatePayload(payload, callback, options = {}) {
+        const validation = battleStatsService.validatePayload(payload, options);
+        if (!validation.isValid) {
+            ResponseUtils.wsError(callback, 422, 'Дані не пройшли валідацію', { details: validation.errors }, 'VALIDATION_ERROR');
+            return null;
+        }
+        return validation.data;
+    }
+
     async handleUpdateStats(socket, data, callback) {
-        if (!await this.validateRequest(socket, data, callback, false)) return;
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.WRITE })) return;
         if (isQueueFull()) return ResponseUtils.wsError(callback, 503, 'Сервер перевантажено, спробуйте пізніше');
+
+        const payload = this.validatePayload(data.body || data, callback, { partial: true });
+        if (!payload) {
+            metrics.recordUpdate('websocket', false);
+            return;
+        }
         
         try {
-            metrics.totalRequests++;
-            
             if (typeof callback === 'function') {
                 callback({
                     status: 202,
@@ -130,19 +172,13 @@ class WebSocketHandler {
                 });
             }
             
-            const targetKey = this.getTargetKey(socket, data);
+            const targetKey = await this.getTargetKey(socket, data);
             
             await queue.add(async () => {
                 try {
-                    const result = await battleStatsService.processDataAsync(targetKey, data.body || data);
-                    if (result) {
-                        metrics.successfulRequests++;
-                        this.io.to(`stats_${targetKey}`).emit('statsUpdated', { 
-                            key: targetKey, 
-                            timestamp: Date.now() 
-                        });
-                    } else {
-                        metrics.failedRequests++;
+                    const result = await battleStatsService.processDataAsync(targetKey, payload);
+                    metrics.recordUpdate('websocket', !!result);
+                    if (!result) {
                         socket.emit('updateError', { 
                             key: targetKey, 
                             error: 'Обробка не вдалася', 
@@ -150,7 +186,7 @@ class WebSocketHandler {
                         });
                     }
                 } catch (error) {
-                    metrics.failedRequests++;
+                    metrics.recordUpdate('websocket', false);
                     socket.emit('updateError', { 
                         key: targetKey, 
                         error: error.message, 
@@ -164,12 +200,17 @@ class WebSocketHandler {
     }
 
     async handleGetStats(socket, data, callback) {
-        if (!await this.validateRequest(socket, data, callback)) return;
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.VIEW })) return;
+        const validation = Validators.validateBattleQuery({ cursor: data.cursor, ...(data.filters || {}) });
+        if (!validation.isValid) {
+            ResponseUtils.wsError(callback, 400, validation.errors.join('; '));
+            return;
+        }
         try {
             const page = parseInt(data.page) || 1;
             const limit = data.limit !== undefined ? parseInt(data.limit) : 100;
-            const targetKey = this.getTargetKey(socket, data);
-            const result = await battleStatsService.getStats(targetKey, page, limit);
+            const targetKey = await this.getTargetKey(socket, data);
+            const result = await battleStatsService.getStats(targetKey, page, limit, validation.query);
             
             if (typeof callback === 'function') {
                 callback({
@@ -180,80 +221,270 @@ class WebSocketHandler {
                 });
             }
         } catch (error) {
+            if (error.isOperational) {
+                return ResponseUtils.wsError(callback, error.statusCode, error.message, error, error.code);
+            }
             ResponseUtils.wsError(callback, 500, 'Помилка при завантаженні даних', error);
         }
     }
 
+    async handleGetPlayerSummary(socket, data, callback) {
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.VIEW })) return;
+        if (!data.playerId) {
+            ResponseUtils.wsError(callback, 400, 'Відсутній ID гравця');
+            return;
+        }
+        try {
+            const targetKey = await this.getTargetKey(socket, data);
+            const result = await battleStatsService.getPlayerSummary(targetKey, data.playerId);
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            ResponseUtils.wsError(callback, 500, 'Помилка при отриманні статистики гравця', error);
+        }
+    }
+
+    async handleGetLeaderboard(socket, data, callback) {
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.VIEW })) return;
+        const validation = Validators.validateLeaderboardOptions(data);
+        if (!validation.isValid) {
+            ResponseUtils.wsError(callback, 400, validation.errors.join('; '), null, 'INVALID_LEADERBOARD_QUERY');
+            return;
+        }
+        try {
+            const targetKey = await this.getTargetKey(socket, data);
+            const result = await battleStatsService.getLeaderboard(targetKey, validation.options);
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            if (error.isOperational) {
+                return ResponseUtils.wsError(callback, error.statusCode, error.message, error, error.code);
+            }
+            ResponseUtils.wsError(callback, 500, 'Помилка при побудові рейтингу гравців', error);
+        }
+    }
+
+    async handleSyncSince(socket, data, callback) {
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.VIEW })) return;
+        const sinceRevision = Number(data.revision);
+        if (!Number.isInteger(sinceRevision) || sinceRevision < 0) {
+            ResponseUtils.wsError(callback, 400, 'Відсутня або некоректна ревізія');
+            return;
+        }
+        try {
+            const targetKey = await this.getTargetKey(socket, data);
+            const result = await battleStatsService.syncSince(targetKey, sinceRevision);
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            ResponseUtils.wsError(callback, 500, 'Помилка при синхронізації змін', error);
+        }
+    }
+
     async handleImportStats(socket, data, callback) {
-        if (!await this.validateRequest(socket, data, callback)) return;
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.IMPORT })) return;
+
+        const payload = this.validatePayload(data.body || data.importData, callback);
+        if (!payload) return;
+
+        let options;
+        try {
+            options = battleStatsService.parseImportOptions(data);
+        } catch (error) {
+            return ResponseUtils.wsError(callback, error.statusCode, error.message, error, error.code);
+        }
+
+        let targetKey = null;
         try {
-            const targetKey = this.getTargetKey(socket, data);
+            targetKey = await this.getTargetKey(socket, data);
+            const job = await importJobService.createJob(targetKey, payload, options);
+            socket.join(notificationService.getJobRoomName(job.id));
+            this.audit(socket, 'importStats', {
+                key: targetKey,
+                details: { ...options, battleIds: Object.keys(payload.BattleStats), jobId: job.id }
+            });
             
             if (typeof callback === 'function') {
                 callback({
                     status: 202,
                     success: true,
                     message: 'Запит на імпорт прийнято',
+                    jobId: job.id,
+                    job,
                     timestamp: new Date().toISOString()
                 });
             }
-            await battleStatsService.importStats(targetKey, data.body || data.importData);
-            socket.emit('importCompleted', { key: targetKey, timestamp: Date.now() });
         } catch (error) {
-            const targetKey = this.getTargetKey(socket, data);
-            socket.emit('importError', { key: targetKey, error: error.message, timestamp: Date.now() });
+            this.audit(socket, 'importStats', { key: targetKey, error });
+            ResponseUtils.wsError(callback, 500, 'Не вдалося створити завдання імпорту', error, 'IMPORT_JOB_ERROR');
+        }
+    }
+
+    async handleGetImportJob(socket, data, callback) {
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.READ })) return;
+        if (!data.jobId) {
+            ResponseUtils.wsError(callback, 400, 'Відсутній ID завдання імпорту');
+            return;
+        }
+        try {
+            const targetKey = await this.getTargetKey(socket, data);
+            const job = await importJobService.getJob(targetKey, String(data.jobId));
+
+            if (!job) {
+                ResponseUtils.wsError(callback, 404, 'Завдання імпорту не знайдено', null, 'IMPORT_JOB_NOT_FOUND');
+                return;
+            }
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    job,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            ResponseUtils.wsError(callback, 500, 'Помилка при отриманні завдання імпорту', error);
         }
     }
 
     async handleClearStats(socket, data, callback) {
-        if (!await this.validateRequest(socket, data, callback)) return;
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.DELETE })) return;
+        let targetKey = null;
         try {
-            const targetKey = this.getTargetKey(socket, data);
-            await battleStatsService.clearStats(targetKey);
+            targetKey = await this.getTargetKey(socket, data);
+            const result = await battleStatsService.clearStats(targetKey);
+            this.audit(socket, 'clearStats', {
+                key: targetKey,
+                details: { trashId: result.trash?.id ?? null, revision: result.revision }
+            });
             
             if (typeof callback === 'function') {
                 callback({
                     status: 200,
                     success: true,
                     message: `Дані для ключа ${targetKey} успішно очищено`,
+                    revision: result.revision,
+                    trash: result.trash,
                     timestamp: new Date().toISOString()
                 });
             }
-            
-            this.io.to(`stats_${targetKey}`).emit('statsCleared', { key: targetKey, timestamp: Date.now() });
         } catch (error) {
+            this.audit(socket, 'clearStats', { key: targetKey, error });
             ResponseUtils.wsError(callback, 500, 'Помилка при очищенні даних', error);
         }
     }
 
     async handleDeleteBattle(socket, data, callback) {
-        if (!await this.validateRequest(socket, data, callback)) return;
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.DELETE })) return;
         if (!data.battleId) {
             ResponseUtils.wsError(callback, 400, 'Відсутній ID бою');
             return;
         }
+        let targetKey = null;
         try {
-            const targetKey = this.getTargetKey(socket, data);
-            await battleStatsService.deleteBattle(targetKey, data.battleId);
+            targetKey = await this.getTargetKey(socket, data);
+            const result = await battleStatsService.deleteBattle(targetKey, data.battleId);
+            this.audit(socket, 'deleteBattle', {
+                key: targetKey,
+                details: { battleId: String(data.battleId), trashId: result.trash?.id ?? null, revision: result.revision }
+            });
             
             if (typeof callback === 'function') {
                 callback({
                     status: 200,
                     success: true,
                     message: `Бій ${data.battleId} успішно видалено`,
+                    revision: result.revision,
+                    trash: result.trash,
                     timestamp: new Date().toISOString()
                 });
             }
-            
-            this.io.to(`stats_${targetKey}`).emit('battleDeleted', { key: targetKey, battleId: data.battleId, timestamp: Date.now() });
         } catch (error) {
+            this.audit(socket, 'deleteBattle', { key: targetKey, details: { battleId: String(data.battleId) }, error });
+            if (error.isOperational) {
+                return ResponseUtils.wsError(callback, error.statusCode, error.message, error, error.code);
+            }
             ResponseUtils.wsError(callback, 500, 'Помилка при видаленні бою', error);
         }
     }
 
+    async handleGetTrash(socket, data, callback) {
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.READ })) return;
+        try {
+            const targetKey = await this.getTargetKey(socket, data);
+            const entries = await trashService.listTrash(targetKey);
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    key: targetKey,
+                    entries,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            ResponseUtils.wsError(callback, 500, 'Помилка при отриманні вмісту кошика', error);
+        }
+    }
+
+    async handleRestoreFromTrash(socket, data, callback) {
+        if (!await this.validateRequest(socket, data, callback, { scope: SCOPES.DELETE })) return;
+        if (!data.trashId) {
+            ResponseUtils.wsError(callback, 400, 'Відсутній ID запису кошика');
+            return;
+        }
+        let targetKey = null;
+        try {
+            targetKey = await this.getTargetKey(socket, data);
+            const result = await trashService.restore(targetKey, String(data.trashId));
+            this.audit(socket, 'restoreFromTrash', {
+                key: targetKey,
+                details: { trashId: String(data.trashId), revision: result.revision, restored: result.restored }
+            });
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    message: 'Дані успішно відновлено з кошика',
+                    ...result,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            this.audit(socket, 'restoreFromTrash', { key: targetKey, details: { trashId: String(data.trashId) }, error });
+            if (error.isOperational) {
+                return ResponseUtils.wsError(callback, error.statusCode, error.message, error, error.code);
+            }
+            ResponseUtils.wsError(callback, 500, 'Помилка при відновленні даних з кошика', error);
+        }
+    }
+
     async handleClearDatabase(socket, data, callback) {
         const authData = AuthValidationUtils.extractAuthData(data);
-        const validation = AuthValidationUtils.validateAuthForContext(authData, true, false);
+        const validation = await AuthValidationUtils.validateAuthForContext(authData, true, false);
         
         if (!validation.isValid) {
             ResponseUtils.wsError(callback, 403, 'Операція потребує секретний ключ');
@@ -261,7 +492,22 @@ class WebSocketHandler {
         }
 
         try {
-            const result = await battleStatsService.clearDatabase();
+            const actor = { ...auditLogService.fromSocket(socket), authType: 'secret_key' };
+
+            if (!data.confirmationToken) {
+                if (typeof callback === 'function') {
+                    callback({
+                        status: 202,
+                        success: true,
+                        message: 'Підтвердіть очищення бази даних повторним запитом з токеном підтвердження',
+                        ...databaseClearService.issueConfirmation(actor),
+                        timestamp: new Date().toISOString()
+                    });
+                }
+                return;
+            }
+
+            const result = await databaseClearService.clear(data.confirmationToken, actor);
             
             if (typeof callback === 'function') {
                 callback({
@@ -271,15 +517,93 @@ class WebSocketHandler {
                     timestamp: new Date().toISOString()
                 });
             }
-            
-            this.io.emit('databaseCleared', { timestamp: Date.now() });
         } catch (error) {
+            if (error.isOperational) {
+                return ResponseUtils.wsError(callback, error.statusCode, error.message, error, error.code);
+            }
             ResponseUtils.wsError(callback, 500, 'Помилка при очищенні бази даних', error);
         }
     }
 
+    async handleSubscribe(socket, data, callback) {
+        if (socket.authType !== 'secret_key') {
+            ResponseUtils.wsError(callback, 403, 'Підписка на довільні ключі доступна лише з секретним ключем');
+            return;
+        }
+        if (!await this.validateRequest(socket, data, callback)) return;
+
+        try {
+            const targetKey = await AuthValidationUtils.resolveKey(data.gameKey || data.key);
+            if (!targetKey) {
+                ResponseUtils.wsError(callback, 400, 'Невалідний ключ для підписки');
+                return;
+            }
+
+            const roomName = notificationService.getRoomName(targetKey);
+            await socket.join(roomName);
+            this.getClientInfo(socket).subscriptions.add(targetKey);
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    key: targetKey,
+                    subscriptions: [...this.getClientInfo(socket).subscriptions],
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            ResponseUtils.wsError(callback, 500, 'Помилка при оформленні підписки', error);
+        }
+    }
+
+    async handleUnsubscribe(socket, data, callback) {
+        if (socket.authType !== 'secret_key') {
+            ResponseUtils.wsError(callback, 403, 'Підписка на довільні ключі доступна лише з секретним ключем');
+            return;
+        }
+        if (!await this.validateRequest(socket, data, callback)) return;
+
+        try {
+            const targetKey = await AuthValidationUtils.resolveKey(data.gameKey || data.key);
+            const clientInfo = this.getClientInfo(socket);
+            if (!targetKey || !clientInfo.subscriptions.has(targetKey)) {
+                ResponseUtils.wsError(callback, 404, 'Підписку на цей ключ не знайдено');
+                return;
+            }
+
+            await socket.leave(notificationService.getRoomName(targetKey));
+            clientInfo.subscriptions.delete(targetKey);
+
+            if (typeof callback === 'function') {
+                callback({
+                    status: 200,
+                    success: true,
+                    key: targetKey,
+                    subscriptions: [...clientInfo.subscriptions],
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            ResponseUtils.wsError(callback, 500, 'Помилка при скасуванні підписки', error);
+        }
+    }
+
+    getClientInfo(socket) {
+        if (!this.connectedClients.has(socket.id)) {
+            this.connectedClients.set(socket.id, {
+                key: null,
+                room: null,
+                subscriptions: new Set(),
+                connectedAt: Date.now()
+            });
+        }
+        return this.connectedClients.get(socket.id);
+    }
+
     handleGetQueueStatus(socket, callback) {
-        const successRate = metrics.totalRequests > 0 ? ((metrics.successfulRequests / metrics.totalRequests) * 100).toFixed(2) : '0';
+        const totals = metrics.getUpdateTotals();
+        const successRate = totals.totalRequests > 0 ? ((totals.successfulRequests / totals.totalRequests) * 100).toFixed(2) : '0';
         
         if (typeof callback === 'function') {
             callback({
@@ -289,9 +613,7 @@ class WebSocketHandler {
                 pendingCount: queue.pending,
                 isPaused: queue.isPaused,
                 metrics: {
-                    totalRequests: metrics.totalRequests,
-                    successfulRequests: metrics.successfulRequests,
-                    failedRequests: metrics.failedRequests,
+                    ...totals,
                     successRate: `${successRate}%`
                 },
                 timestamp: new Date().toISOString()
@@ -308,6 +630,40 @@ class WebSocketHandler {
     }
 }
 
+function measureEvent(event, handler) {
+    return (...args) => {
+        const stopTimer = metrics.socketDuration.startTimer({ event });
+        let isRecorded = false;
+        const record = (outcome) => {
+            if (isRecorded) return;
+            isRecorded = true;
+            stopTimer({ outcome });
+            metrics.socketEvents.inc({ event, outcome });
+        };
+
+        let isAnswered = false;
+        const callbackIndex = args.findIndex(arg => typeof arg === 'function');
+        if (callbackIndex !== -1) {
+            const callback = args[callbackIndex];
+            args[callbackIndex] = (response) => {
+                isAnswered = true;
+                record(response?.success === false ? 'error' : 'success');
+                callback(response);
+            };
+        }
+
+        return Promise.resolve()
+            .then(() => handler(...args))
+            .then(() => record('success'), (error) => {
+                record('error');
+                console.error(`Помилка обробки події ${event}:`, error);
+                if (!isAnswered) {
+                    ResponseUtils.wsError(args[callbackIndex], 500, 'Внутрішня помилка сервера', error);
+                }
+            });
+    };
+}
+
 function initializeWebSocket(io, redisClientInstance) {
     if (redisClientInstance) {
         unifiedAuth.setRedisClient(redisClientInstance);
@@ -316,7 +672,12 @@ function initializeWebSocket(io, redisClientInstance) {
     battleStatsService.setIo(io);
     const wsHandler = new WebSocketHandler(io);
     
-    io.use((socket, next) => unifiedAuth.authenticateSocket(socket, next));
+    io.use((socket, next) => {
+        unifiedAuth.authenticateSocket(socket, next).catch((error) => {
+            console.error('Помилка автентифікації сокета:', error);
+            next(new Error('Authentication unavailable'));
+        });
+    });
     
     io.on('connection', (socket) => {
         socket.emit('connected', { 
@@ -327,25 +688,37 @@ function initializeWebSocket(io, redisClientInstance) {
             message: 'Успішно підключено до BattleStats WebSocket' 
         });
         
-        const roomKey = socket.authKey;
-        if (roomKey) {
-            const roomName = `stats_${roomKey}`;
+        if (socket.authType === 'api_key' || socket.authType === 'viewer_token') {
+            const roomName = notificationService.getRoomName(socket.authKey);
             socket.join(roomName);
             wsHandler.connectedClients.set(socket.id, { 
-                key: roomKey, 
+                key: socket.authKey, 
                 room: roomName, 
+                subscriptions: new Set(),
                 connectedAt: Date.now() 
             });
+        } else if (socket.authType === 'secret_key') {
+            wsHandler.getClientInfo(socket);
         }
         
-        socket.on('updateStats', (data, callback) => wsHandler.handleUpdateStats(socket, data, callback));
-        socket.on('getStats', (data, callback) => wsHandler.handleGetStats(socket, data, callback));
-        socket.on('importStats', (data, callback) => wsHandler.handleImportStats(socket, data, callback));
-        socket.on('clearStats', (data, callback) => wsHandler.handleClearStats(socket, data, callback));
-        socket.on('deleteBattle', (data, callback) => wsHandler.handleDeleteBattle(socket, data, callback));
-        socket.on('clearDatabase', (data, callback) => wsHandler.handleClearDatabase(socket, data, callback));
-        socket.on('getQueueStatus', (callback) => wsHandler.handleGetQueueStatus(socket, callback));
-        socket.on('ping', (callback) => {
+        const on = (event, handler) => socket.on(event, measureEvent(event, handler));
+
+        on('updateStats', (data, callback) => wsHandler.handleUpdateStats(socket, data, callback));
+        on('getStats', (data, callback) => wsHandler.handleGetStats(socket, data, callback));
+        on('getPlayerSummary', (data, callback) => wsHandler.handleGetPlayerSummary(socket, data, callback));
+        on('getLeaderboard', (data, callback) => wsHandler.handleGetLeaderboard(socket, data, callback));
+        on('syncSince', (data, callback) => wsHandler.handleSyncSince(socket, data, callback));
+        on('importStats', (data, callback) => wsHandler.handleImportStats(socket, data, callback));
+        on('getImportJob', (data, callback) => wsHandler.handleGetImportJob(socket, data, callback));
+        on('clearStats', (data, callback) => wsHandler.handleClearStats(socket, data, callback));
+        on('deleteBattle', (data, callback) => wsHandler.handleDeleteBattle(socket, data, callback));
+        on('getTrash', (data, callback) => wsHandler.handleGetTrash(socket, data, callback));
+        on('restoreFromTrash', (data, callback) => wsHandler.handleRestoreFromTrash(socket, data, callback));
+        on('clearDatabase', (data, callback) => wsHandler.handleClearDatabase(socket, data, callback));
+        on('subscribe', (data, callback) => wsHandler.handleSubscribe(socket, data, callback));
+        on('unsubscribe', (data, callback) => wsHandler.handleUnsubscribe(socket, data, callback));
+        on('getQueueStatus', (callback) => wsHandler.handleGetQueueStatus(socket, callback));
+        on('ping', (callback) => {
             const response = { 
                 status: 200, 
                 success: true, 
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const storageMigrationService = require('../services/storageMigrationService');
+
+const args = process.argv.slice(2);
+
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const readOption = (name) => {
+    const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return null;
+
+    const [, inline] = args[index].split('=');
+    return inline !== undefined ? inline : (args[index + 1] || null);
+};
+
+const formatAnomalies = (anomalies) => {
+    const entries = Object.entries(anomalies);
+    return entries.length > 0
+        ? entries.map(([issue, count]) => `${issue}=${count}`).join(', ')
+        : 'немає';
+};
+
+const run = async () => {
+    const dryRun = hasFlag('dry-run');
+    const key = readOption('key');
+    const verbose = hasFlag('verbose');
+    const batchSize = parseInt(readOption('batch-size'));
+
+    if (batchSize > 0) {
+        storageMigrationService.batchSize = batchSize;
+    }
+
+    await connectDB();
+
+    if (dryRun) {
+        console.log('🔍 Пробний запуск: зміни не записуються');
+    }
+
+    const summary = await storageMigrationService.run({
+        dryRun,
+        key,
+        onKey: (report) => {
+            console.log(
+                `${dryRun ? '🔍' : '✅'} ${report.key}: боїв ${report.battles}, гравців ${report.players}, ` +
+                `PlayerInfo ${report.playerInfo}, пропущено боїв ${report.skippedBattles}, ` +
+                `пропущено гравців ${report.skippedPlayers}, аномалії: ${formatAnomalies(report.anomalies)}`
+            );
+
+            if (report.quarantine) {
+                console.log(`   ⚠️ ${report.quarantine.battles} пропущених боїв збережено в ${report.quarantine.field} документа ${report.key}`);
+            }
+
+            if (verbose && report.samples.length > 0) {
+                report.samples.forEach(sample => console.log('   ', JSON.stringify(sample)));
+            }
+        }
+    });
+
+    console.log(
+        `🏁 Міграцію ${dryRun ? 'перевірено' : 'завершено'}: ключів ${summary.keys}, боїв ${summary.battles}, ` +
+        `гравців ${summary.players}, аномалії: ${formatAnomalies(summary.anomalies)}`
+    );
+
+    if (summary.skippedBattles > 0) {
+        console.log(`⚠️ Пропущені бої (${summary.skippedBattles}) ${dryRun ? 'буде збережено' : 'збережено'} в полі ${summary.quarantineField} документів BattleStats`);
+    }
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error('❌ Помилка міграції:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const connectDB = require('../config/database');
+const apiKeyService = require('../services/apiKeyService');
+
+const args = process.argv.slice(2);
+
+const hasFlag = (name) => args.includes(`--${name}`);
+
+const readOption = (name) => {
+    const index = args.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return null;
+
+    const [, inline] = args[index].split('=');
+    return inline !== undefined ? inline : (args[index + 1] || null);
+};
+
+// Accepts a JSON array or one key per line
+const readKeys = (file) => {
+    const content = fs.readFileSync(file, 'utf8').trim();
+    if (content.startsWith('[')) {
+        const keys = JSON.parse(content);
+        if (!Array.isArray(keys)) throw new Error('Файл має містити масив ключів');
+        return keys;
+    }
+    return content.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+};
+
+const run = async () => {
+    const dryRun = hasFlag('dry-run');
+    const file = readOption('file');
+
+    if (!file) {
+        throw new Error('Вкажіть файл зі старими ключами: --file <шлях>');
+    }
+
+    const keys = readKeys(file);
+    await connectDB();
+
+    if (dryRun) {
+        console.log('🔍 Пробний запуск: зміни не записуються');
+    }
+
+    const result = await apiKeyService.importLegacyKeys(keys, { dryRun });
+
+    console.log(
+        `🏁 Міграцію ключів ${dryRun ? 'перевірено' : 'завершено'}: у файлі ${result.requested}, ` +
+        `вже існують ${result.existing}, ${dryRun ? `буде додано ${result.missing.length}` : `додано ${result.inserted}`}`
+    );
+};
+
+run()
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+        console.error('❌ Помилка міграції ключів:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
\ No newline at end of file
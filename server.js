@@ -1,4 +1,5 @@
 const cluster = require('cluster');
+const crypto = require('crypto');
 const http = require('http');
 const express = require('express');
 const helmet = require('helmet');
@@ -12,18 +13,33 @@ const metrics = require('./config/metrics');
 const { initializeWebSocket } = require('./routes/websockets');
 const RedisConnectionPool = require('./config/redisPool');
 const ResponseUtils = require('./utils/responseUtils');
+const MetricsRegistry = require('./utils/metricsRegistry');
+const AppError = require('./utils/appError');
 const { unifiedAuth, setRedisClient } = require('./middleware/unifiedAuth');
 const { clientCors, serverCors, ALLOWED_ORIGINS } = require('./middleware/cors');
+const { requestMetrics } = require('./middleware/requestMetrics');
 const { version, name } = require('./package.json');
 const RouteBuilder = require('./utils/routeBuilder');
 const battleStatsController = require('./controllers/battleStatsController');
+const apiKeyController = require('./controllers/apiKeyController');
+const auditLogController = require('./controllers/auditLogController');
+const apiKeyService = require('./services/apiKeyService');
+const importJobService = require('./services/importJobService');
+const trashService = require('./services/trashService');
 
 const WEB_CONCURRENCY = Number(process.env.WEB_CONCURRENCY || 1);
 const PORT = Number(process.env.PORT || 3000);
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
 const IS_PROD = process.env.NODE_ENV === 'production';
 
 let redisPool = null;
 
+const isMetricsAuthorized = (header) => {
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const actual = Buffer.from(typeof header === 'string' ? header : '');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
   await gracefulShutdown();
@@ -38,19 +54,9 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-class AppError extends Error {
-  constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = null) {
-    super(message);
-    this.statusCode = statusCode;
-    this.code = code;
-    this.details = details;
-    this.isOperational = true;
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
-
 if (cluster.isPrimary && IS_PROD) {
   console.log(`Primary ${process.pid} started. Spawning ${WEB_CONCURRENCY} workers...`);
+  metrics.setupPrimary();
   for (let i = 0; i < WEB_CONCURRENCY; i++) cluster.fork();
 
   cluster.on('exit', (worker, code, signal) => {
@@ -58,6 +64,8 @@ if (cluster.isPrimary && IS_PROD) {
     cluster.fork();
   });
 } else {
+  metrics.setupWorker();
+
   const app = express();
   const server = http.createServer(app);
 
@@ -66,7 +74,7 @@ if (cluster.isPrimary && IS_PROD) {
       origin: ALLOWED_ORIGINS,
       methods: ['GET', 'POST'],
       credentials: false,
-      allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Player-ID', 'X-Secret-Key']
+      allowedHeaders: ['Content-Type', 'X-API-Key', 'X-Player-ID', 'X-Secret-Key', 'X-Viewer-Token']
     },
     transports: ['websocket', 'polling'],
     pingTimeout: 60000,
@@ -84,13 +92,15 @@ if (cluster.isPrimary && IS_PROD) {
   (async () => {
     try {
       if (!redisUrl) {
-        console.warn('Redis URL not set. Running without Redis adapter.');
+        console.warn('Redis URL not set. Running without Redis adapter; rate limits fall back to per-process memory.');
       } else {
         console.log('Connecting to Redis...');
         redisPool = new RedisConnectionPool(redisUrl, 5);
         await redisPool.init();
+        metrics.trackRedisPool(redisPool);
         primaryClient = redisPool.getClient();
         setRedisClient(primaryClient);
+        apiKeyService.setRedisClient(primaryClient);
 
         const pubClient = redisPool.getClient();
         const subClient = pubClient.duplicate();
@@ -100,7 +110,10 @@ if (cluster.isPrimary && IS_PROD) {
       }
 
       await connectDB();
+      importJobService.start();
+      trashService.start();
 
+      app.use(requestMetrics);
       app.use(helmet({
         contentSecurityPolicy: IS_PROD ? undefined : false,
         crossOriginEmbedderPolicy: false
@@ -138,9 +151,26 @@ if (cluster.isPrimary && IS_PROD) {
         }
       });
 
+      app.get('/metrics', async (req, res) => {
+        if (!METRICS_TOKEN && IS_PROD) {
+          return ResponseUtils.sendError(res, new AppError('Metrics endpoint is disabled', 404));
+        }
+        if (METRICS_TOKEN && !isMetricsAuthorized(req.headers.authorization)) {
+          return ResponseUtils.sendError(res, new AppError('Metrics token required', 401));
+        }
+
+        try {
+          res.set('Content-Type', MetricsRegistry.CONTENT_TYPE);
+          res.send(await metrics.collect());
+        } catch (e) {
+          ResponseUtils.sendError(res, new AppError('Metrics collection failed', 500));
+        }
+      });
+
       app.get('/api/queue-status', (req, res) => {
-        const successRate = metrics.totalRequests > 0
-            ? ((metrics.successfulRequests / metrics.totalRequests) * 100).toFixed(2)
+        const totals = metrics.getUpdateTotals();
+        const successRate = totals.totalRequests > 0
+            ? ((totals.successfulRequests / totals.totalRequests) * 100).toFixed(2)
             : '0';
 
         ResponseUtils.sendSuccess(res, {
@@ -150,15 +180,16 @@ if (cluster.isPrimary && IS_PROD) {
             isPaused: queue.isPaused
           },
           metrics: {
-            totalRequests: metrics.totalRequests,
-            successfulRequests: metrics.successfulRequests,
-            failedRequests: metrics.failedRequests,
+            ...totals,
             successRate: `${successRate}%`
           }
         });
       });
        
-      const routeBuilder = new RouteBuilder(app, battleStatsController);
+      const routeBuilder = new RouteBuilder(app, battleStatsController, apiKeyController, auditLogController);
+      routeBuilder.buildClientRoutes();
+      routeBuilder.buildServerRoutes();
+      routeBuilder.buildDocsRoutes();
 
       app.get('/api/battle-stats/health', clientCors, routeBuilder.addClientHeaders, (req, res) => {
         ResponseUtils.sendSuccess(res, {
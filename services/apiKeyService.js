@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const apiKeyRepository = require('../repositories/apiKeyRepository');
+const AppError = require('../utils/appError');
+const { ALL_SCOPES } = require('../config/scopes');
+
+const MAX_LABEL_LENGTH = 200;
+
+class ApiKeyService {
+    setRedisClient(client) {
+        apiKeyRepository.setRedisClient(client);
+    }
+
+    isUsable(record, now = Date.now()) {
+        if (!record || record.status !== 'active') return false;
+        return !record.expiresAt || new Date(record.expiresAt).getTime() > now;
+    }
+
+    async resolve(key) {
+        if (!key || typeof key !== 'string') return null;
+
+        const record = await apiKeyRepository.findByKey(key);
+        if (!this.isUsable(record)) return null;
+
+        return {
+            key: record._id,
+            namespace: record.namespace,
+            label: record.label,
+            // Keys created before scopes existed keep full access
+            scopes: Array.isArray(record.scopes) ? record.scopes : [...ALL_SCOPES]
+        };
+    }
+
+    generateKey() {
+        return crypto.randomBytes(18).toString('base64url');
+    }
+
+    parseExpiry(value) {
+        if (value === undefined) return undefined;
+        if (value === null || value === '') return null;
+
+        const timestamp = typeof value === 'number' ? value : Date.parse(value);
+        if (isNaN(timestamp)) {
+            throw new AppError('Некоректна дата закінчення дії ключа', 400, 'INVALID_EXPIRY');
+        }
+        if (timestamp <= Date.now()) {
+            throw new AppError('Дата закінчення дії ключа має бути в майбутньому', 400, 'INVALID_EXPIRY');
+        }
+        return new Date(timestamp);
+    }
+
+    parseLabel(value) {
+        if (value === undefined) return undefined;
+        if (typeof value !== 'string' || value.length > MAX_LABEL_LENGTH) {
+            throw new AppError(`Мітка ключа має бути рядком до ${MAX_LABEL_LENGTH} символів`, 400, 'INVALID_LABEL');
+        }
+        return value.trim();
+    }
+
+    parseScopes(value) {
+        if (value === undefined) return undefined;
+        if (!Array.isArray(value) || value.length === 0) {
+            throw new AppError('Потрібен непорожній список прав доступу', 400, 'INVALID_SCOPES', { allowed: ALL_SCOPES });
+        }
+
+        const invalid = value.filter(scope => !ALL_SCOPES.includes(scope));
+        if (invalid.length > 0) {
+            throw new AppError(`Невідомі права доступу: ${invalid.join(', ')}`, 400, 'INVALID_SCOPES', { allowed: ALL_SCOPES });
+        }
+        return [...new Set(value)];
+    }
+
+    async getExisting(key) {
+        const record = await apiKeyRepository.findByKey(key);
+        if (!record) {
+            throw new AppError('Ключ не знайдено', 404, 'API_KEY_NOT_FOUND');
+        }
+        return record;
+    }
+
+    async listKeys({ namespace, status } = {}) {
+        const filter = {};
+        if (namespace) filter.namespace = String(namespace);
+        if (status) filter.status = String(status);
+        return apiKeyRepository.list(filter);
+    }
+
+    async createKey({ label, expiresAt, namespace, scopes } = {}) {
+        const key = this.generateKey();
+        const record = {
+            _id: key,
+            namespace: key,
+            label: this.parseLabel(label) || '',
+            scopes: this.parseScopes(scopes) || [...ALL_SCOPES],
+            expiresAt: this.parseExpiry(expiresAt) || null
+        };
+
+        if (namespace) {
+            if (!await apiKeyRepository.namespaceExists(String(namespace))) {
+                throw new AppError('Простір даних для ключа не знайдено', 404, 'NAMESPACE_NOT_FOUND');
+            }
+            record.namespace = String(namespace);
+        }
+
+        return apiKeyRepository.create(record);
+    }
+
+    async updateKey(key, { label, expiresAt, scopes } = {}) {
+        await this.getExisting(key);
+
+        const changes = {};
+        const parsedLabel = this.parseLabel(label);
+        const parsedExpiry = this.parseExpiry(expiresAt);
+        const parsedScopes = this.parseScopes(scopes);
+        if (parsedLabel !== undefined) changes.label = parsedLabel;
+        if (parsedExpiry !== undefined) changes.expiresAt = parsedExpiry;
+        if (parsedScopes !== undefined) changes.scopes = parsedScopes;
+
+        if (Object.keys(changes).length === 0) {
+            throw new AppError('Немає змін для ключа', 400, 'NO_CHANGES');
+        }
+
+        return apiKeyRepository.update(key, changes);
+    }
+
+    async revokeKey(key) {
+        const record = await this.getExisting(key);
+        if (record.status === 'revoked') {
+            return record;
+        }
+        return apiKeyRepository.update(key, { status: 'revoked', revokedAt: new Date() });
+    }
+
+    async rotateKey(key, { gracePeriodMs = 0 } = {}) {
+        const record = await this.getExisting(key);
+        if (!this.isUsable(record)) {
+            throw new AppError('Неможливо ротувати неактивний ключ', 409, 'API_KEY_INACTIVE');
+        }
+
+        const grace = Number(gracePeriodMs) || 0;
+        if (grace < 0) {
+            throw new AppError('Некоректний період дії старого ключа', 400, 'INVALID_GRACE_PERIOD');
+        }
+
+        const replacement = await apiKeyRepository.create({
+            _id: this.generateKey(),
+            namespace: record.namespace,
+            label: record.label,
+            scopes: Array.isArray(record.scopes) ? record.scopes : [...ALL_SCOPES],
+            expiresAt: record.expiresAt,
+            rotatedFrom: record._id
+        });
+
+        const graceExpiry = new Date(Date.now() + grace);
+        const previous = await apiKeyRepository.update(key, grace > 0
+            ? {
+                rotatedTo: replacement._id,
+                expiresAt: record.expiresAt && new Date(record.expiresAt) < graceExpiry ? record.expiresAt : graceExpiry
+            }
+            : { rotatedTo: replacement._id, status: 'revoked', revokedAt: new Date() });
+
+        return { key: replacement, previous };
+    }
+
+    // One-off import of keys from the old hard-coded list; records that already exist are never touched
+    async importLegacyKeys(keys, { dryRun = false } = {}) {
+        const unique = [...new Set((keys || []).map(key => String(key).trim()).filter(Boolean))];
+        const existing = new Set((await apiKeyRepository.findExisting(unique)).map(record => record._id));
+        const missing = unique.filter(key => !existing.has(key));
+
+        const result = dryRun || missing.length === 0
+            ? { upsertedCount: 0 }
+            : await apiKeyRepository.seed(missing);
+
+        return {
+            requested: unique.length,
+            existing: existing.size,
+            missing,
+            inserted: result.upsertedCount
+        };
+    }
+}
+
+module.exports = new ApiKeyService();
\ No newline at end of file
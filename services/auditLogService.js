@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const auditLogRepository = require('../repositories/auditLogRepository');
+const AppError = require('../utils/appError');
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 500;
+const FINGERPRINT_LENGTH = 16;
+const FINGERPRINTED_FILTERS = ['key', 'actorKey'];
+const FILTER_FIELDS = {
+    action: 'action',
+    key: 'key',
+    actorKey: 'actor.key',
+    authType: 'actor.authType',
+    transport: 'actor.transport',
+    status: 'status'
+};
+
+class AuditLogService {
+    fromRequest(req) {
+        return {
+            key: req.apiKey || null,
+            authType: req.authType || null,
+            transport: 'http',
+            ip: req.ip || req.connection?.remoteAddress || null,
+            origin: req.get('origin') || null
+        };
+    }
+
+    fromSocket(socket) {
+        return {
+            key: socket.authKey || null,
+            authType: socket.authType || null,
+            transport: 'websocket',
+            ip: socket.handshake?.address || null,
+            socketId: socket.id,
+            origin: socket.handshake?.headers?.origin || null
+        };
+    }
+
+    // Namespaces are usually the API key itself and secret-key sockets carry the secret, so only fingerprints are stored
+    fingerprint(value) {
+        if (value === undefined || value === null || value === '') return null;
+        return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, FINGERPRINT_LENGTH);
+    }
+
+    async record(action, actor, details = {}, extra = {}) {
+        return auditLogRepository.create({
+            action,
+            actor: { ...actor, key: this.fingerprint(actor.key) },
+            details,
+            ...extra,
+            key: this.fingerprint(extra.key)
+        });
+    }
+
+    track(action, actor, { key = null, details = {}, error = null } = {}) {
+        // Auditing must never break the operation being audited
+        this.record(action, actor, details, {
+            key,
+            status: error ? 'failed' : 'success',
+            error: error ? error.message : null
+        }).catch(() => {});
+    }
+
+    async complete(operationId, status, fields = {}) {
+        return auditLogRepository.updateByOperationId(operationId, { status, ...fields });
+    }
+
+    parseDate(value, name) {
+        const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+        if (Number.isNaN(date.getTime())) {
+            throw new AppError(`Некоректне значення параметра ${name}`, 400, 'INVALID_AUDIT_QUERY');
+        }
+        return date;
+    }
+
+    async query(params = {}) {
+        const filter = {};
+
+        for (const [param, field] of Object.entries(FILTER_FIELDS)) {
+            if (params[param] !== undefined && params[param] !== '') {
+                filter[field] = FINGERPRINTED_FILTERS.includes(param)
+                    ? this.fingerprint(params[param])
+                    : String(params[param]);
+            }
+        }
+
+        if (params.from || params.to) {
+            filter.timestamp = {};
+            if (params.from) filter.timestamp.$gte = this.parseDate(params.from, 'from');
+            if (params.to) filter.timestamp.$lte = this.parseDate(params.to, 'to');
+        }
+
+        if (params.before) {
+            if (!mongoose.isValidObjectId(params.before)) {
+                throw new AppError('Некоректне значення параметра before', 400, 'INVALID_AUDIT_QUERY');
+            }
+            filter._id = { $lt: new mongoose.Types.ObjectId(String(params.before)) };
+        }
+
+        const limit = params.limit === undefined ? DEFAULT_QUERY_LIMIT : Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUERY_LIMIT) {
+            throw new AppError(`Параметр limit має бути від 1 до ${MAX_QUERY_LIMIT}`, 400, 'INVALID_AUDIT_QUERY');
+        }
+
+        const entries = await auditLogRepository.find(filter, limit + 1);
+        const page = entries.slice(0, limit);
+
+        return {
+            entries: page.map(({ _id, ...entry }) => ({ id: String(_id), ...entry })),
+            nextBefore: entries.length > limit ? String(page[page.length - 1]._id) : null
+        };
+    }
+}
+
+module.exports = new AuditLogService();
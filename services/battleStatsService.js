@@ -1,8 +1,39 @@
 const battleStatsRepository = require('../repositories/battleStatsRepository');
 const notificationService = require('./notificationService');
+const trashService = require('./trashService');
+const payloadNormalizer = require('./payloadNormalizer');
 const dataProcessor = require('./dataProcessor');
 const DataTransformer = require('../utils/dataTransformer');
 const Validators = require('../utils/validators');
+const ExportFormatter = require('../utils/exportFormatter');
+const BackupCodec = require('../utils/backupCodec');
+const SchemaValidator = require('../utils/schemaValidator');
+const AppError = require('../utils/appError');
+const metrics = require('../config/metrics');
+const PAYLOAD_SCHEMA = require('../config/payloadSchema');
+
+const EXPORT_CHUNK_SIZE = 64 * 1024;
+const RESTORE_MODES = ['merge', 'replace'];
+const IMPORT_STRATEGIES = ['overwrite', 'skip-existing', 'merge'];
+
+const UPDATE_OPERATORS = ['$set', '$unset', '$setOnInsert'];
+
+const hasUpdates = (updates) => !!updates &&
+    UPDATE_OPERATORS.some(operator => Object.keys(updates[operator] || {}).length > 0);
+
+const missingDefaults = (rules, source, prefix) => Object.fromEntries(
+    Object.entries(rules)
+        .filter(([field]) => source[field] === undefined)
+        .map(([field, rule]) => [`${prefix}.${field}`, SchemaValidator.resolveDefault(rule)])
+);
+
+const LEADERBOARD_SORT_FIELDS = {
+    damage: 'totalDamage',
+    kills: 'totalKills',
+    points: 'totalPoints',
+    averageDamage: 'averageDamage',
+    winRate: 'winRate'
+};
 
 class BattleStatsService {
     constructor() {
@@ -12,6 +43,12 @@ class BattleStatsService {
         this.batchDelay = 200;
         this.maxPendingTime = 10000;
         this.cleanupInterval = setInterval(() => this.cleanupStaleUpdates(), 30000);
+        metrics.addCollector(() => {
+            let pending = 0;
+            for (const updates of this.pendingUpdates.values()) pending += updates.length;
+            metrics.pendingBatchSize.set({}, pending);
+            metrics.pendingBatchKeys.set({}, this.pendingUpdates.size);
+        });
     }
 
     setIo(io) {
@@ -22,11 +59,18 @@ class BattleStatsService {
         const now = Date.now();
         for (const [key, updates] of this.pendingUpdates) {
             if (updates.length > 0 && updates[0].timestamp && (now - updates[0].timestamp) > this.maxPendingTime) {
-                this.processPendingUpdates(key);
+                this.processPendingUpdatesSafely(key);
             }
         }
     }
 
+    processPendingUpdatesSafely(key) {
+        return this.processPendingUpdates(key).catch(error => {
+            console.error(`Помилка збереження пакета оновлень для ${key}:`, error);
+            notificationService.notifyUpdateError(key, error);
+        });
+    }
+
     async addToPendingUpdates(key, updates) {
         if (!this.pendingUpdates.has(key)) {
             this.pendingUpdates.set(key, []);
@@ -39,7 +83,7 @@ class BattleStatsService {
             await this.processPendingUpdates(key);
         } else if (!this.updateTimeouts.has(key)) {
             const timeoutId = setTimeout(() => {
-                this.processPendingUpdates(key);
+                this.processPendingUpdatesSafely(key);
             }, this.batchDelay);
             this.updateTimeouts.set(key, timeoutId);
         }
@@ -56,7 +100,7 @@ class BattleStatsService {
             this.updateTimeouts.delete(key);
         }
 
-        const mergedUpdate = { $set: {}, $unset: {} };
+        const mergedUpdate = { $set: {}, $unset: {}, $setOnInsert: {} };
 
         for (const update of pending) {
             if (update.$set) {
@@ -65,13 +109,28 @@ class BattleStatsService {
             if (update.$unset) {
                 Object.assign(mergedUpdate.$unset, update.$unset);
             }
+            if (update.$setOnInsert) {
+                Object.assign(mergedUpdate.$setOnInsert, update.$setOnInsert);
+            }
         }
 
-        if (Object.keys(mergedUpdate.$unset).length === 0) {
-            delete mergedUpdate.$unset;
+        // A default from one update must not collide with a value another update in the batch sets
+        Object.keys(mergedUpdate.$set).forEach(path => delete mergedUpdate.$setOnInsert[path]);
+
+        for (const operator of ['$unset', '$setOnInsert']) {
+            if (Object.keys(mergedUpdate[operator]).length === 0) {
+                delete mergedUpdate[operator];
+            }
         }
 
-        await battleStatsRepository.updateBattleStats(key, mergedUpdate);
+        await this.commitUpdates(key, mergedUpdate);
+    }
+
+    async commitUpdates(key, updates) {
+        const delta = DataTransformer.updatesToDelta(updates);
+        const revision = await battleStatsRepository.updateBattleStats(key, updates, { type: 'statsUpdated', delta });
+        notificationService.notifyStatsUpdated(key, revision, delta);
+        return revision;
     }
 
     async processBatchDataAsync(batchData) {
@@ -79,9 +138,15 @@ class BattleStatsService {
         const parallelProcessing = [];
         
         for (const { key, requestData } of batchData) {
+            const validation = this.validatePayload(requestData, { partial: true });
+            if (!validation.isValid) {
+                console.error(`Невалідні дані для ${key}:`, validation.errors);
+                continue;
+            }
+
             parallelProcessing.push(
-                this.prepareUpdates(key, requestData).then(updates => {
-                    if (updates && (Object.keys(updates.$set).length > 0 || Object.keys(updates.$unset || {}).length > 0)) {
+                this.prepareUpdates(key, validation.data).then(updates => {
+                    if (hasUpdates(updates)) {
                         operations.push({ key, updates });
                     }
                 }).catch(error => {
@@ -93,89 +158,60 @@ class BattleStatsService {
         await Promise.all(parallelProcessing);
 
         if (operations.length > 0) {
-            const result = await battleStatsRepository.bulkUpdateBattleStats(operations);
-            
-            for (const { key } of batchData) {
-                notificationService.notifyStatsUpdated(key);
-            }
+            const revisions = await Promise.all(
+                operations.map(({ key, updates }) => this.commitUpdates(key, updates))
+            );
             
-            return result;
+            return { acknowledged: true, modifiedCount: revisions.length };
         }
 
         return { acknowledged: true, modifiedCount: 0 };
     }
 
-    async prepareUpdates(key, requestData) {
-        const { BattleStats: incomingBattleStats, PlayerInfo: incomingPlayerInfo } = requestData || {};
-        
-        if (!incomingBattleStats && !incomingPlayerInfo) {
-            return null;
+    validatePayload(payload, options = {}) {
+        return payloadNormalizer.normalize(payload, options);
+    }
+
+    // Only fields present in the payload are set; schema defaults apply when the battle is first created
+    async prepareUpdates(key, data) {
+        const { BattleStats: incomingBattleStats = {}, PlayerInfo: incomingPlayerInfo = {} } = data || {};
+        const updates = { $set: {}, $unset: {}, $setOnInsert: {} };
+
+        for (const [pid, nickname] of Object.entries(incomingPlayerInfo)) {
+            updates.$set[`PlayerInfo.${pid}`] = { _id: nickname };
         }
 
-        const updates = { $set: {}, $unset: {} };
+        for (const [arenaId, battle] of Object.entries(incomingBattleStats)) {
+            const { players, ...fields } = battle;
+            const battlePath = `BattleStats.${arenaId}`;
 
-        if (incomingPlayerInfo) {
-            for (const [pid, pInfo] of Object.entries(incomingPlayerInfo)) {
-                let playerData;
-                if (typeof pInfo === 'string') {
-                    playerData = { _id: pInfo };
-                } else if (pInfo && typeof pInfo === 'object' && pInfo._id) {
-                    playerData = { _id: pInfo._id };
-                } else {
-                    continue;
-                }
-                
-                if (playerData) {
-                    updates.$set[`PlayerInfo.${pid}`] = playerData;
-                }
+            for (const [field, value] of Object.entries(fields)) {
+                updates.$set[`${battlePath}.${field}`] = value;
             }
-        }
+            Object.assign(updates.$setOnInsert, missingDefaults(PAYLOAD_SCHEMA.battle, fields, battlePath));
 
-        if (incomingBattleStats) {
-            for (const [arenaId, battleData] of Object.entries(incomingBattleStats)) {
-                if (Validators.validateBattleData(battleData)) {
-                    const battleSource = battleData._id || battleData;
-                    const sanitizedBattle = Validators.sanitizeBattleFields(battleSource);
-                    
-                    updates.$set[`BattleStats.${arenaId}.startTime`] = sanitizedBattle.startTime;
-                    updates.$set[`BattleStats.${arenaId}.duration`] = sanitizedBattle.duration;
-                    updates.$set[`BattleStats.${arenaId}.win`] = sanitizedBattle.win;
-                    updates.$set[`BattleStats.${arenaId}.mapName`] = sanitizedBattle.mapName;
-
-                    if (battleSource.players) {
-                        for (const [pId, pData] of Object.entries(battleSource.players)) {
-                            const actualPlayerData = dataProcessor.extractPlayerData(pData);
-                            
-                            if (actualPlayerData && typeof actualPlayerData === 'object') {
-                                const processedPlayerData = {
-                                    name: actualPlayerData.name || 'Unknown Player',
-                                    damage: this.parseValue(actualPlayerData.damage) || 0,
-                                    kills: this.parseValue(actualPlayerData.kills || actualPlayerData.frags) || 0,
-                                    points: this.parseValue(actualPlayerData.points) || 0,
-                                    vehicle: actualPlayerData.vehicle || 'Unknown Vehicle'
-                                };
-                                
-                                updates.$set[`BattleStats.${arenaId}.players.${pId}`] = processedPlayerData;
-                            }
-                        }
-                    }
+            for (const [pId, player] of Object.entries(players)) {
+                const playerPath = `${battlePath}.players.${pId}`;
+
+                for (const [field, value] of Object.entries(player)) {
+                    updates.$set[`${playerPath}.${field}`] = value;
                 }
+                Object.assign(updates.$setOnInsert, missingDefaults(PAYLOAD_SCHEMA.player, player, playerPath));
             }
         }
 
         return updates;
     }
 
-    async processDataAsync(key, requestData) {
+    async processDataAsync(key, data) {
         try {
-            const updates = await this.prepareUpdates(key, requestData);
+            const updates = await this.prepareUpdates(key, data);
             
-            if (!updates || (Object.keys(updates.$set).length === 0 && Object.keys(updates.$unset || {}).length === 0)) {
+            if (!hasUpdates(updates)) {
                 return false;
             }
 
             await this.addToPendingUpdates(key, updates);
-            notificationService.notifyStatsUpdated(key);
             
             return true;
         } catch (error) {
@@ -184,44 +220,43 @@ class BattleStatsService {
         }
     }
 
-    parseValue(value) {
-        if (value && typeof value === 'object') {
-            if (value.$numberDouble) {
-                const parsed = parseFloat(value.$numberDouble);
-                return isNaN(parsed) ? 0 : parsed;
-            }
-            if (value.$numberInt) {
-                const parsed = parseInt(value.$numberInt);
-                return isNaN(parsed) ? 0 : parsed;
-            }
-            if (value.$numberLong) {
-                const parsed = Number(value.$numberLong);
-                return isNaN(parsed) ? 0 : parsed;
-            }
-            return value;
+    assertComplete(statsDoc) {
+        if (statsDoc?.isTruncated) {
+            throw new AppError(
+                `Ключ містить понад ${battleStatsRepository.fullFetchLimit} боїв, завантажуйте їх посторінково`,
+                413,
+                'STATS_TOO_LARGE',
+                { limit: battleStatsRepository.fullFetchLimit }
+            );
         }
-        return value;
+        return statsDoc;
     }
 
-    async getStats(key, page, limit) {
+    async getStats(key, page, limit, query = {}) {
         let statsDoc;
-        let fullDoc = await battleStatsRepository.findByKey(key);
 
         try {
-            if (limit === 0) {
-                statsDoc = fullDoc || {};
+            if (limit === 0 && Validators.isDefaultBattleQuery(query)) {
+                const fullDoc = this.assertComplete(await battleStatsRepository.findByKey(key));
+                statsDoc = fullDoc ? { ...fullDoc } : {};
             } else {
-                const results = await battleStatsRepository.getPaginatedBattles(key, page, limit);
-                statsDoc = results.length > 0 ? results[0] : {};
+                const results = await battleStatsRepository.getPaginatedBattles(key, page, limit, query);
+                statsDoc = results.length > 0 ? { ...results[0] } : {};
             }
             
-            statsDoc.PlayerInfo = fullDoc ? fullDoc.PlayerInfo : {};
+            const cursorMeta = limit > 0 ? { nextCursor: statsDoc.nextCursor || null } : {};
+            delete statsDoc.nextCursor;
+
+            const { PlayerInfo, revision } = await battleStatsRepository.getStatsMeta(key);
+            statsDoc.PlayerInfo = PlayerInfo;
             
             if (!statsDoc || Object.keys(statsDoc).length === 0) {
                 return {
                     success: true,
                     BattleStats: {},
-                    PlayerInfo: {}
+                    PlayerInfo: {},
+                    revision,
+                    ...cursorMeta
                 };
             }
             
@@ -231,7 +266,9 @@ class BattleStatsService {
             return {
                 success: true,
                 BattleStats: cleanBattleStats,
-                PlayerInfo: cleanPlayerInfo
+                PlayerInfo: cleanPlayerInfo,
+                revision,
+                ...cursorMeta
             };
         } catch (error) {
             console.error('Помилка в getStats:', error);
@@ -239,9 +276,77 @@ class BattleStatsService {
         }
     }
 
+    async getPlayerSummary(key, playerId) {
+        try {
+            const aggregate = await battleStatsRepository.getPlayerAggregate(key, String(playerId));
+
+            if (!aggregate) {
+                return {
+                    success: true,
+                    playerId: String(playerId),
+                    found: false
+                };
+            }
+
+            return {
+                success: true,
+                playerId: aggregate._id,
+                found: true,
+                summary: DataTransformer.formatPlayerTotals(aggregate)
+            };
+        } catch (error) {
+            console.error('Помилка в getPlayerSummary:', error);
+            throw error;
+        }
+    }
+
+    async getLeaderboard(key, options = {}) {
+        try {
+            const validation = Validators.validateLeaderboardOptions(options);
+            if (!validation.isValid) {
+                throw new AppError('Некоректні параметри рейтингу', 400, 'INVALID_LEADERBOARD_QUERY', validation.errors);
+            }
+
+            const { metric, from, to, limit, minBattles } = validation.options;
+            const sortField = LEADERBOARD_SORT_FIELDS[metric];
+            const rows = await battleStatsRepository.getLeaderboard(key, { sortField, from, to, limit, minBattles });
+
+            return {
+                success: true,
+                metric,
+                range: { from, to },
+                leaderboard: rows.map((row, index) => ({
+                    rank: index + 1,
+                    playerId: row._id,
+                    ...DataTransformer.formatPlayerTotals(row)
+                }))
+            };
+        } catch (error) {
+            console.error('Помилка в getLeaderboard:', error);
+            throw error;
+        }
+    }
+
+    async *exportBattles(key, format, query = {}) {
+        let chunk = format === 'csv' ? ExportFormatter.csvHeader() : '';
+
+        for await (const row of battleStatsRepository.streamBattleRows(key, query)) {
+            chunk += ExportFormatter.formatRow(format, row);
+
+            if (chunk.length >= EXPORT_CHUNK_SIZE) {
+                yield chunk;
+                chunk = '';
+            }
+        }
+
+        if (chunk.length > 0) {
+            yield chunk;
+        }
+    }
+
     async getOtherPlayersStats(key, excludePlayerId) {
         try {
-            const statsDoc = await battleStatsRepository.findByKey(key);
+            const statsDoc = this.assertComplete(await battleStatsRepository.findByKey(key));
 
             if (!statsDoc) {
                 return {
@@ -314,59 +419,221 @@ class BattleStatsService {
         }
     }
 
-    async importStats(key, importData) {
+    parseImportOptions(source = {}) {
+        const strategy = source.strategy || 'overwrite';
+        if (!IMPORT_STRATEGIES.includes(strategy)) {
+            throw new AppError('Невідома стратегія імпорту', 400, 'INVALID_IMPORT_STRATEGY', [
+                `Invalid strategy, expected one of: ${IMPORT_STRATEGIES.join(', ')}`
+            ]);
+        }
+
+        const dryRun = source.dryRun === true || source.dryRun === 'true' || source.dryRun === '1';
+        return { strategy, dryRun };
+    }
+
+    createImportSummary() {
+        const counters = () => ({ added: 0, changed: 0, unchanged: 0, skipped: 0 });
+        return {
+            battles: counters(),
+            players: { ...counters(), removed: 0 },
+            playerInfo: counters()
+        };
+    }
+
+    countPlayerChanges(summary, before, after) {
+        for (const [playerId, player] of Object.entries(after)) {
+            if (!before[playerId]) {
+                summary.players.added++;
+            } else if (BackupCodec.stableStringify(before[playerId]) !== BackupCodec.stableStringify(player)) {
+                summary.players.changed++;
+            } else {
+                summary.players.unchanged++;
+            }
+        }
+
+        summary.players.removed += Object.keys(before).filter(playerId => !after[playerId]).length;
+    }
+
+    mergeBattle(existing, incoming) {
+        const merged = { ...existing, players: new Map(Object.entries(existing.players)) };
+
+        dataProcessor.mergeBattleFields(merged, incoming);
+        dataProcessor.mergePlayers(merged, incoming.players);
+
+        return BackupCodec.canonicalBattle({ ...merged, players: Object.fromEntries(merged.players) });
+    }
+
+    planImport(importData, existingBattles, existingPlayerInfo, strategy) {
+        const updates = { $set: {} };
+        const summary = this.createImportSummary();
+
+        for (const [playerId, nickname] of Object.entries(importData.PlayerInfo || {})) {
+            const current = existingPlayerInfo[playerId]?._id;
+
+            if (current === undefined) {
+                summary.playerInfo.added++;
+            } else if (strategy === 'skip-existing') {
+                summary.playerInfo.skipped++;
+                continue;
+            } else if (current === nickname) {
+                summary.playerInfo.unchanged++;
+                continue;
+            } else {
+                summary.playerInfo.changed++;
+            }
+
+            updates.$set[`PlayerInfo.${playerId}`] = { _id: nickname };
+        }
+
+        for (const [battleId, incoming] of Object.entries(importData.BattleStats || {})) {
+            const playerCount = Object.keys(incoming.players).length;
+
+            if (!existingBattles[battleId]) {
+                summary.battles.added++;
+                summary.players.added += playerCount;
+                updates.$set[`BattleStats.${battleId}`] = incoming;
+                continue;
+            }
+
+            if (strategy === 'skip-existing') {
+                summary.battles.skipped++;
+                summary.players.skipped += playerCount;
+                continue;
+            }
+
+            const existing = BackupCodec.canonicalBattle(existingBattles[battleId]);
+            const result = strategy === 'merge' ? this.mergeBattle(existing, incoming) : incoming;
+
+            this.countPlayerChanges(summary, existing.players, result.players);
+
+            if (BackupCodec.stableStringify(existing) === BackupCodec.stableStringify(result)) {
+                summary.battles.unchanged++;
+                continue;
+            }
+
+            summary.battles.changed++;
+            updates.$set[`BattleStats.${battleId}`] = result;
+        }
+
+        return { updates, summary };
+    }
+
+    async importStats(key, importData, options = {}) {
         if (!importData || typeof importData !== 'object') {
             throw new Error('Невалідні дані для імпорту');
         }
 
+        const { strategy = 'overwrite', dryRun = false } = options;
+
         try {
-            const updates = { $set: {} };
-            const { PlayerInfo, BattleStats: importBattleStats } = importData;
+            const [existingBattles, meta] = await Promise.all([
+                battleStatsRepository.findBattles(key, Object.keys(importData.BattleStats || {})),
+                battleStatsRepository.getStatsMeta(key)
+            ]);
+
+            const { updates, summary } = this.planImport(importData, existingBattles, meta.PlayerInfo, strategy);
+
+            if (dryRun || Object.keys(updates.$set).length === 0) {
+                return { success: true, strategy, dryRun, revision: meta.revision, summary };
+            }
+
+            const revision = await battleStatsRepository.updateBattleStats(key, updates, {
+                type: 'statsImported',
+                strategy,
+                requiresReload: true
+            });
+            notificationService.notifyStatsUpdated(key, revision, null);
+            
+            return { success: true, strategy, dryRun, revision, summary };
+        } catch (error) {
+            console.error('Помилка в importStats:', error);
+            throw error;
+        }
+    }
+
+    async createBackup(key) {
+        try {
+            const [statsDoc, { revision }] = await Promise.all([
+                battleStatsRepository.getStatsRaw(key),
+                battleStatsRepository.getStatsMeta(key)
+            ]);
 
-            if (PlayerInfo && typeof PlayerInfo === 'object') {
+            return BackupCodec.create(key, revision, BackupCodec.toBackupData(statsDoc));
+        } catch (error) {
+            console.error('Помилка в createBackup:', error);
+            throw error;
+        }
+    }
+
+    async restoreBackup(key, backup, mode = 'merge') {
+        if (!RESTORE_MODES.includes(mode)) {
+            throw new AppError('Невідомий режим відновлення', 400, 'INVALID_RESTORE_MODE', [
+                `Invalid mode, expected one of: ${RESTORE_MODES.join(', ')}`
+            ]);
+        }
+
+        const verification = BackupCodec.verify(backup);
+        if (!verification.isValid) {
+            throw new AppError('Резервна копія пошкоджена або має невідомий формат', 422, 'INVALID_BACKUP', verification.errors);
+        }
+
+        const validation = this.validatePayload(backup.data);
+        if (!validation.isValid) {
+            throw new AppError('Дані резервної копії не пройшли валідацію', 422, 'VALIDATION_ERROR', validation.errors);
+        }
+
+        try {
+            const { BattleStats: battles, PlayerInfo } = validation.data;
+            const updates = { $set: {} };
+            const change = { type: 'statsRestored', mode, requiresReload: true };
+
+            Object.entries(battles).forEach(([battleId, battle]) => {
+                updates.$set[`BattleStats.${battleId}`] = battle;
+            });
+
+            let revision;
+            if (mode === 'replace') {
+                updates.$set.PlayerInfo = Object.fromEntries(
+                    Object.entries(PlayerInfo).map(([playerId, nickname]) => [playerId, { _id: nickname }])
+                );
+                revision = await battleStatsRepository.replaceStats(key, updates, change);
+            } else {
                 Object.entries(PlayerInfo).forEach(([playerId, nickname]) => {
                     updates.$set[`PlayerInfo.${playerId}`] = { _id: nickname };
                 });
+                revision = await battleStatsRepository.updateBattleStats(key, updates, change);
             }
 
-            if (importBattleStats && typeof importBattleStats === 'object') {
-                Object.entries(importBattleStats).forEach(([battleId, raw]) => {
-                    const base = (raw && typeof raw === 'object' && raw._id && typeof raw._id === 'object') ? raw._id : raw;
-                    const playersSource = (base.players && typeof base.players === 'object')
-                        ? base.players
-                        : (raw.players && typeof raw.players === 'object')
-                            ? raw.players
-                            : {};
-
-                    const playersObj = {};
-                    Object.entries(playersSource).forEach(([pid, playerData]) => {
-                        playersObj[pid] = playerData;
-                    });
+            notificationService.notifyStatsUpdated(key, revision, null);
 
-                    updates.$set[`BattleStats.${battleId}`] = {
-                        startTime: base.startTime,
-                        duration: base.duration,
-                        win: base.win,
-                        mapName: base.mapName,
-                        players: playersObj
-                    };
-                });
-            }
+            const expected = BackupCodec.toBackupData(validation.data);
+            const stored = BackupCodec.toBackupData(await battleStatsRepository.getStatsRaw(key));
+            const verified = mode === 'replace'
+                ? BackupCodec.checksum(stored) === BackupCodec.checksum(expected)
+                : BackupCodec.isSubset(expected, stored);
 
-            await battleStatsRepository.updateBattleStats(key, updates);
-            
-            return { success: true };
+            return {
+                success: true,
+                mode,
+                revision,
+                restored: {
+                    battles: Object.keys(battles).length,
+                    playerInfo: Object.keys(PlayerInfo).length
+                },
+                verified
+            };
         } catch (error) {
-            console.error('Помилка в importStats:', error);
+            console.error('Помилка в restoreBackup:', error);
             throw error;
         }
     }
 
     async clearStats(key) {
         try {
-            await battleStatsRepository.clearStats(key);
-            notificationService.notifyStatsCleared(key);
-            return { success: true };
+            const trash = await trashService.moveToTrash(key, 'stats');
+            const revision = await battleStatsRepository.clearStats(key, trash?.id);
+            notificationService.notifyStatsCleared(key, revision);
+            return { success: true, revision, trash };
         } catch (error) {
             console.error('Помилка в clearStats:', error);
             throw error;
@@ -375,9 +642,16 @@ class BattleStatsService {
 
     async deleteBattle(key, battleId) {
         try {
-            await battleStatsRepository.deleteBattle(key, battleId);
-            notificationService.notifyBattleDeleted(key, battleId);
-            return { success: true };
+            const trash = await trashService.moveToTrash(key, 'battle', { battleId });
+            if (!trash) {
+                throw new AppError('Бій не знайдено', 404, 'BATTLE_NOT_FOUND', { battleId: String(battleId) });
+            }
+
+            const revision = await battleStatsRepository.deleteBattle(key, battleId, trash.id);
+            if (revision !== null) {
+                notificationService.notifyBattleDeleted(key, battleId, revision);
+            }
+            return { success: true, revision, trash };
         } catch (error) {
             console.error('Помилка в deleteBattle:', error);
             throw error;
@@ -386,19 +660,43 @@ class BattleStatsService {
 
     async clearDatabase() {
         try {
-            await battleStatsRepository.dropDatabase();
+            const { dropped } = await battleStatsRepository.dropDatabase();
             notificationService.notifyDatabaseCleared();
-            return { success: true, message: 'База даних успішно очищена' };
+            return { success: true, message: 'База даних успішно очищена', dropped };
         } catch (error) {
             console.error('Помилка в clearDatabase:', error);
             throw error;
         }
     }
 
+    async syncSince(key, sinceRevision) {
+        try {
+            const { revision, changes } = await battleStatsRepository.getChangeLog(key);
+
+            if (sinceRevision === revision) {
+                return { success: true, key, revision, fullReload: false, changes: [] };
+            }
+
+            const missed = changes.filter(change => change.revision > sinceRevision);
+            const isContiguous = sinceRevision < revision &&
+                missed.length === revision - sinceRevision &&
+                missed.every((change, index) => change.revision === sinceRevision + index + 1);
+
+            if (!isContiguous || missed.some(change => change.requiresReload)) {
+                return { success: true, key, revision, fullReload: true, changes: [] };
+            }
+
+            return { success: true, key, revision, fullReload: false, changes: missed };
+        } catch (error) {
+            console.error('Помилка в syncSince:', error);
+            throw error;
+        }
+    }
+
     async flushPendingUpdates() {
         const promises = [];
         for (const key of this.pendingUpdates.keys()) {
-            promises.push(this.processPendingUpdates(key));
+            promises.push(this.processPendingUpdatesSafely(key));
         }
         await Promise.all(promises);
     }
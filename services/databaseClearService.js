@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const battleStatsRepository = require('../repositories/battleStatsRepository');
+const battleStatsService = require('./battleStatsService');
+const auditLogService = require('./auditLogService');
+const AppError = require('../utils/appError');
+
+const TOKEN_PREFIX = 'dc';
+const CONFIRMATION_TTL_MS = (parseInt(process.env.DATABASE_CLEAR_CONFIRMATION_TTL) || 120) * 1000;
+
+class DatabaseClearService {
+    isEnabled() {
+        return process.env.DATABASE_CLEAR_ENABLED === 'true';
+    }
+
+    assertEnabled() {
+        if (!this.isEnabled()) {
+            throw new AppError('Очищення бази даних вимкнено на цьому сервері', 403, 'DATABASE_CLEAR_DISABLED');
+        }
+    }
+
+    getSecret() {
+        const secret = process.env.SECRET_KEY;
+        if (!secret) {
+            throw new AppError('Серверний секрет не налаштовано', 500, 'SECRET_NOT_CONFIGURED');
+        }
+        return secret;
+    }
+
+    sign(encodedPayload) {
+        return crypto
+            .createHmac('sha256', this.getSecret())
+            .update(`${TOKEN_PREFIX}.${encodedPayload}`)
+            .digest('base64url');
+    }
+
+    issueConfirmation(actor) {
+        try {
+            this.assertEnabled();
+        } catch (error) {
+            auditLogService.track('clearDatabaseRequested', actor, { error });
+            throw error;
+        }
+
+        const expiresAt = Date.now() + CONFIRMATION_TTL_MS;
+        const payload = { exp: expiresAt, jti: crypto.randomBytes(12).toString('base64url') };
+        const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+        auditLogService.track('clearDatabaseRequested', actor, { details: { expiresAt: new Date(expiresAt) } });
+
+        return {
+            confirmationRequired: true,
+            confirmationToken: `${TOKEN_PREFIX}.${encodedPayload}.${this.sign(encodedPayload)}`,
+            expiresAt: new Date(expiresAt).toISOString()
+        };
+    }
+
+    verifyConfirmation(token) {
+        if (typeof token !== 'string' || token.length > 512) return null;
+
+        const [prefix, encodedPayload, signature] = token.split('.');
+        if (prefix !== TOKEN_PREFIX || !encodedPayload || !signature) return null;
+
+        try {
+            const expected = Buffer.from(this.sign(encodedPayload));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                return null;
+            }
+
+            const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+            if (!payload || typeof payload.jti !== 'string' || typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+                return null;
+            }
+
+            return payload.jti;
+        } catch {
+            return null;
+        }
+    }
+
+    // Snapshots go to GridFS rather than local disk, which does not survive a dyno restart
+    async createSnapshot(operationId) {
+        const keys = await battleStatsRepository.listKeys();
+        const filename = `database-${new Date().toISOString().replace(/[:.]/g, '-')}-${operationId}.ndjson`;
+        const { bucket, upload } = battleStatsRepository.openSnapshotUpload(filename, { operationId, keys: keys.length });
+        const write = (chunk) => new Promise((resolve, reject) => {
+            upload.write(chunk, error => error ? reject(error) : resolve());
+        });
+
+        try {
+            for (const key of keys) {
+                const backup = await battleStatsService.createBackup(key);
+                await write(`${JSON.stringify(backup)}\n`);
+            }
+            await new Promise((resolve, reject) => upload.end(error => error ? reject(error) : resolve()));
+        } catch (error) {
+            await upload.abort().catch(() => {});
+            throw error;
+        }
+
+        return { bucket, fileId: String(upload.id), filename, keys: keys.length };
+    }
+
+    async clear(confirmationToken, actor) {
+        const operationId = this.verifyConfirmation(confirmationToken);
+
+        try {
+            this.assertEnabled();
+            if (!operationId) {
+                throw new AppError('Недійсний або прострочений токен підтвердження', 400, 'INVALID_CONFIRMATION_TOKEN');
+            }
+        } catch (error) {
+            auditLogService.track('clearDatabase', actor, { error });
+            throw error;
+        }
+
+        try {
+            await auditLogService.record('clearDatabase', actor, {}, { operationId, status: 'pending' });
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new AppError('Токен підтвердження вже використано', 409, 'CONFIRMATION_TOKEN_USED');
+            }
+            throw error;
+        }
+
+        try {
+            const snapshot = await this.createSnapshot(operationId);
+            const result = await battleStatsService.clearDatabase();
+
+            await auditLogService.complete(operationId, 'success', { details: { snapshot, dropped: result.dropped } });
+            console.log(`🧨 Базу даних очищено, резервна копія: ${snapshot.bucket}/${snapshot.filename}`);
+
+            return { ...result, snapshot };
+        } catch (error) {
+            await auditLogService.complete(operationId, 'failed', { error: error.message }).catch(() => {});
+            throw error;
+        }
+    }
+}
+
+module.exports = new DatabaseClearService();
\ No newline at end of file
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const importJobRepository = require('../repositories/importJobRepository');
+const battleStatsService = require('./battleStatsService');
+const notificationService = require('./notificationService');
+const { addWithRetry } = require('../config/queue');
+
+const JOB_CHUNK_SIZE = parseInt(process.env.IMPORT_JOB_CHUNK_SIZE) || 200;
+const JOB_STALE_MS = 2 * 60 * 1000;
+
+class ImportJobService {
+    constructor() {
+        this.recoveryInterval = null;
+        this.scheduled = new Set();
+    }
+
+    toPublicJob(job) {
+        if (!job) return null;
+
+        const { _id, payload, lockedAt, ...rest } = job;
+        return { id: _id, ...rest };
+    }
+
+    async createJob(key, data, { strategy = 'overwrite', dryRun = false } = {}) {
+        const job = await importJobRepository.create({
+            _id: crypto.randomUUID(),
+            key,
+            strategy,
+            dryRun,
+            payload: data,
+            totalBattles: Object.keys(data.BattleStats || {}).length
+        });
+
+        this.schedule(job._id);
+        return this.toPublicJob(job);
+    }
+
+    async getJob(key, jobId) {
+        const job = await importJobRepository.findById(jobId);
+        return job && job.key === key ? this.toPublicJob(job) : null;
+    }
+
+    // A job already waiting in this process's queue is not queued again by the recovery sweep
+    schedule(jobId) {
+        if (this.scheduled.has(jobId)) return false;
+        this.scheduled.add(jobId);
+
+        addWithRetry('importJobs', () => this.processJob(jobId), { retries: 1, priority: 2 })
+            .catch(error => console.error(`❌ Помилка виконання завдання імпорту ${jobId}:`, error))
+            .finally(() => this.scheduled.delete(jobId));
+        return true;
+    }
+
+    mergeSummaries(target, source) {
+        if (!target) return source;
+
+        for (const [section, counters] of Object.entries(source)) {
+            for (const [name, value] of Object.entries(counters)) {
+                target[section][name] = (target[section][name] || 0) + value;
+            }
+        }
+
+        return target;
+    }
+
+    async processJob(jobId) {
+        const job = await importJobRepository.claim(jobId, new Date(Date.now() - JOB_STALE_MS));
+        if (!job) return;
+
+        const battles = Object.entries(job.payload?.BattleStats || {});
+        const options = { strategy: job.strategy, dryRun: job.dryRun };
+        let { processedBattles, summary, revision } = job;
+
+        try {
+            do {
+                const chunk = battles.slice(processedBattles, processedBattles + JOB_CHUNK_SIZE);
+                const result = await battleStatsService.importStats(job.key, {
+                    BattleStats: Object.fromEntries(chunk),
+                    PlayerInfo: processedBattles === 0 ? job.payload?.PlayerInfo || {} : {}
+                }, options);
+
+                processedBattles += chunk.length;
+                summary = this.mergeSummaries(summary, result.summary);
+                revision = result.revision;
+
+                const updated = await importJobRepository.update(jobId, {
+                    processedBattles,
+                    progress: battles.length > 0 ? Math.floor(processedBattles / battles.length * 100) : 100,
+                    summary,
+                    revision
+                });
+                notificationService.notifyImportProgress(job.key, this.toPublicJob(updated));
+            } while (processedBattles < battles.length);
+
+            const finished = await importJobRepository.update(jobId, {
+                status: 'done',
+                progress: 100,
+                finishedAt: new Date()
+            }, ['payload']);
+            notificationService.notifyImportCompleted(job.key, this.toPublicJob(finished));
+        } catch (error) {
+            console.error(`❌ Помилка завдання імпорту ${jobId}:`, error);
+
+            const failed = await importJobRepository.update(jobId, {
+                status: 'failed',
+                error: error.message,
+                finishedAt: new Date()
+            }, ['payload']);
+            notificationService.notifyImportFailed(job.key, this.toPublicJob(failed));
+        }
+    }
+
+    async resumePendingJobs() {
+        try {
+            const jobIds = await importJobRepository.findResumable(new Date(Date.now() - JOB_STALE_MS));
+            const resumed = jobIds.filter(jobId => this.schedule(jobId));
+
+            if (resumed.length > 0) {
+                console.log(`🔄 Відновлено завдань імпорту: ${resumed.length}`);
+            }
+            return resumed.length;
+        } catch (error) {
+            console.error('❌ Помилка відновлення завдань імпорту:', error);
+            return 0;
+        }
+    }
+
+    start() {
+        this.resumePendingJobs();
+
+        if (!this.recoveryInterval) {
+            this.recoveryInterval = setInterval(() => this.resumePendingJobs(), JOB_STALE_MS);
+            this.recoveryInterval.unref();
+        }
+    }
+
+    destroy() {
+        clearInterval(this.recoveryInterval);
+        this.recoveryInterval = null;
+    }
+}
+
+module.exports = new ImportJobService();
\ No newline at end of file
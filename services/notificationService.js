@@ -7,42 +7,93 @@ class NotificationService {
         this.globalIo = io;
     }
 
-    notifyStatsUpdated(key) {
+    getRoomName(key) {
+        return `stats_${key}`;
+    }
+
+    getJobRoomName(jobId) {
+        return `import_${jobId}`;
+    }
+
+    emitToKey(key, event, data) {
+        if (!this.globalIo) return;
+
+        try {
+            this.globalIo.to(this.getRoomName(key)).emit(event, data);
+        } catch (error) {
+            console.error('Помилка при розсилці через WebSocket:', error);
+        }
+    }
+
+    notifyStatsUpdated(key, revision, delta = null) {
         if (!this.globalIo) return;
         
         const updateData = {
             key,
+            revision,
+            delta,
             timestamp: Date.now()
         };
         
-        setImmediate(() => {
-            try {
-                this.globalIo.emit('statsUpdated', updateData);
-            } catch (error) {
-                console.error('Помилка при розсилці через WebSocket:', error);
-            }
-        });
+        setImmediate(() => this.emitToKey(key, 'statsUpdated', updateData));
     }
 
-    notifyStatsCleared(key) {
+    notifyStatsCleared(key, revision) {
         if (!this.globalIo) return;
         
-        this.globalIo.emit('statsCleared', {
+        this.emitToKey(key, 'statsCleared', {
             key,
+            revision,
             timestamp: Date.now()
         });
     }
 
-    notifyBattleDeleted(key, battleId) {
+    notifyUpdateError(key, error) {
+        if (!this.globalIo) return;
+
+        this.emitToKey(key, 'updateError', {
+            key,
+            error: error?.message || 'Обробка не вдалася',
+            timestamp: Date.now()
+        });
+    }
+
+    notifyBattleDeleted(key, battleId, revision) {
         if (!this.globalIo) return;
         
-        this.globalIo.emit('battleDeleted', {
+        this.emitToKey(key, 'battleDeleted', {
             key,
             battleId,
+            revision,
             timestamp: Date.now()
         });
     }
 
+    emitJobEvent(key, event, job, extra = {}) {
+        if (!this.globalIo || !job) return;
+
+        try {
+            this.globalIo
+                .to(this.getRoomName(key))
+                .to(this.getJobRoomName(job.id))
+                .emit(event, { key, jobId: job.id, revision: job.revision, ...extra, job, timestamp: Date.now() });
+        } catch (error) {
+            console.error('Помилка при розсилці через WebSocket:', error);
+        }
+    }
+
+    notifyImportProgress(key, job) {
+        this.emitJobEvent(key, 'importProgress', job);
+    }
+
+    notifyImportCompleted(key, job) {
+        this.emitJobEvent(key, 'importCompleted', job);
+    }
+
+    notifyImportFailed(key, job) {
+        this.emitJobEvent(key, 'importError', job, { error: job.error });
+    }
+
     notifyDatabaseCleared() {
         if (!this.globalIo) return;
         
@@ -0,0 +1,230 @@
+const MongoParser = require('../utils/mongoParser');
+const SchemaValidator = require('../utils/schemaValidator');
+const PAYLOAD_SCHEMA = require('../config/payloadSchema');
+const dataProcessor = require('./dataProcessor');
+
+const LEGACY_SCHEMA_VERSION = 1;
+const CURRENT_SCHEMA_VERSION = 2;
+const SUPPORTED_SCHEMA_VERSIONS = [LEGACY_SCHEMA_VERSION, CURRENT_SCHEMA_VERSION];
+
+const BATTLE_FIELDS = [...Object.keys(PAYLOAD_SCHEMA.battle), 'players'];
+const PLAYER_FIELDS = Object.keys(PAYLOAD_SCHEMA.player);
+const { limits } = PAYLOAD_SCHEMA;
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const coerceLegacyValue = (value, rule) => {
+    if (rule.type === 'string') return value === '' ? undefined : value;
+
+    const parsed = MongoParser.parseValue(value);
+    return typeof parsed === 'string' && parsed.trim() !== '' ? Number(parsed) : parsed;
+};
+
+class PayloadNormalizer {
+    resolveVersion(payload, errors) {
+        if (payload.schemaVersion === undefined) {
+            return LEGACY_SCHEMA_VERSION;
+        }
+
+        const version = Number(payload.schemaVersion);
+        if (!SUPPORTED_SCHEMA_VERSIONS.includes(version)) {
+            errors.push({
+                path: 'schemaVersion',
+                message: `Unsupported schema version, expected one of: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')}`
+            });
+            return null;
+        }
+
+        return version;
+    }
+
+    // Partial payloads update stored battles, so fields they omit stay absent instead of falling back to defaults
+    validateFields(source, rules, path, version, errors, partial = false) {
+        const transform = version === LEGACY_SCHEMA_VERSION ? coerceLegacyValue : undefined;
+        return SchemaValidator.validateObject(source, rules, path, errors, transform, !partial);
+    }
+
+    checkEntryLimit(source, max, path, errors) {
+        const count = Object.keys(source).length;
+        if (count > max) {
+            errors.push({ path, message: `Must contain at most ${max} entries, got ${count}` });
+            return false;
+        }
+        return true;
+    }
+
+    rejectUnknownFields(source, allowed, path, version, errors) {
+        if (version === LEGACY_SCHEMA_VERSION) return;
+
+        Object.keys(source)
+            .filter(field => !allowed.includes(field))
+            .forEach(field => errors.push({ path: `${path}.${field}`, message: 'Unknown field' }));
+    }
+
+    normalizePlayer(playerData, path, version, errors, partial = false) {
+        let source = playerData;
+
+        if (version === LEGACY_SCHEMA_VERSION) {
+            source = dataProcessor.extractPlayerData(playerData);
+            if (isPlainObject(source) && source.kills === undefined && source.frags !== undefined) {
+                source = { ...source, kills: source.frags };
+            }
+        } else if (isPlainObject(playerData) && playerData._id !== undefined) {
+            errors.push({ path: `${path}._id`, message: 'Nested _id wrapper is not allowed in this schema version' });
+            return null;
+        }
+
+        if (!isPlainObject(source)) {
+            errors.push({ path, message: 'Must be an object' });
+            return null;
+        }
+
+        this.rejectUnknownFields(source, PLAYER_FIELDS, path, version, errors);
+
+        return this.validateFields(source, PAYLOAD_SCHEMA.player, path, version, errors, partial);
+    }
+
+    normalizeBattle(battleData, path, version, errors, partial = false) {
+        if (!isPlainObject(battleData)) {
+            errors.push({ path, message: 'Must be an object' });
+            return null;
+        }
+
+        let source = battleData;
+        if (battleData._id !== undefined) {
+            if (version !== LEGACY_SCHEMA_VERSION || !isPlainObject(battleData._id)) {
+                errors.push({ path: `${path}._id`, message: 'Nested _id wrapper is not allowed in this schema version' });
+                return null;
+            }
+            source = battleData._id;
+        }
+
+        this.rejectUnknownFields(source, BATTLE_FIELDS, path, version, errors);
+
+        const battle = {
+            ...this.validateFields(source, PAYLOAD_SCHEMA.battle, path, version, errors, partial),
+            players: {}
+        };
+        const playersSource = source.players ?? (source !== battleData ? battleData.players : undefined);
+
+        if (playersSource === undefined) {
+            return battle;
+        }
+
+        if (!isPlainObject(playersSource)) {
+            errors.push({ path: `${path}.players`, message: 'Must be an object' });
+            return battle;
+        }
+
+        if (!this.checkEntryLimit(playersSource, limits.maxPlayersPerBattle, `${path}.players`, errors)) {
+            return battle;
+        }
+
+        for (const [playerId, playerData] of Object.entries(playersSource)) {
+            const playerPath = `${path}.players.${playerId}`;
+            if (!limits.idPattern.test(playerId)) {
+                errors.push({ path: playerPath, message: 'Invalid player id' });
+                continue;
+            }
+
+            const player = this.normalizePlayer(playerData, playerPath, version, errors, partial);
+            if (player) {
+                battle.players[playerId] = player;
+            }
+        }
+
+        return battle;
+    }
+
+    normalizePlayerInfo(playerInfo, version, errors) {
+        const normalized = {};
+
+        if (!isPlainObject(playerInfo)) {
+            errors.push({ path: 'PlayerInfo', message: 'Must be an object' });
+            return normalized;
+        }
+
+        if (!this.checkEntryLimit(playerInfo, limits.maxPlayerInfo, 'PlayerInfo', errors)) {
+            return normalized;
+        }
+
+        for (const [playerId, info] of Object.entries(playerInfo)) {
+            const path = `PlayerInfo.${playerId}`;
+            const nickname = version === LEGACY_SCHEMA_VERSION && isPlainObject(info) ? info._id : info;
+
+            if (!limits.idPattern.test(playerId)) {
+                errors.push({ path, message: 'Invalid player id' });
+                continue;
+            }
+
+            const value = SchemaValidator.validateValue(
+                nickname,
+                { ...PAYLOAD_SCHEMA.playerInfo.nickname, required: true },
+                path,
+                errors
+            );
+            if (value !== undefined) {
+                normalized[playerId] = value;
+            }
+        }
+
+        return normalized;
+    }
+
+    // Documents stored before schema versions existed are read with the lenient legacy rules
+    normalizeStoredBattle(battleData, path) {
+        const errors = [];
+        const battle = this.normalizeBattle(battleData, path, LEGACY_SCHEMA_VERSION, errors);
+        return { battle: errors.length === 0 ? battle : null, errors };
+    }
+
+    normalize(payload, { partial = false } = {}) {
+        const errors = [];
+
+        if (!isPlainObject(payload)) {
+            return { isValid: false, errors: [{ path: '', message: 'Payload must be an object' }], data: null };
+        }
+
+        const version = this.resolveVersion(payload, errors);
+        if (version === null) {
+            return { isValid: false, errors, data: null };
+        }
+
+        if (payload.BattleStats === undefined && payload.PlayerInfo === undefined) {
+            errors.push({ path: '', message: 'BattleStats or PlayerInfo is required' });
+        }
+
+        const data = { schemaVersion: version, BattleStats: {}, PlayerInfo: {} };
+
+        if (payload.BattleStats !== undefined) {
+            if (!isPlainObject(payload.BattleStats)) {
+                errors.push({ path: 'BattleStats', message: 'Must be an object' });
+            } else if (this.checkEntryLimit(payload.BattleStats, limits.maxBattles, 'BattleStats', errors)) {
+                for (const [battleId, battleData] of Object.entries(payload.BattleStats)) {
+                    const path = `BattleStats.${battleId}`;
+                    if (!limits.idPattern.test(battleId)) {
+                        errors.push({ path, message: 'Invalid battle id' });
+                        continue;
+                    }
+
+                    const battle = this.normalizeBattle(battleData, path, version, errors, partial);
+                    if (battle) {
+                        data.BattleStats[battleId] = battle;
+                    }
+                }
+            }
+        }
+
+        if (payload.PlayerInfo !== undefined) {
+            data.PlayerInfo = this.normalizePlayerInfo(payload.PlayerInfo, version, errors);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            data: errors.length === 0 ? data : null
+        };
+    }
+}
+
+module.exports = new PayloadNormalizer();
\ No newline at end of file
@@ -0,0 +1,181 @@
+const BattleStats = require('../models/BattleStats');
+const Battle = require('../models/Battle');
+const payloadNormalizer = require('./payloadNormalizer');
+const PAYLOAD_SCHEMA = require('../config/payloadSchema');
+
+const MAX_SAMPLES = 20;
+const UNSAFE_FIELD = /^\$|\./;
+const QUARANTINE_FIELD = 'QuarantinedBattles';
+
+class StorageMigrationService {
+    constructor() {
+        this.batchSize = parseInt(process.env.MIGRATION_BATCH_SIZE) || 500;
+    }
+
+    createKeyReport(key) {
+        return {
+            key,
+            battles: 0,
+            players: 0,
+            playerInfo: 0,
+            skippedBattles: 0,
+            skippedPlayers: 0,
+            quarantine: null,
+            anomalies: {},
+            samples: []
+        };
+    }
+
+    recordAnomaly(report, details) {
+        report.anomalies[details.issue] = (report.anomalies[details.issue] || 0) + 1;
+        if (report.samples.length < MAX_SAMPLES) {
+            report.samples.push(details);
+        }
+    }
+
+    normalizePlayerInfo(playerInfo, report) {
+        const normalized = {};
+
+        for (const [playerId, info] of Object.entries(playerInfo || {})) {
+            let nickname = info;
+            while (nickname && typeof nickname === 'object' && '_id' in nickname) {
+                nickname = nickname._id;
+            }
+
+            if (UNSAFE_FIELD.test(playerId) || typeof nickname !== 'string' || !nickname) {
+                this.recordAnomaly(report, { issue: 'invalid_player_info', playerId });
+                continue;
+            }
+
+            if (!info || typeof info !== 'object' || info._id !== nickname) {
+                this.recordAnomaly(report, { issue: 'legacy_player_info', playerId });
+                normalized[playerId] = { _id: nickname };
+            }
+
+            report.playerInfo++;
+        }
+
+        return normalized;
+    }
+
+    normalizeBattles(battleStats, report, quarantined = []) {
+        const battles = [];
+
+        for (const [battleId, raw] of Object.entries(battleStats || {})) {
+            const source = raw && typeof raw._id === 'object' && raw._id !== null ? raw._id : raw;
+            if (source !== raw) {
+                this.recordAnomaly(report, { issue: 'nested_battle', battleId });
+            }
+            Object.keys(PAYLOAD_SCHEMA.battle)
+                .filter(field => source && typeof source === 'object' && (source[field] === undefined || source[field] === null))
+                .forEach(field => this.recordAnomaly(report, { issue: 'missing_field', battleId, field }));
+
+            const { battle, errors } = payloadNormalizer.normalizeStoredBattle(raw, `BattleStats.${battleId}`);
+            errors.forEach(({ path, message }) => this.recordAnomaly(report, { issue: 'invalid_field', battleId, path, message }));
+
+            if (!battle || UNSAFE_FIELD.test(battleId)) {
+                report.skippedBattles++;
+                report.skippedPlayers += Object.keys(source?.players || raw?.players || {}).length;
+                quarantined.push({ battleId, battle: raw, issues: errors });
+                continue;
+            }
+
+            report.players += Object.keys(battle.players).length;
+            report.battles++;
+            battles.push({ battleId, battle });
+        }
+
+        return battles;
+    }
+
+    toMergeOperation(key, battleId, { players, ...fields }) {
+        const merged = Object.fromEntries(
+            Object.entries(fields).map(([field, value]) => [field, { $ifNull: [`$${field}`, { $literal: value }] }])
+        );
+
+        return {
+            updateOne: {
+                filter: { key, battleId },
+                update: [{
+                    $set: {
+                        ...merged,
+                        players: { $mergeObjects: [{ $literal: players }, { $ifNull: ["$players", {}] }] }
+                    }
+                }],
+                upsert: true
+            }
+        };
+    }
+
+    async migrateKey(doc, { dryRun = false } = {}) {
+        const report = this.createKeyReport(doc._id);
+        const quarantined = [];
+        const battles = this.normalizeBattles(doc.BattleStats, report, quarantined);
+        const playerInfo = this.normalizePlayerInfo(doc.PlayerInfo, report);
+
+        if (quarantined.length > 0) {
+            report.quarantine = { field: QUARANTINE_FIELD, battles: quarantined.length };
+        }
+
+        if (dryRun) {
+            return report;
+        }
+
+        for (let i = 0; i < battles.length; i += this.batchSize) {
+            const operations = battles
+                .slice(i, i + this.batchSize)
+                .map(({ battleId, battle }) => this.toMergeOperation(doc._id, battleId, battle));
+
+            await Battle.bulkWrite(operations, { ordered: false });
+        }
+
+        const playerInfoUpdates = Object.fromEntries(
+            Object.entries(playerInfo).map(([playerId, info]) => [`PlayerInfo.${playerId}`, info])
+        );
+
+        // Skipped battles move to quarantine in the same write that drops the legacy map, so no copy is lost
+        await BattleStats.collection.updateOne(
+            { _id: doc._id },
+            {
+                ...(Object.keys(playerInfoUpdates).length > 0 ? { $set: playerInfoUpdates } : {}),
+                ...(quarantined.length > 0 ? { $push: { [QUARANTINE_FIELD]: { $each: quarantined } } } : {}),
+                $unset: { BattleStats: "" }
+            }
+        );
+
+        return report;
+    }
+
+    async run({ dryRun = false, key = null, onKey = null } = {}) {
+        await Battle.init();
+
+        const filter = { BattleStats: { $exists: true } };
+        if (key) {
+            filter._id = key;
+        }
+
+        const cursor = BattleStats.collection.find(filter, { projection: { BattleStats: 1, PlayerInfo: 1 } });
+        const summary = { dryRun, keys: 0, battles: 0, players: 0, skippedBattles: 0, skippedPlayers: 0, quarantineField: QUARANTINE_FIELD, anomalies: {} };
+
+        for await (const doc of cursor) {
+            const report = await this.migrateKey(doc, { dryRun });
+
+            summary.keys++;
+            summary.battles += report.battles;
+            summary.players += report.players;
+            summary.skippedBattles += report.skippedBattles;
+            summary.skippedPlayers += report.skippedPlayers;
+            for (const [issue, count] of Object.entries(report.anomalies)) {
+                summary.anomalies[issue] = (summary.anomalies[issue] || 0) + count;
+            }
+
+            if (onKey) {
+                onKey(report);
+            }
+        }
+
+        return summary;
+    }
+}
+
+module.exports = new StorageMigrationService();
\ No newline at end of file
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const trashRepository = require('../repositories/trashRepository');
+const battleStatsRepository = require('../repositories/battleStatsRepository');
+const notificationService = require('./notificationService');
+const AppError = require('../utils/appError');
+
+const TRASH_RETENTION_MS = (parseInt(process.env.TRASH_RETENTION_DAYS) || 7) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const PENDING_TIMEOUT_MS = 10 * 60 * 1000;
+
+class TrashService {
+    constructor() {
+        this.purgeInterval = null;
+    }
+
+    toPublicEntry(entry) {
+        if (!entry) return null;
+
+        const { _id, playerInfo, ...rest } = entry;
+        return { id: _id, ...rest };
+    }
+
+    // The entry exists before any battle leaves the live collection, so a failed move can always be traced and undone
+    async moveToTrash(key, type, { battleId = null } = {}) {
+        const trashId = crypto.randomUUID();
+        const match = type === 'battle' ? { key, battleId: String(battleId) } : { key };
+        const { PlayerInfo } = type === 'stats' ? await battleStatsRepository.getStatsMeta(key) : { PlayerInfo: {} };
+        const playerInfoCount = Object.keys(PlayerInfo).length;
+
+        const deletedAt = new Date();
+        await trashRepository.createEntry({
+            _id: trashId,
+            key,
+            type,
+            status: 'pending',
+            battleId: type === 'battle' ? String(battleId) : null,
+            playerInfo: PlayerInfo,
+            playerInfoCount,
+            deletedAt,
+            expiresAt: new Date(deletedAt.getTime() + TRASH_RETENTION_MS)
+        });
+
+        let battleCount;
+        try {
+            battleCount = await trashRepository.moveBattles(trashId, match);
+        } catch (error) {
+            await this.rollback(trashId);
+            throw error;
+        }
+
+        if (battleCount === 0 && playerInfoCount === 0) {
+            await trashRepository.remove([trashId]);
+            return null;
+        }
+
+        const entry = await trashRepository.activateEntry(trashId, { battleCount });
+        return this.toPublicEntry(entry);
+    }
+
+    async rollback(trashId) {
+        try {
+            await trashRepository.restoreBattles(trashId);
+            await trashRepository.remove([trashId]);
+        } catch (error) {
+            console.error(`❌ Не вдалося відкотити запис кошика ${trashId}:`, error);
+        }
+    }
+
+    async recoverPending() {
+        try {
+            const trashIds = await trashRepository.findStalePending(new Date(Date.now() - PENDING_TIMEOUT_MS));
+            for (const trashId of trashIds) {
+                await this.rollback(trashId);
+            }
+            if (trashIds.length > 0) {
+                console.log(`♻️ Відкочено незавершених записів кошика: ${trashIds.length}`);
+            }
+            return trashIds.length;
+        } catch (error) {
+            console.error('❌ Помилка відновлення незавершених записів кошика:', error);
+            return 0;
+        }
+    }
+
+    async listTrash(key) {
+        const entries = await trashRepository.findByKey(key);
+        return entries.map(entry => this.toPublicEntry(entry));
+    }
+
+    async restore(key, trashId) {
+        const entry = await trashRepository.findById(key, trashId);
+        if (!entry) {
+            throw new AppError('Запис у кошику не знайдено', 404, 'TRASH_ENTRY_NOT_FOUND');
+        }
+
+        await trashRepository.restoreBattles(trashId);
+
+        const { PlayerInfo } = await battleStatsRepository.getStatsMeta(key);
+        const $set = Object.fromEntries(
+            Object.entries(entry.playerInfo || {})
+                .filter(([playerId]) => PlayerInfo[playerId] === undefined)
+                .map(([playerId, nickname]) => [`PlayerInfo.${playerId}`, nickname])
+        );
+
+        const revision = await battleStatsRepository.updateBattleStats(key, { $set }, {
+            type: 'trashRestored',
+            trashId,
+            requiresReload: true
+        });
+        await trashRepository.remove([trashId]);
+        notificationService.notifyStatsUpdated(key, revision, null);
+
+        return {
+            success: true,
+            revision,
+            restored: {
+                type: entry.type,
+                battleId: entry.battleId,
+                battles: entry.battleCount,
+                playerInfo: Object.keys($set).length
+            }
+        };
+    }
+
+    async purgeExpired() {
+        try {
+            const trashIds = await trashRepository.findExpired(new Date());
+            if (trashIds.length === 0) return 0;
+
+            const purged = await trashRepository.remove(trashIds);
+            console.log(`🗑️ Остаточно видалено записів кошика: ${purged}`);
+            return purged;
+        } catch (error) {
+            console.error('❌ Помилка очищення кошика:', error);
+            return 0;
+        }
+    }
+
+    async runMaintenance() {
+        await this.recoverPending();
+        await this.purgeExpired();
+    }
+
+    start() {
+        this.runMaintenance();
+
+        if (!this.purgeInterval) {
+            this.purgeInterval = setInterval(() => this.runMaintenance(), PURGE_INTERVAL_MS);
+            this.purgeInterval.unref();
+        }
+    }
+
+    destroy() {
+        clearInterval(this.purgeInterval);
+        this.purgeInterval = null;
+    }
+}
+
+module.exports = new TrashService();
\ No newline at end of file
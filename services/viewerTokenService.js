@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { SCOPES, grantsScope } = require('../config/scopes');
+const apiKeyService = require('./apiKeyService');
+const AppError = require('../utils/appError');
+
+const TOKEN_PREFIX = 'vt';
+const DEFAULT_TTL_SECONDS = 6 * 60 * 60;
+const MAX_TTL_SECONDS = 48 * 60 * 60;
+const MIN_TTL_SECONDS = 60;
+
+class ViewerTokenService {
+    getSecret() {
+        const secret = process.env.SECRET_KEY;
+        if (!secret) {
+            throw new AppError('Серверний секрет не налаштовано', 500, 'SECRET_NOT_CONFIGURED');
+        }
+        return secret;
+    }
+
+    sign(encodedPayload) {
+        return crypto
+            .createHmac('sha256', this.getSecret())
+            .update(`${TOKEN_PREFIX}.${encodedPayload}`)
+            .digest('base64url');
+    }
+
+    getCipherKey() {
+        return crypto.createHash('sha256').update(`${TOKEN_PREFIX}:${this.getSecret()}`).digest();
+    }
+
+    // The issuing API key travels encrypted so the token dies with the key without exposing it on stream
+    sealKey(apiKey) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.getCipherKey(), iv);
+        const encrypted = Buffer.concat([cipher.update(apiKey, 'utf8'), cipher.final()]);
+        return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64url');
+    }
+
+    openKey(sealed) {
+        if (typeof sealed !== 'string') return null;
+
+        try {
+            const buffer = Buffer.from(sealed, 'base64url');
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.getCipherKey(), buffer.subarray(0, 12));
+            decipher.setAuthTag(buffer.subarray(12, 28));
+            return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]).toString('utf8');
+        } catch {
+            return null;
+        }
+    }
+
+    mint(apiKey, namespace, ttlSeconds = DEFAULT_TTL_SECONDS) {
+        const ttl = Number(ttlSeconds);
+        if (!Number.isFinite(ttl) || ttl < MIN_TTL_SECONDS || ttl > MAX_TTL_SECONDS) {
+            throw new AppError(
+                `Час дії токена має бути від ${MIN_TTL_SECONDS} до ${MAX_TTL_SECONDS} секунд`,
+                400,
+                'INVALID_TOKEN_TTL'
+            );
+        }
+
+        const expiresAt = Date.now() + Math.floor(ttl) * 1000;
+        const payload = {
+            ns: namespace,
+            scp: [SCOPES.VIEW],
+            exp: expiresAt,
+            kid: this.sealKey(apiKey),
+            jti: crypto.randomBytes(8).toString('base64url')
+        };
+        const encodedPayload = Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+
+        return {
+            token: `${TOKEN_PREFIX}.${encodedPayload}.${this.sign(encodedPayload)}`,
+            expiresAt: new Date(expiresAt).toISOString(),
+            scopes: payload.scp
+        };
+    }
+
+    async verify(token) {
+        const payload = this.decode(token);
+        if (!payload) return null;
+
+        const issuer = await apiKeyService.resolve(this.openKey(payload.kid));
+        if (!issuer || issuer.namespace !== payload.ns) return null;
+
+        return {
+            namespace: payload.ns,
+            scopes: grantsScope(issuer.scopes, SCOPES.VIEW) ? [SCOPES.VIEW] : [],
+            expiresAt: payload.exp
+        };
+    }
+
+    decode(token) {
+        if (typeof token !== 'string' || token.length > 1024) return null;
+
+        const [prefix, encodedPayload, signature] = token.split('.');
+        if (prefix !== TOKEN_PREFIX || !encodedPayload || !signature) return null;
+
+        try {
+            const expected = Buffer.from(this.sign(encodedPayload));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+                return null;
+            }
+
+            const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+            if (!payload || typeof payload.ns !== 'string' || typeof payload.exp !== 'number' || payload.exp <= Date.now()) {
+                return null;
+            }
+
+            return payload;
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = new ViewerTokenService();
\ No newline at end of file
@@ -0,0 +1,160 @@
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-secret';
+
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const battleStatsRepository = require('../repositories/battleStatsRepository');
+const Battle = require('../models/Battle');
+const BattleStats = require('../models/BattleStats');
+const Validators = require('../utils/validators');
+
+const KEY = 'page-key';
+const DURATIONS = [100, 200, 300];
+
+const createBattles = (count) => Array.from({ length: count }, (_, index) => ({
+    key: KEY,
+    battleId: `arena-${String(index).padStart(2, '0')}`,
+    startTime: 1700000000000 + (index % 4) * 1000,
+    duration: DURATIONS[index % DURATIONS.length],
+    win: 1,
+    mapName: 'Himmelsdorf',
+    players: { '100': { name: 'Alpha', damage: (index % 2) * 1000, kills: 0, points: 0, vehicle: 'T-34' } }
+}));
+
+const compare = (left, right) => (left < right ? -1 : left > right ? 1 : 0);
+
+const matchesCondition = (doc, condition) => Object.entries(condition).every(([field, expected]) => {
+    if (field === '$or') return expected.some(branch => matchesCondition(doc, branch));
+    if (expected && typeof expected === 'object') {
+        return Object.entries(expected).every(([operator, value]) =>
+            operator === '$gt' ? compare(doc[field], value) > 0 : compare(doc[field], value) < 0
+        );
+    }
+    return doc[field] === expected;
+});
+
+const sortValueOf = (doc, expression) => typeof expression === 'string'
+    ? doc[expression.slice(1)]
+    : Object.values(doc.players).reduce((sum, player) => sum + player.damage, 0);
+
+// Evaluates only the stages getPaginatedBattles emits
+const runPipeline = (docs, pipeline) => pipeline.reduce((rows, stage) => {
+    const [[operator, spec]] = Object.entries(stage);
+    switch (operator) {
+        case '$match': return rows.filter(doc => matchesCondition(doc, spec));
+        case '$addFields': return rows.map(doc => ({ ...doc, sortValue: sortValueOf(doc, spec.sortValue) }));
+        case '$sort': return [...rows].sort((left, right) => {
+            for (const [field, order] of Object.entries(spec)) {
+                const result = compare(left[field], right[field]) * order;
+                if (result !== 0) return result;
+            }
+            return 0;
+        });
+        case '$skip': return rows.slice(spec);
+        case '$limit': return rows.slice(0, spec);
+        default: throw new Error(`Unsupported stage ${operator}`);
+    }
+}, docs.map(doc => structuredClone(doc)));
+
+const collectPages = async (source, limit) => {
+    const seen = [];
+    let cursor = null;
+
+    for (let pages = 0; pages < 100; pages++) {
+        const validation = Validators.validateBattleQuery({ ...source, ...(cursor ? { cursor } : {}) });
+        assert.equal(validation.isValid, true, validation.errors.join('; '));
+
+        const [doc] = await battleStatsRepository.getPaginatedBattles(KEY, 1, limit, validation.query);
+        if (!doc) break;
+
+        seen.push(...doc.BattleStats.keys());
+        if (!doc.nextCursor) return seen;
+        cursor = doc.nextCursor;
+    }
+
+    return seen;
+};
+
+describe('BattleStatsRepository', () => {
+    const originalAggregate = Battle.aggregate;
+    let battles;
+
+    beforeEach(() => {
+        battles = createBattles(25);
+        Battle.aggregate = async (pipeline) => runPipeline(battles, pipeline);
+        battleStatsRepository.cache.clear();
+    });
+
+    afterEach(() => {
+        Battle.aggregate = originalAggregate;
+        delete Battle.bulkWrite;
+        delete BattleStats.findById;
+        delete BattleStats.findOneAndUpdate;
+    });
+
+    after(() => {
+        battleStatsRepository.destroy();
+    });
+
+    describe('cursor pagination', () => {
+        const expectedOrder = (sortField, order) => runPipeline(battles, [
+            { $addFields: { sortValue: sortField === 'totalDamage' ? {} : `$${sortField}` } },
+            { $sort: { sortValue: order === 'asc' ? 1 : -1, battleId: order === 'asc' ? 1 : -1 } }
+        ]).map(battle => battle.battleId);
+
+        for (const sort of ['duration', 'startTime', 'totalDamage']) {
+            for (const order of ['asc', 'desc']) {
+                it(`walks every battle exactly once when sorting by ${sort} ${order}`, async () => {
+                    const seen = await collectPages({ sort, order }, 4);
+
+                    assert.equal(new Set(seen).size, seen.length, 'duplicate battles across pages');
+                    assert.deepEqual(seen, expectedOrder(sort, order));
+                });
+            }
+        }
+
+        it('does not skip or repeat battles when the page boundary falls inside a run of equal values', async () => {
+            const seen = await collectPages({ sort: 'duration', order: 'asc' }, 3);
+            const boundaries = [2, 5, 8].map(index => battles.find(battle => battle.battleId === seen[index]).duration);
+
+            assert.deepEqual(boundaries, [100, 100, 100]);
+            assert.equal(seen.length, battles.length);
+            assert.equal(new Set(seen).size, battles.length);
+        });
+
+        it('returns no cursor on the last page', async () => {
+            const [doc] = await battleStatsRepository.getPaginatedBattles(KEY, 1, 50, Validators.validateBattleQuery({}).query);
+
+            assert.equal(doc.BattleStats.size, 25);
+            assert.equal(doc.nextCursor, null);
+        });
+    });
+
+    describe('cache invalidation', () => {
+        const stubRevisionWrite = () => {
+            const chain = (value) => ({ select: () => chain(value), lean: async () => value });
+            Battle.bulkWrite = async () => ({});
+            BattleStats.findById = () => chain({ revision: 4 });
+            BattleStats.findOneAndUpdate = () => chain({ revision: 5 });
+        };
+
+        it('drops cached pages, player summaries and leaderboards of the changed key', async () => {
+            stubRevisionWrite();
+            const query = Validators.validateBattleQuery({}).query;
+            const [before] = await battleStatsRepository.getPaginatedBattles(KEY, 1, 50, query);
+            battleStatsRepository.cache.set(`player-summary:${KEY}:100`, { battles: 25 }, 3000);
+            battleStatsRepository.cache.set(`leaderboard:${KEY}:totalDamage:null:null:10:1`, [], 3000);
+            battleStatsRepository.cache.set('leaderboard:other-key:totalDamage:null:null:10:1', [], 3000);
+
+            battles.push({ ...createBattles(26)[25] });
+            const revision = await battleStatsRepository.applyChange(KEY, { $set: { 'BattleStats.arena-25.duration': 100 } }, { type: 'statsUpdated' });
+            const [after] = await battleStatsRepository.getPaginatedBattles(KEY, 1, 50, query);
+
+            assert.equal(revision, 5);
+            assert.equal(before.BattleStats.size, 25);
+            assert.equal(after.BattleStats.size, 26);
+            assert.equal(battleStatsRepository.cache.get(`player-summary:${KEY}:100`), null);
+            assert.equal(battleStatsRepository.cache.get(`leaderboard:${KEY}:totalDamage:null:null:10:1`), null);
+            assert.deepEqual(battleStatsRepository.cache.get('leaderboard:other-key:totalDamage:null:null:10:1'), []);
+        });
+    });
+});
\ No newline at end of file
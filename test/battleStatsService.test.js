@@ -0,0 +1,615 @@
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-secret';
+process.env.CHANGE_LOG_LIMIT = '5';
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const battleStatsService = require('../services/battleStatsService');
+const battleStatsRepository = require('../repositories/battleStatsRepository');
+const notificationService = require('../services/notificationService');
+const trashService = require('../services/trashService');
+const Battle = require('../models/Battle');
+const BattleStats = require('../models/BattleStats');
+const BackupCodec = require('../utils/backupCodec');
+
+const createIoStub = () => {
+    const emitted = [];
+    const io = {
+        to: (room) => ({
+            emit: (event, data) => emitted.push({ room, event, data })
+        })
+    };
+    return { io, emitted };
+};
+
+const sampleStats = () => ({
+    BattleStats: {
+        'arena-1': {
+            startTime: 1700000000000,
+            duration: 420,
+            win: 1,
+            mapName: 'Himmelsdorf',
+            players: {
+                '100': { name: 'Alpha', damage: 3200, kills: 2, points: 1500, vehicle: 'T-34' },
+                '200': { name: 'Bravo', damage: 1800, kills: 1, points: 900, vehicle: 'IS-3' }
+            }
+        },
+        'arena-2': {
+            startTime: 1700000500000,
+            duration: 300,
+            win: 0,
+            mapName: 'Prokhorovka',
+            players: {
+                '100': { name: 'Alpha', damage: 900, kills: 0, points: 400, vehicle: 'T-34' }
+            }
+        }
+    },
+    PlayerInfo: { '100': { _id: 'Alpha' }, '200': { _id: 'Bravo' } }
+});
+
+// Applies the $set paths the service writes to a plain document, mirroring how the repository stores them
+const createMemoryStore = () => {
+    const docs = new Map();
+    const docFor = (key) => {
+        if (!docs.has(key)) docs.set(key, { BattleStats: {}, PlayerInfo: {}, revision: 0 });
+        return docs.get(key);
+    };
+    const apply = (key, updates) => {
+        const doc = docFor(key);
+        for (const [path, value] of Object.entries(updates.$set || {})) {
+            const [root, id] = path.split('.');
+            if (id === undefined) doc[root] = structuredClone(value);
+            else doc[root][id] = structuredClone(value);
+        }
+        doc.revision += 1;
+        return doc.revision;
+    };
+
+    return {
+        docs,
+        install() {
+            battleStatsRepository.getStatsRaw = async (key) => structuredClone(docFor(key));
+            battleStatsRepository.getStatsMeta = async (key) => ({ PlayerInfo: docFor(key).PlayerInfo, revision: docFor(key).revision });
+            battleStatsRepository.updateBattleStats = async (key, updates) => apply(key, updates);
+            battleStatsRepository.replaceStats = async (key, updates) => {
+                docs.set(key, { BattleStats: {}, PlayerInfo: {}, revision: docFor(key).revision });
+                return apply(key, updates);
+            };
+        }
+    };
+};
+
+// Mirrors the guarded revision write and the $push/$sort/$slice trimming of the change log
+const createChangeLogStore = () => {
+    const docs = new Map();
+    const chain = (value) => ({ select: () => chain(value), lean: async () => structuredClone(value) });
+
+    Battle.bulkWrite = async () => ({});
+    BattleStats.findById = (key) => chain(docs.get(key) || null);
+    BattleStats.findOneAndUpdate = (filter, update) => {
+        const doc = docs.get(filter._id);
+        if ((doc?.revision ?? null) !== filter.revision) return chain(null);
+
+        const { $each, $slice } = update.$push.ChangeLog;
+        const next = {
+            revision: update.$set.revision,
+            ChangeLog: [...(doc?.ChangeLog || []), ...$each]
+                .sort((left, right) => left.revision - right.revision)
+                .slice($slice)
+        };
+        docs.set(filter._id, next);
+        return chain({ revision: next.revision });
+    };
+
+    return docs;
+};
+
+const waitFor = async (predicate, timeout = 1000) => {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('BattleStatsService', () => {
+    const originals = {};
+    let ioStub;
+
+    before(() => {
+        for (const method of Object.getOwnPropertyNames(Object.getPrototypeOf(battleStatsRepository))) {
+            originals[method] = battleStatsRepository[method];
+        }
+    });
+
+    beforeEach(() => {
+        ioStub = createIoStub();
+        notificationService.setIo(ioStub.io);
+    });
+
+    afterEach(() => {
+        Object.assign(battleStatsRepository, originals);
+        notificationService.setIo(null);
+    });
+
+    afterEach(() => {
+        delete trashService.moveToTrash;
+        delete Battle.deleteMany;
+        delete Battle.bulkWrite;
+        delete BattleStats.findById;
+        delete BattleStats.findOneAndUpdate;
+    });
+
+    after(() => {
+        battleStatsService.destroy();
+        battleStatsRepository.destroy();
+        trashService.destroy();
+    });
+
+    describe('pending updates', () => {
+        const failingCommit = () => {
+            battleStatsRepository.updateBattleStats = async () => {
+                throw new Error('Не вдалося оновити ревізію');
+            };
+        };
+
+        const trackUnhandled = () => {
+            const rejections = [];
+            const listener = (reason) => rejections.push(reason);
+            process.on('unhandledRejection', listener);
+            return { rejections, stop: () => process.off('unhandledRejection', listener) };
+        };
+
+        it('reports a failed delayed batch through updateError instead of rejecting', async () => {
+            failingCommit();
+            const unhandled = trackUnhandled();
+
+            try {
+                await battleStatsService.addToPendingUpdates('batch-key', { $set: { 'PlayerInfo.1': { _id: 'Nick' } } });
+                await waitFor(() => ioStub.emitted.length > 0);
+                await new Promise(resolve => setImmediate(resolve));
+
+                assert.equal(ioStub.emitted.length, 1);
+                assert.equal(ioStub.emitted[0].room, notificationService.getRoomName('batch-key'));
+                assert.equal(ioStub.emitted[0].event, 'updateError');
+                assert.equal(ioStub.emitted[0].data.key, 'batch-key');
+                assert.equal(ioStub.emitted[0].data.error, 'Не вдалося оновити ревізію');
+                assert.deepEqual(unhandled.rejections, []);
+                assert.equal(battleStatsService.pendingUpdates.has('batch-key'), false);
+            } finally {
+                unhandled.stop();
+            }
+        });
+
+        it('reports a failed stale batch picked up by the cleanup sweep', async () => {
+            failingCommit();
+            const unhandled = trackUnhandled();
+
+            try {
+                battleStatsService.pendingUpdates.set('stale-key', [{
+                    $set: { 'PlayerInfo.1': { _id: 'Nick' } },
+                    timestamp: Date.now() - battleStatsService.maxPendingTime - 1
+                }]);
+                battleStatsService.cleanupStaleUpdates();
+                await waitFor(() => ioStub.emitted.length > 0);
+                await new Promise(resolve => setImmediate(resolve));
+
+                assert.equal(ioStub.emitted[0].event, 'updateError');
+                assert.equal(ioStub.emitted[0].data.key, 'stale-key');
+                assert.deepEqual(unhandled.rejections, []);
+            } finally {
+                unhandled.stop();
+            }
+        });
+
+        it('merges queued updates into one commit', async () => {
+            const commits = [];
+            battleStatsRepository.updateBattleStats = async (key, updates) => {
+                commits.push({ key, updates });
+                return 7;
+            };
+
+            await battleStatsService.addToPendingUpdates('merge-key', { $set: { 'PlayerInfo.1': { _id: 'A' } } });
+            await battleStatsService.addToPendingUpdates('merge-key', { $set: { 'PlayerInfo.2': { _id: 'B' } } });
+            await waitFor(() => commits.length > 0);
+
+            assert.equal(commits.length, 1);
+            assert.deepEqual(commits[0].updates, {
+                $set: { 'PlayerInfo.1': { _id: 'A' }, 'PlayerInfo.2': { _id: 'B' } }
+            });
+        });
+    });
+
+    describe('trash', () => {
+        const recordChanges = () => {
+            const changes = [];
+            battleStatsRepository.applyChange = async (key, updates, change) => {
+                changes.push({ key, updates, change });
+                return changes.length;
+            };
+            return changes;
+        };
+
+        it('clears stats without deleting battles outside the trash move', async () => {
+            const changes = recordChanges();
+            const deletes = [];
+            trashService.moveToTrash = async () => ({ id: 'trash-1', type: 'stats' });
+            Battle.deleteMany = async (filter) => deletes.push(filter);
+
+            const result = await battleStatsService.clearStats('clear-key');
+
+            assert.deepEqual(deletes, []);
+            assert.equal(result.trash.id, 'trash-1');
+            assert.equal(changes.length, 1);
+            assert.deepEqual(changes[0].change, { type: 'statsCleared', trashId: 'trash-1' });
+        });
+
+        it('returns 404 without a revision bump when the battle does not exist', async () => {
+            const changes = recordChanges();
+            trashService.moveToTrash = async () => null;
+
+            await assert.rejects(
+                battleStatsService.deleteBattle('delete-key', 'missing'),
+                { statusCode: 404, code: 'BATTLE_NOT_FOUND' }
+            );
+            assert.deepEqual(changes, []);
+            assert.deepEqual(ioStub.emitted, []);
+        });
+
+        it('records the trash entry when deleting an existing battle', async () => {
+            const changes = recordChanges();
+            trashService.moveToTrash = async () => ({ id: 'trash-2', type: 'battle', battleId: '42' });
+
+            const result = await battleStatsService.deleteBattle('delete-key', '42');
+
+            assert.equal(result.trash.id, 'trash-2');
+            assert.deepEqual(changes[0].change, { type: 'battleDeleted', battleId: '42', trashId: 'trash-2' });
+            assert.equal(ioStub.emitted[0].event, 'battleDeleted');
+        });
+    });
+
+    describe('backups', () => {
+        let store;
+
+        beforeEach(() => {
+            store = createMemoryStore();
+            store.install();
+            store.docs.set('source-key', { ...sampleStats(), revision: 3 });
+        });
+
+        it('reproduces the same stats when a backup is restored into an empty key', async () => {
+            const backup = await battleStatsService.createBackup('source-key');
+            const result = await battleStatsService.restoreBackup('target-key', backup, 'replace');
+            const copy = await battleStatsService.createBackup('target-key');
+
+            assert.equal(result.verified, true);
+            assert.deepEqual(result.restored, { battles: 2, playerInfo: 2 });
+            assert.deepEqual(copy.data, backup.data);
+            assert.equal(copy.checksum, backup.checksum);
+            assert.deepEqual(copy.counts, { battles: 2, players: 3, playerInfo: 2 });
+        });
+
+        it('verifies a merge restore against the battles it wrote', async () => {
+            store.docs.set('target-key', {
+                BattleStats: { 'arena-9': sampleStats().BattleStats['arena-2'] },
+                PlayerInfo: { '300': { _id: 'Charlie' } },
+                revision: 1
+            });
+            const backup = await battleStatsService.createBackup('source-key');
+
+            const result = await battleStatsService.restoreBackup('target-key', backup, 'merge');
+            const stored = store.docs.get('target-key');
+
+            assert.equal(result.verified, true);
+            assert.deepEqual(Object.keys(stored.BattleStats).sort(), ['arena-1', 'arena-2', 'arena-9']);
+            assert.equal(stored.PlayerInfo['300']._id, 'Charlie');
+        });
+
+        it('keeps the checksum independent of key order', async () => {
+            const backup = await battleStatsService.createBackup('source-key');
+            const reverseKeys = (value) => value && typeof value === 'object'
+                ? Object.fromEntries(Object.entries(value).reverse().map(([field, item]) => [field, reverseKeys(item)]))
+                : value;
+            const reordered = reverseKeys(backup.data);
+
+            assert.notEqual(JSON.stringify(reordered), JSON.stringify(backup.data));
+            assert.equal(BackupCodec.checksum(reordered), backup.checksum);
+        });
+
+        it('rejects a backup whose data was tampered with', async () => {
+            const backup = await battleStatsService.createBackup('source-key');
+            backup.data.BattleStats['arena-1'].players['100'].damage = 99999;
+
+            await assert.rejects(
+                battleStatsService.restoreBackup('target-key', backup, 'replace'),
+                { statusCode: 422, code: 'INVALID_BACKUP', details: ['Checksum mismatch'] }
+            );
+            assert.equal(store.docs.has('target-key'), false);
+        });
+
+        it('rejects a truncated backup', async () => {
+            const backup = await battleStatsService.createBackup('source-key');
+            const withoutBattle = structuredClone(backup);
+            delete withoutBattle.data.BattleStats['arena-2'];
+            const withoutData = structuredClone(backup);
+            delete withoutData.data;
+
+            await assert.rejects(
+                battleStatsService.restoreBackup('target-key', withoutBattle, 'merge'),
+                { statusCode: 422, code: 'INVALID_BACKUP', details: ['Checksum mismatch'] }
+            );
+            await assert.rejects(
+                battleStatsService.restoreBackup('target-key', withoutData, 'merge'),
+                { statusCode: 422, code: 'INVALID_BACKUP', details: ['Missing data'] }
+            );
+        });
+
+        it('rejects backups of an unknown format or version', async () => {
+            const backup = await battleStatsService.createBackup('source-key');
+
+            await assert.rejects(
+                battleStatsService.restoreBackup('target-key', { ...backup, format: 'other', version: 2 }, 'merge'),
+                {
+                    statusCode: 422,
+                    code: 'INVALID_BACKUP',
+                    details: ['Invalid format, expected battle-stats-backup', 'Unsupported backup version, expected 1']
+                }
+            );
+        });
+
+        it('rejects an unknown restore mode', async () => {
+            const backup = await battleStatsService.createBackup('source-key');
+
+            await assert.rejects(
+                battleStatsService.restoreBackup('target-key', backup, 'append'),
+                { statusCode: 400, code: 'INVALID_RESTORE_MODE' }
+            );
+        });
+    });
+
+    describe('syncSince', () => {
+        const KEY = 'sync-key';
+
+        const commitBattles = async (from, to) => {
+            for (let index = from; index <= to; index++) {
+                await battleStatsService.commitUpdates(KEY, { $set: { [`BattleStats.arena-${index}.duration`]: index } });
+            }
+        };
+
+        beforeEach(() => {
+            createChangeLogStore();
+        });
+
+        it('returns exactly the changes after the client revision', async () => {
+            await commitBattles(1, 4);
+
+            const result = await battleStatsService.syncSince(KEY, 2);
+
+            assert.equal(result.fullReload, false);
+            assert.equal(result.revision, 4);
+            assert.deepEqual(result.changes.map(change => change.revision), [3, 4]);
+            assert.deepEqual(result.changes.map(change => change.type), ['statsUpdated', 'statsUpdated']);
+            assert.deepEqual(result.changes[0].delta.BattleStats, { 'arena-3': { duration: 3 } });
+            assert.deepEqual(result.changes[1].delta.BattleStats, { 'arena-4': { duration: 4 } });
+        });
+
+        it('returns no changes to a client that is up to date', async () => {
+            await commitBattles(1, 3);
+
+            assert.deepEqual(await battleStatsService.syncSince(KEY, 3), {
+                success: true, key: KEY, revision: 3, fullReload: false, changes: []
+            });
+        });
+
+        it('replays the whole window when the client revision sits right before it', async () => {
+            await commitBattles(1, 8);
+
+            const result = await battleStatsService.syncSince(KEY, 3);
+
+            assert.equal(result.fullReload, false);
+            assert.deepEqual(result.changes.map(change => change.revision), [4, 5, 6, 7, 8]);
+        });
+
+        it('signals a full resync when the client revision fell out of the trimmed change log', async () => {
+            await commitBattles(1, 8);
+
+            for (const sinceRevision of [0, 1, 2]) {
+                const result = await battleStatsService.syncSince(KEY, sinceRevision);
+                assert.equal(result.fullReload, true, `since ${sinceRevision}`);
+                assert.deepEqual(result.changes, []);
+                assert.equal(result.revision, 8);
+            }
+        });
+
+        it('signals a full resync when the client is ahead of the server', async () => {
+            await commitBattles(1, 2);
+
+            const result = await battleStatsService.syncSince(KEY, 6);
+
+            assert.equal(result.fullReload, true);
+            assert.equal(result.revision, 2);
+        });
+
+        it('signals a full resync when a missed change cannot be replayed as a delta', async () => {
+            await commitBattles(1, 2);
+            await battleStatsRepository.updateBattleStats(KEY, { $set: {} }, { type: 'statsRestored', requiresReload: true });
+            await commitBattles(4, 4);
+
+            assert.equal((await battleStatsService.syncSince(KEY, 1)).fullReload, true);
+            assert.equal((await battleStatsService.syncSince(KEY, 3)).fullReload, false);
+        });
+    });
+
+    describe('partial updates', () => {
+        it('sets only the fields present in the payload and defaults the rest on insert', async () => {
+            const validation = battleStatsService.validatePayload(
+                { schemaVersion: 2, BattleStats: { 'arena-1': { win: 1, players: { '100': { damage: 500 } } } } },
+                { partial: true }
+            );
+            const updates = await battleStatsService.prepareUpdates('partial-key', validation.data);
+
+            assert.deepEqual(updates.$set, {
+                'BattleStats.arena-1.win': 1,
+                'BattleStats.arena-1.players.100.damage': 500
+            });
+            assert.equal(typeof updates.$setOnInsert['BattleStats.arena-1.startTime'], 'number');
+            assert.deepEqual(Object.keys(updates.$setOnInsert).sort(), [
+                'BattleStats.arena-1.duration',
+                'BattleStats.arena-1.mapName',
+                'BattleStats.arena-1.players.100.kills',
+                'BattleStats.arena-1.players.100.name',
+                'BattleStats.arena-1.players.100.points',
+                'BattleStats.arena-1.players.100.vehicle',
+                'BattleStats.arena-1.startTime'
+            ]);
+        });
+
+        it('routes insert-only defaults to the battle upsert without touching stored values', async () => {
+            const writes = [];
+            createChangeLogStore();
+            Battle.bulkWrite = async (operations) => writes.push(...operations);
+
+            await battleStatsService.commitUpdates('partial-key', {
+                $set: { 'BattleStats.arena-1.win': 1 },
+                $setOnInsert: { 'BattleStats.arena-1.startTime': 5, 'BattleStats.arena-1.mapName': 'Unknown Map' }
+            });
+
+            assert.deepEqual(writes, [{
+                updateOne: {
+                    filter: { key: 'partial-key', battleId: 'arena-1' },
+                    update: { $set: { win: 1 }, $setOnInsert: { startTime: 5, mapName: 'Unknown Map' } },
+                    upsert: true
+                }
+            }]);
+        });
+
+        it('drops batched defaults for fields another update in the batch sets', async () => {
+            const commits = [];
+            battleStatsRepository.updateBattleStats = async (key, updates) => {
+                commits.push(updates);
+                return 1;
+            };
+
+            battleStatsService.pendingUpdates.set('batch-merge-key', [
+                { $set: { 'BattleStats.arena-1.win': 1 }, $unset: {}, $setOnInsert: { 'BattleStats.arena-1.duration': 0 } },
+                { $set: { 'BattleStats.arena-1.duration': 300 }, $unset: {}, $setOnInsert: { 'BattleStats.arena-1.win': -1 } }
+            ]);
+            await battleStatsService.processPendingUpdates('batch-merge-key');
+
+            assert.deepEqual(commits, [{ $set: { 'BattleStats.arena-1.win': 1, 'BattleStats.arena-1.duration': 300 } }]);
+        });
+    });
+
+    describe('imports', () => {
+        const alpha = { name: 'Alpha', damage: 900, kills: 0, points: 400, vehicle: 'T-34' };
+        const bravo = { name: 'Bravo', damage: 700, kills: 1, points: 300, vehicle: 'IS-3' };
+        const charlie = { name: 'Charlie', damage: 2100, kills: 3, points: 1200, vehicle: 'KV-1' };
+
+        const existingBattles = () => ({
+            'arena-1': structuredClone(sampleStats().BattleStats['arena-1']),
+            'arena-2': { startTime: 1700000500000, duration: 300, win: 0, mapName: 'Prokhorovka', players: { '100': alpha, '200': bravo } }
+        });
+
+        const importData = () => ({
+            schemaVersion: 2,
+            BattleStats: {
+                'arena-1': structuredClone(sampleStats().BattleStats['arena-1']),
+                'arena-2': {
+                    startTime: 1700000500000,
+                    duration: 360,
+                    win: 1,
+                    mapName: 'Prokhorovka',
+                    players: { '100': { ...alpha, damage: 1200, kills: 1 }, '300': charlie }
+                },
+                'arena-3': { startTime: 1700001000000, duration: 200, win: 2, mapName: 'Ensk', players: { '300': charlie } }
+            },
+            PlayerInfo: { '100': 'Alpha', '200': 'Bravo2', '300': 'Charlie' }
+        });
+
+        let writes;
+
+        beforeEach(() => {
+            writes = [];
+            battleStatsRepository.findBattles = async (key, battleIds) => Object.fromEntries(
+                Object.entries(existingBattles()).filter(([battleId]) => battleIds.includes(battleId))
+            );
+            battleStatsRepository.getStatsMeta = async () => ({
+                PlayerInfo: { '100': { _id: 'Alpha' }, '200': { _id: 'Bravo' } },
+                revision: 9
+            });
+            battleStatsRepository.updateBattleStats = async (key, updates, change) => {
+                writes.push({ key, updates, change });
+                return 10;
+            };
+        });
+
+        it('plans added, changed and conflicting battles in a dry run without writing', async () => {
+            const result = await battleStatsService.importStats('import-key', importData(), { strategy: 'overwrite', dryRun: true });
+
+            assert.deepEqual(writes, []);
+            assert.equal(result.revision, 9);
+            assert.deepEqual(result.summary, {
+                battles: { added: 1, changed: 1, unchanged: 1, skipped: 0 },
+                players: { added: 2, changed: 1, unchanged: 2, skipped: 0, removed: 1 },
+                playerInfo: { added: 1, changed: 1, unchanged: 1, skipped: 0 }
+            });
+        });
+
+        it('overwrites conflicting battles with the imported copy', async () => {
+            const result = await battleStatsService.importStats('import-key', importData(), { strategy: 'overwrite' });
+
+            assert.equal(result.revision, 10);
+            assert.deepEqual(Object.keys(writes[0].updates.$set).sort(), [
+                'BattleStats.arena-2', 'BattleStats.arena-3', 'PlayerInfo.200', 'PlayerInfo.300'
+            ]);
+            assert.deepEqual(writes[0].updates.$set['BattleStats.arena-2'], importData().BattleStats['arena-2']);
+            assert.deepEqual(writes[0].change, { type: 'statsImported', strategy: 'overwrite', requiresReload: true });
+        });
+
+        it('leaves existing battles and nicknames alone with skip-existing', async () => {
+            const result = await battleStatsService.importStats('import-key', importData(), { strategy: 'skip-existing' });
+
+            assert.deepEqual(result.summary, {
+                battles: { added: 1, changed: 0, unchanged: 0, skipped: 2 },
+                players: { added: 1, changed: 0, unchanged: 0, skipped: 4, removed: 0 },
+                playerInfo: { added: 1, changed: 0, unchanged: 0, skipped: 2 }
+            });
+            assert.deepEqual(Object.keys(writes[0].updates.$set).sort(), ['BattleStats.arena-3', 'PlayerInfo.300']);
+        });
+
+        it('merges conflicting battles field by field and keeps players missing from the import', async () => {
+            const result = await battleStatsService.importStats('import-key', importData(), { strategy: 'merge' });
+            const merged = writes[0].updates.$set['BattleStats.arena-2'];
+
+            assert.deepEqual(result.summary.battles, { added: 1, changed: 1, unchanged: 1, skipped: 0 });
+            assert.deepEqual(result.summary.players, { added: 2, changed: 1, unchanged: 3, skipped: 0, removed: 0 });
+            assert.deepEqual(merged, {
+                startTime: 1700000500000,
+                duration: 360,
+                win: 1,
+                mapName: 'Prokhorovka',
+                players: { '100': { ...alpha, damage: 1200, kills: 1 }, '200': bravo, '300': charlie }
+            });
+        });
+
+        it('skips the write when nothing changes', async () => {
+            const data = importData();
+            data.BattleStats = { 'arena-1': data.BattleStats['arena-1'] };
+            data.PlayerInfo = { '100': 'Alpha' };
+
+            const result = await battleStatsService.importStats('import-key', data, { strategy: 'merge' });
+
+            assert.deepEqual(writes, []);
+            assert.equal(result.revision, 9);
+            assert.deepEqual(result.summary.battles, { added: 0, changed: 0, unchanged: 1, skipped: 0 });
+        });
+
+        it('parses strategies and dry-run flags and rejects unknown strategies', () => {
+            assert.deepEqual(battleStatsService.parseImportOptions({}), { strategy: 'overwrite', dryRun: false });
+            assert.deepEqual(battleStatsService.parseImportOptions({ strategy: 'merge', dryRun: 'true' }), { strategy: 'merge', dryRun: true });
+            assert.throws(
+                () => battleStatsService.parseImportOptions({ strategy: 'append' }),
+                { statusCode: 400, code: 'INVALID_IMPORT_STRATEGY' }
+            );
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CursorCodec = require('../utils/cursorCodec');
+const Validators = require('../utils/validators');
+
+const encodeRaw = (payload) => Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+
+describe('CursorCodec', () => {
+    it('round-trips the sort, value and battle id', () => {
+        const cursor = CursorCodec.encode({ field: 'duration', order: 'asc' }, 300, 'arena-7');
+
+        assert.match(cursor, /^[\w-]+$/);
+        assert.deepEqual(CursorCodec.decode(cursor), {
+            sort: { field: 'duration', order: 'asc' },
+            value: 300,
+            id: 'arena-7'
+        });
+    });
+
+    it('keeps a missing sort value as null and stringifies numeric ids', () => {
+        const decoded = CursorCodec.decode(CursorCodec.encode({ field: 'startTime', order: 'desc' }, undefined, 42));
+
+        assert.equal(decoded.value, null);
+        assert.equal(decoded.id, '42');
+    });
+
+    it('rejects cursors that are not strings or exceed the length limit', () => {
+        for (const cursor of [undefined, null, 12, '', 'x'.repeat(513)]) {
+            assert.equal(CursorCodec.decode(cursor), null, String(cursor));
+        }
+    });
+
+    it('rejects cursors that do not decode to JSON', () => {
+        assert.equal(CursorCodec.decode('not-a-cursor'), null);
+        assert.equal(CursorCodec.decode(Buffer.from('{"f":"startTime"').toString('base64url')), null);
+    });
+
+    it('rejects tampered payloads', () => {
+        const valid = { f: 'startTime', o: 'desc', v: 1700000000000, id: 'arena-1' };
+        const tampered = [
+            { ...valid, o: 'sideways' },
+            { ...valid, v: '1700000000000' },
+            { ...valid, v: { $gt: 0 } },
+            { ...valid, id: 7 },
+            { ...valid, f: null },
+            [valid],
+            null
+        ];
+
+        for (const payload of tampered) {
+            assert.equal(CursorCodec.decode(encodeRaw(payload)), null, JSON.stringify(payload));
+        }
+    });
+
+    it('is rejected by the battle query validator when invalid or issued for another sort', () => {
+        const cursor = CursorCodec.encode({ field: 'duration', order: 'asc' }, 300, 'arena-7');
+
+        assert.deepEqual(Validators.validateBattleQuery({ cursor: 'garbage' }).errors, ['Invalid cursor']);
+        assert.deepEqual(
+            Validators.validateBattleQuery({ cursor, sort: 'duration', order: 'desc' }).errors,
+            ['Cursor does not match requested sort']
+        );
+
+        const validation = Validators.validateBattleQuery({ cursor, sort: 'duration', order: 'asc' });
+        assert.equal(validation.isValid, true);
+        assert.deepEqual(validation.query.cursor, { value: 300, id: 'arena-7' });
+    });
+});
\ No newline at end of file
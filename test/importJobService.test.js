@@ -0,0 +1,205 @@
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-secret';
+process.env.IMPORT_JOB_CHUNK_SIZE = '2';
+
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const importJobService = require('../services/importJobService');
+const importJobRepository = require('../repositories/importJobRepository');
+const battleStatsService = require('../services/battleStatsService');
+const battleStatsRepository = require('../repositories/battleStatsRepository');
+const notificationService = require('../services/notificationService');
+
+const STALE_MS = 2 * 60 * 1000;
+
+const battle = (index) => ({ startTime: index, duration: 60, win: 1, mapName: 'Ensk', players: {} });
+
+const createPayload = (count) => ({
+    BattleStats: Object.fromEntries(Array.from({ length: count }, (_, index) => [`arena-${index}`, battle(index)])),
+    PlayerInfo: { '100': 'Alpha' }
+});
+
+const summary = (added) => ({
+    battles: { added, changed: 0, unchanged: 0, skipped: 0 },
+    players: { added: 0, changed: 0, unchanged: 0, skipped: 0, removed: 0 },
+    playerInfo: { added: 0, changed: 0, unchanged: 0, skipped: 0 }
+});
+
+// Mirrors the status and lock conditions the repository sends to MongoDB
+const createJobStore = () => {
+    const jobs = new Map();
+    const claims = [];
+    const publicCopy = (job) => {
+        if (!job) return null;
+        const { payload, ...rest } = structuredClone(job);
+        return rest;
+    };
+    const isClaimable = (job, staleBefore) =>
+        job.status === 'queued' || (job.status === 'running' && job.lockedAt < staleBefore);
+
+    importJobRepository.create = async (job) => {
+        jobs.set(job._id, { status: 'queued', processedBattles: 0, progress: 0, summary: null, revision: null, ...structuredClone(job) });
+        return publicCopy(jobs.get(job._id));
+    };
+    importJobRepository.findById = async (jobId) => publicCopy(jobs.get(jobId));
+    importJobRepository.claim = async (jobId, staleBefore) => {
+        claims.push(jobId);
+        const job = jobs.get(jobId);
+        if (!job || !isClaimable(job, staleBefore)) return null;
+
+        Object.assign(job, { status: 'running', lockedAt: new Date(), startedAt: job.startedAt || new Date() });
+        return structuredClone(job);
+    };
+    importJobRepository.update = async (jobId, fields, unset = []) => {
+        const job = jobs.get(jobId);
+        Object.assign(job, structuredClone(fields), { lockedAt: new Date() });
+        unset.forEach(field => delete job[field]);
+        return publicCopy(job);
+    };
+    importJobRepository.findResumable = async (staleBefore) =>
+        [...jobs.values()].filter(job => isClaimable(job, staleBefore)).map(job => job._id);
+
+    return { jobs, claims };
+};
+
+const waitFor = async (predicate, timeout = 10000) => {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > timeout) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+};
+
+describe('ImportJobService', () => {
+    const originalRepository = {};
+    const originalImportStats = battleStatsService.importStats;
+    let store;
+    let imports;
+    let events;
+
+    for (const method of ['create', 'findById', 'claim', 'update', 'findResumable']) {
+        originalRepository[method] = importJobRepository[method];
+    }
+
+    beforeEach(() => {
+        store = createJobStore();
+        imports = [];
+        events = [];
+        battleStatsService.importStats = async (key, data, options) => {
+            imports.push({ key, data, options });
+            return { summary: summary(Object.keys(data.BattleStats).length), revision: imports.length };
+        };
+        notificationService.setIo({
+            to: () => ({ to: () => ({ emit: (event, data) => events.push({ event, data }) }) })
+        });
+    });
+
+    afterEach(() => {
+        Object.assign(importJobRepository, originalRepository);
+        battleStatsService.importStats = originalImportStats;
+        notificationService.setIo(null);
+    });
+
+    after(() => {
+        importJobService.destroy();
+        battleStatsService.destroy();
+        battleStatsRepository.destroy();
+    });
+
+    it('imports the payload in chunks and reports progress', async () => {
+        const job = await importJobService.createJob('job-key', createPayload(5), { strategy: 'merge' });
+        await waitFor(() => events.some(({ event }) => event === 'importCompleted'));
+
+        assert.deepEqual(imports.map(({ data }) => Object.keys(data.BattleStats)), [
+            ['arena-0', 'arena-1'],
+            ['arena-2', 'arena-3'],
+            ['arena-4']
+        ]);
+        assert.deepEqual(imports.map(({ data }) => data.PlayerInfo), [{ '100': 'Alpha' }, {}, {}]);
+        assert.deepEqual(imports[0].options, { strategy: 'merge', dryRun: false });
+        assert.deepEqual(
+            events.filter(({ event }) => event === 'importProgress').map(({ data }) => data.job.progress),
+            [40, 80, 100]
+        );
+
+        const stored = store.jobs.get(job.id);
+        assert.equal(stored.status, 'done');
+        assert.equal(stored.processedBattles, 5);
+        assert.equal(stored.revision, 3);
+        assert.deepEqual(stored.summary.battles, { added: 5, changed: 0, unchanged: 0, skipped: 0 });
+        assert.equal(stored.payload, undefined);
+    });
+
+    it('lets only one worker claim a job', async () => {
+        await importJobRepository.create({ _id: 'job-once', key: 'job-key', payload: createPayload(1), totalBattles: 1 });
+
+        await Promise.all([importJobService.processJob('job-once'), importJobService.processJob('job-once')]);
+
+        assert.equal(imports.length, 1);
+        assert.equal(store.jobs.get('job-once').status, 'done');
+    });
+
+    it('does not claim a running job whose lock is still fresh', async () => {
+        await importJobRepository.create({ _id: 'job-locked', key: 'job-key', payload: createPayload(1), totalBattles: 1 });
+        Object.assign(store.jobs.get('job-locked'), { status: 'running', lockedAt: new Date() });
+
+        await importJobService.processJob('job-locked');
+
+        assert.deepEqual(imports, []);
+        assert.equal(await importJobService.resumePendingJobs(), 0);
+    });
+
+    it('resumes a stale job from its last completed chunk after a restart', async () => {
+        await importJobRepository.create({ _id: 'job-stale', key: 'job-key', payload: createPayload(5), totalBattles: 5 });
+        Object.assign(store.jobs.get('job-stale'), {
+            status: 'running',
+            lockedAt: new Date(Date.now() - STALE_MS - 1000),
+            processedBattles: 2,
+            summary: summary(2)
+        });
+
+        assert.equal(await importJobService.resumePendingJobs(), 1);
+        await waitFor(() => store.jobs.get('job-stale').status === 'done');
+
+        assert.deepEqual(imports.map(({ data }) => Object.keys(data.BattleStats)), [['arena-2', 'arena-3'], ['arena-4']]);
+        assert.deepEqual(imports.map(({ data }) => data.PlayerInfo), [{}, {}]);
+        assert.equal(store.jobs.get('job-stale').summary.battles.added, 5);
+    });
+
+    it('does not schedule a job twice while it is still queued in this process', async () => {
+        let release;
+        const blocked = new Promise(resolve => { release = resolve; });
+        battleStatsService.importStats = async (key, data) => {
+            imports.push({ key, data });
+            await blocked;
+            return { summary: summary(Object.keys(data.BattleStats).length), revision: 1 };
+        };
+
+        await importJobRepository.create({ _id: 'job-queued', key: 'job-key', payload: createPayload(1), totalBattles: 1 });
+
+        assert.equal(await importJobService.resumePendingJobs(), 1);
+        assert.equal(await importJobService.resumePendingJobs(), 0);
+        await waitFor(() => imports.length === 1);
+        assert.equal(await importJobService.resumePendingJobs(), 0);
+
+        release();
+        await waitFor(() => store.jobs.get('job-queued').status === 'done');
+
+        assert.deepEqual(store.claims, ['job-queued']);
+        assert.equal(importJobService.scheduled.size, 0);
+    });
+
+    it('marks the job failed and reports the error', async () => {
+        battleStatsService.importStats = async () => {
+            throw new Error('Mongo недоступна');
+        };
+
+        const job = await importJobService.createJob('job-key', createPayload(3));
+        await waitFor(() => store.jobs.get(job.id).status === 'failed');
+
+        const stored = store.jobs.get(job.id);
+        assert.equal(stored.error, 'Mongo недоступна');
+        assert.equal(stored.payload, undefined);
+        assert.equal(events.at(-1).event, 'importError');
+        assert.equal(events.at(-1).data.error, 'Mongo недоступна');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,192 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const payloadNormalizer = require('../services/payloadNormalizer');
+
+const player = { name: 'Alpha', damage: 3200, kills: 2, points: 1500, vehicle: 'T-34' };
+const battle = { startTime: 1700000000000, duration: 420, win: 1, mapName: 'Himmelsdorf', players: { '100': player } };
+
+const errorPaths = (result) => result.errors.map(error => error.path);
+
+describe('PayloadNormalizer', () => {
+    describe('schema version 1', () => {
+        it('treats payloads without schemaVersion as legacy', () => {
+            const result = payloadNormalizer.normalize({ BattleStats: { 'arena-1': battle } });
+
+            assert.equal(result.isValid, true);
+            assert.equal(result.data.schemaVersion, 1);
+            assert.deepEqual(result.data.BattleStats['arena-1'], battle);
+        });
+
+        it('coerces numeric strings, extended JSON numbers, frags and _id wrappers', () => {
+            const result = payloadNormalizer.normalize({
+                BattleStats: {
+                    'arena-1': {
+                        _id: {
+                            startTime: '1700000000000',
+                            duration: { $numberInt: '420' },
+                            win: '1',
+                            mapName: 'Himmelsdorf',
+                            players: {
+                                '100': { _id: { name: 'Alpha', damage: '3200', frags: '2', points: 1500, vehicle: 'T-34' } }
+                            }
+                        }
+                    }
+                },
+                PlayerInfo: { '100': { _id: 'Alpha' } }
+            });
+
+            assert.equal(result.isValid, true, JSON.stringify(result.errors));
+            assert.deepEqual(result.data.BattleStats['arena-1'], battle);
+            assert.deepEqual(result.data.PlayerInfo, { '100': 'Alpha' });
+        });
+
+        it('fills schema defaults for missing fields', () => {
+            const before = Date.now();
+            const result = payloadNormalizer.normalize({ BattleStats: { 'arena-1': { players: { '100': { name: 'Alpha' } } } } });
+            const normalized = result.data.BattleStats['arena-1'];
+
+            assert.equal(result.isValid, true);
+            assert.ok(normalized.startTime >= before);
+            assert.equal(normalized.duration, 0);
+            assert.equal(normalized.win, -1);
+            assert.equal(normalized.mapName, 'Unknown Map');
+            assert.deepEqual(normalized.players['100'], { name: 'Alpha', damage: 0, kills: 0, points: 0, vehicle: 'Unknown Vehicle' });
+        });
+
+        it('ignores unknown fields', () => {
+            const result = payloadNormalizer.normalize({ BattleStats: { 'arena-1': { ...battle, tier: 10 } } });
+
+            assert.equal(result.isValid, true);
+            assert.equal(result.data.BattleStats['arena-1'].tier, undefined);
+        });
+    });
+
+    describe('schema version 2', () => {
+        it('accepts a strict payload unchanged', () => {
+            const result = payloadNormalizer.normalize({ schemaVersion: 2, BattleStats: { 'arena-1': battle }, PlayerInfo: { '100': 'Alpha' } });
+
+            assert.equal(result.isValid, true);
+            assert.deepEqual(result.data, { schemaVersion: 2, BattleStats: { 'arena-1': battle }, PlayerInfo: { '100': 'Alpha' } });
+        });
+
+        it('rejects strings where numbers are expected instead of coercing them', () => {
+            const result = payloadNormalizer.normalize({
+                schemaVersion: 2,
+                BattleStats: { 'arena-1': { ...battle, duration: '420', players: { '100': { ...player, damage: '3200' } } } }
+            });
+
+            assert.equal(result.isValid, false);
+            assert.equal(result.data, null);
+            assert.deepEqual(result.errors, [
+                { path: 'BattleStats.arena-1.duration', message: 'Must be a finite number' },
+                { path: 'BattleStats.arena-1.players.100.damage', message: 'Must be a finite number' }
+            ]);
+        });
+
+        it('rejects _id wrappers and unknown fields', () => {
+            const result = payloadNormalizer.normalize({
+                schemaVersion: 2,
+                BattleStats: {
+                    'arena-1': { _id: battle },
+                    'arena-2': { ...battle, tier: 10, players: { '100': { _id: player } } }
+                }
+            });
+
+            assert.deepEqual(errorPaths(result), [
+                'BattleStats.arena-1._id',
+                'BattleStats.arena-2.tier',
+                'BattleStats.arena-2.players.100._id'
+            ]);
+        });
+
+        it('rejects an unsupported schema version', () => {
+            const result = payloadNormalizer.normalize({ schemaVersion: 3, BattleStats: {} });
+
+            assert.deepEqual(errorPaths(result), ['schemaVersion']);
+        });
+    });
+
+    describe('field errors', () => {
+        it('reports every invalid field with its own path', () => {
+            const result = payloadNormalizer.normalize({
+                schemaVersion: 2,
+                BattleStats: {
+                    'arena-1': {
+                        startTime: -5,
+                        duration: 90000,
+                        win: 7,
+                        mapName: '',
+                        players: {
+                            '100': { name: 'Alpha', damage: 1, kills: 1.5, points: 1, vehicle: 'T-34' },
+                            'bad id!': player
+                        }
+                    },
+                    'arena 2': battle
+                },
+                PlayerInfo: { '100': 42, '200': '' }
+            });
+
+            assert.deepEqual(result.errors, [
+                { path: 'BattleStats.arena-1.startTime', message: 'Must be greater than or equal to 0' },
+                { path: 'BattleStats.arena-1.duration', message: 'Must be less than or equal to 86400' },
+                { path: 'BattleStats.arena-1.win', message: 'Must be one of: -1, 0, 1, 2' },
+                { path: 'BattleStats.arena-1.mapName', message: 'Must be at least 1 characters long' },
+                { path: 'BattleStats.arena-1.players.100.kills', message: 'Must be an integer' },
+                { path: 'BattleStats.arena-1.players.bad id!', message: 'Invalid player id' },
+                { path: 'BattleStats.arena 2', message: 'Invalid battle id' },
+                { path: 'PlayerInfo.100', message: 'Must be a string' },
+                { path: 'PlayerInfo.200', message: 'Must be at least 1 characters long' }
+            ]);
+        });
+
+        it('requires BattleStats or PlayerInfo', () => {
+            assert.deepEqual(payloadNormalizer.normalize({ schemaVersion: 2 }).errors, [
+                { path: '', message: 'BattleStats or PlayerInfo is required' }
+            ]);
+            assert.deepEqual(payloadNormalizer.normalize([]).errors, [{ path: '', message: 'Payload must be an object' }]);
+        });
+    });
+
+    describe('partial payloads', () => {
+        it('keeps omitted fields absent instead of filling defaults', () => {
+            const result = payloadNormalizer.normalize(
+                { schemaVersion: 2, BattleStats: { 'arena-1': { win: 1, players: { '100': { damage: 500 } } } } },
+                { partial: true }
+            );
+
+            assert.equal(result.isValid, true);
+            assert.deepEqual(result.data.BattleStats['arena-1'], { win: 1, players: { '100': { damage: 500 } } });
+        });
+
+        it('still validates the fields that are present', () => {
+            const result = payloadNormalizer.normalize(
+                { schemaVersion: 2, BattleStats: { 'arena-1': { win: 9 } } },
+                { partial: true }
+            );
+
+            assert.deepEqual(errorPaths(result), ['BattleStats.arena-1.win']);
+        });
+    });
+
+    describe('stored battles', () => {
+        it('normalizes legacy documents with the version 1 rules', () => {
+            const { battle: normalized, errors } = payloadNormalizer.normalizeStoredBattle(
+                { _id: { ...battle, duration: '420' } },
+                'BattleStats.arena-1'
+            );
+
+            assert.deepEqual(errors, []);
+            assert.deepEqual(normalized, battle);
+        });
+
+        it('returns no battle when a stored field is invalid', () => {
+            const { battle: normalized, errors } = payloadNormalizer.normalizeStoredBattle(
+                { ...battle, duration: 'long' },
+                'BattleStats.arena-1'
+            );
+
+            assert.equal(normalized, null);
+            assert.deepEqual(errors, [{ path: 'BattleStats.arena-1.duration', message: 'Must be a finite number' }]);
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,361 @@
+process.env.SECRET_KEY = process.env.SECRET_KEY || 'test-secret';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const RouteBuilder = require('../utils/routeBuilder');
+const apiKeyService = require('../services/apiKeyService');
+const apiKeyRepository = require('../repositories/apiKeyRepository');
+const viewerTokenService = require('../services/viewerTokenService');
+const { unifiedAuth } = require('../middleware/unifiedAuth');
+const { SCOPES, ALL_SCOPES, grantsScope } = require('../config/scopes');
+
+const SECRET = process.env.SECRET_KEY;
+const KEYS = {
+    'full-key': { key: 'full-key', namespace: 'ns-full', label: '', scopes: [...ALL_SCOPES] },
+    'read-key': { key: 'read-key', namespace: 'ns-read', label: '', scopes: [SCOPES.READ] }
+};
+
+const CONTROLLER_METHODS = [
+    'updateStats', 'getStats', 'getPlayerSummary', 'getLeaderboard', 'exportStats', 'getImportJob',
+    'downloadBackup', 'restoreBackup', 'importStats', 'clearStats', 'deleteBattle', 'getTrash',
+    'restoreFromTrash', 'clearDatabase'
+];
+const API_KEY_METHODS = ['listKeys', 'createKey', 'updateKey', 'revokeKey', 'rotateKey', 'createViewerToken'];
+
+const stubController = (methods) => Object.fromEntries(methods.map(method => [method, (req, res) => {
+    res.json({ handler: method, apiKey: req.apiKey || null, authType: req.authType || null });
+}]));
+
+const handlerName = (handler, ...controllers) => controllers
+    .flatMap(controller => Object.entries(controller))
+    .find(([, fn]) => fn === handler)[0];
+
+const toUrl = (basePath, path) => `${basePath}${path.replace(/:(\w+)/g, 'sample-$1')}`;
+
+const createRedisStub = () => {
+    const counters = new Map();
+    return {
+        isOpen: true,
+        incr: async (key) => {
+            counters.set(key, (counters.get(key) || 0) + 1);
+            return counters.get(key);
+        },
+        expire: async () => true
+    };
+};
+
+const createApp = ({ withKeys = true } = {}) => {
+    const app = express();
+    app.use(express.json());
+
+    const controllers = {
+        stats: stubController(CONTROLLER_METHODS),
+        keys: withKeys ? stubController(API_KEY_METHODS) : null,
+        audit: withKeys ? stubController(['getAuditLog']) : null
+    };
+
+    const routeBuilder = new RouteBuilder(app, controllers.stats, controllers.keys, controllers.audit);
+    routeBuilder.buildClientRoutes();
+    routeBuilder.buildServerRoutes();
+
+    return { app, routeBuilder, controllers };
+};
+
+describe('RouteBuilder', () => {
+    const originalResolve = apiKeyService.resolve;
+
+    before(() => {
+        apiKeyService.resolve = async (key) => KEYS[key] || null;
+    });
+
+    beforeEach(() => {
+        unifiedAuth.setRedisClient(null);
+        unifiedAuth.memoryRateLimiter.clear();
+    });
+
+    after(() => {
+        apiKeyService.resolve = originalResolve;
+        unifiedAuth.setRedisClient(null);
+        unifiedAuth.destroy();
+        apiKeyRepository.destroy();
+    });
+
+    describe('client routes', () => {
+        it('mounts every client route under /api/battle-stats', async () => {
+            const { app, routeBuilder, controllers } = createApp();
+
+            for (const route of routeBuilder.getRouteConfigs()) {
+                const headers = route.requireSecret
+                    ? { 'X-API-Key': 'full-key', 'X-Secret-Key': SECRET }
+                    : { 'X-API-Key': 'full-key' };
+
+                const response = await request(app)[route.method](toUrl('/api/battle-stats', route.path)).set(headers);
+
+                assert.equal(response.status, 200, `${route.method} ${route.path}`);
+                assert.equal(response.body.handler, handlerName(route.handler, controllers.stats, controllers.keys));
+                assert.equal(response.body.apiKey, 'ns-full');
+                assert.equal(response.headers['x-powered-by'], 'BattleStats-Client-API');
+            }
+        });
+
+        it('rejects requests without credentials', async () => {
+            const { app } = createApp();
+            const response = await request(app).get('/api/battle-stats/stats');
+
+            assert.equal(response.status, 401);
+            assert.equal(response.body.success, false);
+        });
+
+        it('rejects unknown API keys', async () => {
+            const { app } = createApp();
+            const response = await request(app).get('/api/battle-stats/stats').set('X-API-Key', 'unknown-key');
+
+            assert.equal(response.status, 401);
+        });
+
+        it('rejects origins outside the allow list', async () => {
+            const { app } = createApp();
+            const response = await request(app)
+                .get('/api/battle-stats/stats')
+                .set({ 'X-API-Key': 'full-key', Origin: 'https://example.com' });
+
+            assert.equal(response.status, 403);
+        });
+    });
+
+    describe('scopes', () => {
+        it('lets a read-only key reach read routes', async () => {
+            const { app } = createApp();
+            const response = await request(app).get('/api/battle-stats/stats').set('X-API-Key', 'read-key');
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.apiKey, 'ns-read');
+        });
+
+        it('rejects every route whose scope the key lacks', async () => {
+            const { app, routeBuilder } = createApp();
+            const restricted = routeBuilder.getRouteConfigs().filter(route => route.scope && !grantsScope([SCOPES.READ], route.scope));
+            assert.ok(restricted.length > 0);
+
+            for (const route of restricted) {
+                const response = await request(app)[route.method](toUrl('/api/battle-stats', route.path)).set('X-API-Key', 'read-key');
+
+                assert.equal(response.status, 403, `${route.method} ${route.path}`);
+                assert.equal(response.body.error.code, 'INSUFFICIENT_SCOPE');
+                assert.equal(response.body.error.details.requiredScope, route.scope);
+            }
+        });
+
+        it('lets a viewer token reach stats, player summaries and the leaderboard', async () => {
+            const { app } = createApp();
+            const { token } = viewerTokenService.mint('full-key', 'ns-full');
+
+            for (const path of ['/stats', '/players/sample-player/summary', '/leaderboard']) {
+                const response = await request(app).get(`/api/battle-stats${path}`).set('Authorization', `Bearer ${token}`);
+
+                assert.equal(response.status, 200, path);
+                assert.equal(response.body.authType, 'viewer_token');
+            }
+        });
+
+        it('keeps viewer tokens out of backup, export and trash', async () => {
+            const { app } = createApp();
+            const { token } = viewerTokenService.mint('full-key', 'ns-full');
+
+            for (const path of ['/backup', '/export', '/trash']) {
+                const response = await request(app).get(`/api/battle-stats${path}`).set('Authorization', `Bearer ${token}`);
+
+                assert.equal(response.status, 403, path);
+                assert.equal(response.body.error.code, 'INSUFFICIENT_SCOPE');
+                assert.deepEqual(response.body.error.details.grantedScopes, [SCOPES.VIEW]);
+            }
+        });
+
+        it('requires the secret key for clear-database on the client API', async () => {
+            const { app } = createApp();
+            const response = await request(app).delete('/api/battle-stats/clear-database').set('X-API-Key', 'full-key');
+
+            assert.equal(response.status, 401);
+        });
+    });
+
+    describe('server routes', () => {
+        it('mounts a single router under /api/server', () => {
+            const { app } = createApp();
+            const serverRouters = app._router.stack.filter(layer => layer.name === 'router' && layer.regexp.test('/api/server/stats'));
+
+            assert.equal(serverRouters.length, 1);
+        });
+
+        it('mounts every route under /api/server with secret and API keys', async () => {
+            const { app, routeBuilder, controllers } = createApp();
+
+            for (const route of routeBuilder.getRouteConfigs()) {
+                const response = await request(app)[route.method](toUrl('/api/server', route.path))
+                    .set({ 'X-API-Key': 'full-key', 'X-Secret-Key': SECRET });
+
+                assert.equal(response.status, 200, `${route.method} ${route.path}`);
+                assert.equal(response.body.handler, handlerName(route.handler, controllers.stats, controllers.keys));
+                assert.equal(response.headers['x-powered-by'], 'BattleStats-Server-API');
+            }
+        });
+
+        it('ignores scopes for server-to-server calls', async () => {
+            const { app } = createApp();
+            const response = await request(app)
+                .post('/api/server/update-stats')
+                .set({ 'X-API-Key': 'read-key', 'X-Secret-Key': SECRET });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.authType, 'secret_key');
+        });
+
+        it('rejects server routes without the secret key', async () => {
+            const { app } = createApp();
+
+            for (const headers of [{ 'X-API-Key': 'full-key' }, { 'X-API-Key': 'full-key', 'X-Secret-Key': 'wrong' }]) {
+                const response = await request(app).get('/api/server/stats').set(headers);
+                assert.equal(response.status, 403);
+            }
+        });
+
+        it('rejects server routes without a valid API key', async () => {
+            const { app } = createApp();
+            const response = await request(app).get('/api/server/stats').set('X-Secret-Key', SECRET);
+
+            assert.equal(response.status, 403);
+        });
+
+        it('serves secret-only routes with just the secret key', async () => {
+            const { app, routeBuilder, controllers } = createApp();
+
+            for (const route of routeBuilder.getServerRouteConfigs()) {
+                assert.equal(route.secretOnly, true);
+                const url = toUrl('/api/server', route.path);
+
+                const allowed = await request(app)[route.method](url).set('X-Secret-Key', SECRET);
+                assert.equal(allowed.status, 200, `${route.method} ${route.path}`);
+                assert.equal(allowed.body.handler, handlerName(route.handler, controllers.keys, controllers.audit));
+
+                const denied = await request(app)[route.method](url).set('X-API-Key', 'full-key');
+                assert.equal(denied.status, 403, `${route.method} ${route.path}`);
+            }
+        });
+    });
+
+    describe('rate limits', () => {
+        it('enforces the configured limit of each route', async () => {
+            const { app, routeBuilder } = createApp();
+            const limited = routeBuilder.getRouteConfigs().filter(route => route.rateLimit);
+            assert.ok(limited.length > 0);
+
+            for (const route of limited) {
+                unifiedAuth.setRedisClient(createRedisStub());
+                const url = toUrl('/api/battle-stats', route.path);
+                const headers = { 'X-API-Key': 'full-key', 'X-Secret-Key': SECRET };
+                const { max, windowSeconds } = route.rateLimit;
+
+                for (let i = 0; i < max; i++) {
+                    const response = await request(app)[route.method](url).set(headers);
+                    assert.equal(response.status, 200, `${route.method} ${route.path} #${i + 1}`);
+                }
+
+                const limitedResponse = await request(app)[route.method](url).set(headers);
+                assert.equal(limitedResponse.status, 429, `${route.method} ${route.path}`);
+                assert.equal(limitedResponse.body.error.code, 'RATE_LIMIT_EXCEEDED');
+                assert.deepEqual(limitedResponse.body.error.details, { limit: max, windowSeconds });
+                assert.equal(limitedResponse.headers['retry-after'], String(windowSeconds));
+            }
+        });
+
+        it('counts limits per route and per key', async () => {
+            const { app } = createApp();
+            unifiedAuth.setRedisClient(createRedisStub());
+
+            for (let i = 0; i < 10; i++) {
+                await request(app).get('/api/battle-stats/export').set('X-API-Key', 'full-key');
+            }
+
+            const otherRoute = await request(app).get('/api/battle-stats/backup').set('X-API-Key', 'full-key');
+            const otherKey = await request(app).get('/api/battle-stats/export').set('X-API-Key', 'read-key');
+            const sameKey = await request(app).get('/api/battle-stats/export').set('X-API-Key', 'full-key');
+
+            assert.equal(otherRoute.status, 200);
+            assert.equal(otherKey.status, 200);
+            assert.equal(sameKey.status, 429);
+        });
+
+        it('falls back to in-memory counters without Redis', async () => {
+            const { app } = createApp();
+
+            for (let i = 0; i < 10; i++) {
+                const response = await request(app).get('/api/battle-stats/export').set('X-API-Key', 'full-key');
+                assert.equal(response.status, 200);
+            }
+
+            const limited = await request(app).get('/api/battle-stats/export').set('X-API-Key', 'full-key');
+            assert.equal(limited.status, 429);
+        });
+
+        it('falls back to in-memory counters when Redis fails', async () => {
+            const { app } = createApp();
+            unifiedAuth.setRedisClient({
+                isOpen: true,
+                incr: async () => { throw new Error('Redis connection lost'); },
+                expire: async () => true
+            });
+
+            for (let i = 0; i < 10; i++) {
+                await request(app).get('/api/battle-stats/export').set('X-API-Key', 'full-key');
+            }
+
+            const limited = await request(app).get('/api/battle-stats/export').set('X-API-Key', 'full-key');
+            assert.equal(limited.status, 429);
+        });
+
+        it('leaves routes without a limit unthrottled', async () => {
+            const { app } = createApp();
+            unifiedAuth.setRedisClient(createRedisStub());
+
+            for (let i = 0; i < 50; i++) {
+                const response = await request(app).get('/api/battle-stats/stats').set('X-API-Key', 'full-key');
+                assert.equal(response.status, 200);
+            }
+        });
+    });
+
+    describe('unmounted routes', () => {
+        it('returns 404 for paths outside the route table', async () => {
+            const { app } = createApp();
+            const headers = { 'X-API-Key': 'full-key', 'X-Secret-Key': SECRET };
+
+            for (const [method, url] of [
+                ['get', '/api/battle-stats/unknown'],
+                ['get', '/api/server/unknown'],
+                ['get', '/api/battle-stats/keys'],
+                ['get', '/api/battle-stats/audit'],
+                ['put', '/api/battle-stats/stats'],
+                ['post', '/api/battle-stats/clear']
+            ]) {
+                const response = await request(app)[method](url).set(headers);
+                assert.equal(response.status, 404, `${method} ${url}`);
+            }
+        });
+
+        it('does not mount key and audit routes without their controllers', async () => {
+            const { app } = createApp({ withKeys: false });
+            const headers = { 'X-API-Key': 'full-key', 'X-Secret-Key': SECRET };
+
+            for (const [method, url] of [
+                ['post', '/api/battle-stats/viewer-token'],
+                ['get', '/api/server/keys'],
+                ['get', '/api/server/audit']
+            ]) {
+                const response = await request(app)[method](url).set(headers);
+                assert.equal(response.status, 404, `${method} ${url}`);
+            }
+        });
+    });
+});
\ No newline at end of file
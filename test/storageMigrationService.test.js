@@ -0,0 +1,77 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const storageMigrationService = require('../services/storageMigrationService');
+const Battle = require('../models/Battle');
+const BattleStats = require('../models/BattleStats');
+
+const legacyDoc = () => ({
+    _id: 'legacy-key',
+    BattleStats: {
+        'arena-1': {
+            _id: {
+                startTime: '1700000000000',
+                duration: 420,
+                win: 1,
+                mapName: 'Himmelsdorf',
+                players: { '100': { _id: { name: 'Alpha', damage: '3200', frags: 2, points: 1500, vehicle: 'T-34' } } }
+            }
+        },
+        'arena-2': {
+            duration: 300,
+            win: 0,
+            mapName: 'Prokhorovka',
+            players: { '100': { name: 'Alpha', damage: 900, kills: 0, points: 400, vehicle: 'T-34' } }
+        },
+        'arena-3': {
+            startTime: 1700000000000,
+            duration: 'long',
+            win: 1,
+            mapName: 'Ensk',
+            players: { '100': { name: 'Alpha', damage: 1, kills: 0, points: 1, vehicle: 'T-34' } }
+        }
+    },
+    PlayerInfo: { '100': { _id: { _id: 'Alpha' } } }
+});
+
+describe('StorageMigrationService', () => {
+    afterEach(() => {
+        delete Battle.bulkWrite;
+        delete BattleStats.collection.updateOne;
+    });
+
+    it('normalizes stored battles through the payload normalizer', async () => {
+        const report = await storageMigrationService.migrateKey(legacyDoc(), { dryRun: true });
+
+        assert.equal(report.battles, 2);
+        assert.equal(report.players, 2);
+        assert.equal(report.skippedBattles, 1);
+        assert.equal(report.skippedPlayers, 1);
+        assert.deepEqual(report.anomalies, { nested_battle: 1, missing_field: 1, invalid_field: 1, legacy_player_info: 1 });
+        assert.deepEqual(report.quarantine, { field: 'QuarantinedBattles', battles: 1 });
+    });
+
+    it('fills defaults only where the stored battle lacks the field and quarantines invalid battles', async () => {
+        const operations = [];
+        const metaUpdates = [];
+        Battle.bulkWrite = async (batch) => operations.push(...batch);
+        BattleStats.collection.updateOne = async (filter, update) => metaUpdates.push({ filter, update });
+
+        await storageMigrationService.migrateKey(legacyDoc(), { dryRun: false });
+
+        const [nested, missingStart] = operations.map(operation => operation.updateOne);
+        assert.deepEqual(nested.filter, { key: 'legacy-key', battleId: 'arena-1' });
+        assert.deepEqual(nested.update[0].$set.startTime, { $ifNull: ['$startTime', { $literal: 1700000000000 }] });
+        assert.deepEqual(nested.update[0].$set.players.$mergeObjects[0].$literal, {
+            '100': { name: 'Alpha', damage: 3200, kills: 2, points: 1500, vehicle: 'T-34' }
+        });
+        assert.equal(typeof missingStart.update[0].$set.startTime.$ifNull[1].$literal, 'number');
+
+        assert.equal(metaUpdates.length, 1);
+        assert.deepEqual(metaUpdates[0].update.$set, { 'PlayerInfo.100': { _id: 'Alpha' } });
+        assert.deepEqual(metaUpdates[0].update.$push.QuarantinedBattles.$each, [{
+            battleId: 'arena-3',
+            battle: legacyDoc().BattleStats['arena-3'],
+            issues: [{ path: 'BattleStats.arena-3.duration', message: 'Must be a finite number' }]
+        }]);
+    });
+});
\ No newline at end of file
@@ -4,6 +4,8 @@ class LRUCache {
         this.maxMemory = maxMemoryMB * 1024 * 1024;
         this.cache = new Map();
         this.memoryUsage = 0;
+        this.hits = 0;
+        this.misses = 0;
     }
 
     estimateSize(value) {
@@ -15,14 +17,19 @@ class LRUCache {
     }
 
     get(key) {
-        if (!this.cache.has(key)) return null;
+        if (!this.cache.has(key)) {
+            this.misses++;
+            return null;
+        }
         
         const item = this.cache.get(key);
         if (Date.now() > item.expiry) {
             this.delete(key);
+            this.misses++;
             return null;
         }
         
+        this.hits++;
         this.cache.delete(key);
         this.cache.set(key, item);
         return item.value;
@@ -59,6 +66,14 @@ class LRUCache {
         return this.cache.delete(key);
     }
 
+    deleteByPrefix(prefix) {
+        let deleted = 0;
+        for (const key of [...this.cache.keys()]) {
+            if (key.startsWith(prefix) && this.delete(key)) deleted++;
+        }
+        return deleted;
+    }
+
     clear() {
         this.cache.clear();
         this.memoryUsage = 0;
@@ -70,7 +85,9 @@ class LRUCache {
             maxSize: this.maxSize,
             memoryUsage: this.memoryUsage,
             maxMemory: this.maxMemory,
-            memoryUsageMB: Math.round(this.memoryUsage / 1024 / 1024 * 100) / 100
+            memoryUsageMB: Math.round(this.memoryUsage / 1024 / 1024 * 100) / 100,
+            hits: this.hits,
+            misses: this.misses
         };
     }
 
@@ -0,0 +1,12 @@
+class AppError extends Error {
+    constructor(message, statusCode = 500, code = 'INTERNAL_ERROR', details = null) {
+        super(message);
+        this.statusCode = statusCode;
+        this.code = code;
+        this.details = details;
+        this.isOperational = true;
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+module.exports = AppError;
\ No newline at end of file
@@ -0,0 +1,149 @@
+const OpenApiGenerator = require('./openApiGenerator');
+const { SOCKET_REQUESTS, SOCKET_PUSHES, AUTH_ERRORS } = require('../config/socketEvents');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const messageRef = (name) => ({ $ref: `#/components/messages/${name}` });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+
+const CHANGE_TYPES = ['statsUpdated', 'statsImported', 'statsRestored', 'statsCleared', 'battleDeleted', 'trashRestored'];
+
+class AsyncApiGenerator {
+    static buildSchemas() {
+        return {
+            ...OpenApiGenerator.buildSchemas(),
+            SocketAuth: object({
+                gameKey: { type: 'string', description: 'Цільовий ключ для сокетів, підключених із секретним ключем' },
+                key: { type: 'string', description: 'API ключ для сокетів без автентифікації в handshake' },
+                secretKey: { type: 'string' },
+                playerId: { type: 'string' }
+            }),
+            SocketAck: object({
+                status: { type: 'integer' },
+                success: { type: 'boolean', enum: [true] },
+                timestamp: { type: 'string', format: 'date-time' }
+            }, { required: ['status', 'success'] }),
+            StatsDelta: object({
+                BattleStats: { type: 'object', additionalProperties: ref('Battle') },
+                PlayerInfo: { type: 'object', additionalProperties: { type: 'string' } },
+                removed: { type: 'array', items: { type: 'string' } }
+            }),
+            ChangeEntry: object({
+                type: { type: 'string', enum: CHANGE_TYPES },
+                revision: { type: 'integer' },
+                timestamp: { type: 'integer' },
+                delta: ref('StatsDelta'),
+                battleId: { type: 'string' },
+                trashId: { type: 'string', nullable: true },
+                strategy: { type: 'string' },
+                mode: { type: 'string' },
+                requiresReload: { type: 'boolean' }
+            }, { required: ['type', 'revision'] })
+        };
+    }
+
+    static mergeErrors(...sources) {
+        const errors = {};
+
+        for (const source of sources) {
+            for (const [status, codes] of Object.entries(source || {})) {
+                errors[status] = [...new Set([...(errors[status] || []), ...codes])];
+            }
+        }
+
+        return errors;
+    }
+
+    static requestMessage(event, docs) {
+        const message = {
+            name: event,
+            summary: docs.summary,
+            tags: [{ name: docs.tag }],
+            'x-ack': {
+                oneOf: [
+                    {
+                        allOf: [
+                            ref('SocketAck'),
+                            object({ status: { type: 'integer', enum: [docs.ack.status || 200] }, ...docs.ack.properties })
+                        ]
+                    },
+                    ref('ErrorResponse')
+                ]
+            }
+        };
+
+        const description = docs.payload
+            ? docs.description
+            : [docs.description, 'Подія надсилається без даних, лише з callback.'].filter(Boolean).join(' ');
+
+        if (description) message.description = description;
+        if (docs.payload) message.payload = { allOf: [ref('SocketAuth'), docs.payload] };
+        if (docs.scope) message['x-required-scope'] = docs.scope;
+        if (docs.secretOnly) message['x-secret-only'] = true;
+
+        const errors = docs.public ? {} : this.mergeErrors(docs.secretOnly ? {} : AUTH_ERRORS, docs.errors);
+        if (Object.keys(errors).length > 0) message['x-error-codes'] = errors;
+
+        return message;
+    }
+
+    static pushMessage(event, docs) {
+        const message = { name: event, summary: docs.summary, payload: docs.payload };
+        if (docs.description) message.description = docs.description;
+        return message;
+    }
+
+    static generate({ title, version }) {
+        const messages = {};
+
+        for (const [event, docs] of Object.entries(SOCKET_REQUESTS)) {
+            messages[event] = this.requestMessage(event, docs);
+        }
+
+        for (const [event, docs] of Object.entries(SOCKET_PUSHES)) {
+            messages[event] = this.pushMessage(event, docs);
+        }
+
+        return {
+            asyncapi: '2.6.0',
+            info: {
+                title,
+                version,
+                description: 'Socket.IO протокол статистики боїв. Запити надсилаються з callback (acknowledgement), відповідь описано в x-ack.'
+            },
+            defaultContentType: 'application/json',
+            servers: {
+                default: {
+                    url: '/',
+                    protocol: 'ws',
+                    description: 'Socket.IO v4; облікові дані передаються в handshake auth або query',
+                    security: [{ ApiKey: [] }, { ViewerToken: [] }, { SecretKey: [] }]
+                }
+            },
+            channels: {
+                '/': {
+                    publish: {
+                        operationId: 'sendRequest',
+                        summary: 'Запити клієнта до сервера',
+                        message: { oneOf: Object.keys(SOCKET_REQUESTS).map(messageRef) }
+                    },
+                    subscribe: {
+                        operationId: 'receiveEvent',
+                        summary: 'Події, які сервер надсилає в кімнату ключа, завдання імпорту або всім клієнтам',
+                        message: { oneOf: Object.keys(SOCKET_PUSHES).map(messageRef) }
+                    }
+                }
+            },
+            components: {
+                securitySchemes: {
+                    ApiKey: { type: 'httpApiKey', in: 'query', name: 'key', description: 'Також приймається як auth.key' },
+                    ViewerToken: { type: 'httpApiKey', in: 'query', name: 'token', description: 'Також приймається як auth.token' },
+                    SecretKey: { type: 'httpApiKey', in: 'query', name: 'secretKey', description: 'Також приймається як auth.secretKey' }
+                },
+                messages,
+                schemas: this.buildSchemas()
+            }
+        };
+    }
+}
+
+module.exports = AsyncApiGenerator;
\ No newline at end of file
@@ -1,8 +1,58 @@
-const VALID_KEYS = require('../config/validKey');
+const apiKeyService = require('../services/apiKeyService');
+const viewerTokenService = require('../services/viewerTokenService');
+const { grantsScope } = require('../config/scopes');
+
+const CREDENTIAL_FIELDS = {
+    secret_key: 'secretKey',
+    api_key: 'apiKey',
+    viewer_token: 'viewerToken'
+};
 
 class AuthValidationUtils {
-    static validateKey(key) {
-        return key && VALID_KEYS.includes(key);
+    static async resolveKey(key) {
+        const resolved = await apiKeyService.resolve(key);
+        return resolved ? resolved.namespace : null;
+    }
+
+    static async validateKey(key) {
+        return !!(await this.resolveKey(key));
+    }
+
+    static async resolveKeyDetails(key) {
+        return apiKeyService.resolve(key);
+    }
+
+    static async verifyViewerToken(token) {
+        return token ? viewerTokenService.verify(token) : null;
+    }
+
+    static getSocketAuthData(socket, messageAuthData) {
+        // A viewer socket acts only with its own token; keys smuggled into messages would outrank it
+        if (socket.authType === 'viewer_token') {
+            return { viewerToken: socket.authCredential, playerId: messageAuthData.playerId };
+        }
+
+        if (!socket.authCredential) return messageAuthData;
+
+        return {
+            ...messageAuthData,
+            [this.getCredentialField(socket.authType)]: socket.authCredential
+        };
+    }
+
+    static getCredentialField(authType) {
+        return CREDENTIAL_FIELDS[authType] || 'apiKey';
+    }
+
+    static extractBearerToken(header) {
+        if (typeof header !== 'string') return undefined;
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        return match ? match[1] : undefined;
+    }
+
+    static hasScope(scopes, requiredScope) {
+        if (!requiredScope) return true;
+        return grantsScope(scopes, requiredScope);
     }
 
     static validateSecretKey(secretKey) {
@@ -15,6 +65,7 @@ class AuthValidationUtils {
             return {
                 apiKey: source.headers['x-api-key'],
                 secretKey: source.headers['x-secret-key'],
+                viewerToken: source.headers['x-viewer-token'] || this.extractBearerToken(source.headers.authorization),
                 playerId: source.headers['x-player-id']
             };
         }
@@ -24,6 +75,7 @@ class AuthValidationUtils {
             return {
                 apiKey: source.handshake.query.key || source.handshake.auth?.key,
                 secretKey: source.handshake.query.secretKey || source.handshake.auth?.secretKey,
+                viewerToken: source.handshake.query.token || source.handshake.auth?.token,
                 playerId: source.handshake.query.playerId || source.handshake.auth?.playerId
             };
         }
@@ -37,38 +89,51 @@ class AuthValidationUtils {
             };
         }
         
-        return { apiKey: null, secretKey: null, playerId: null };
+        return { apiKey: null, secretKey: null, viewerToken: null, playerId: null };
     }
 
-    static determineAuthType(authData) {
-        const { apiKey, secretKey } = authData;
+    static async determineAuthType(authData) {
+        const { apiKey, secretKey, viewerToken } = authData;
         
         if (secretKey && this.validateSecretKey(secretKey)) {
-            return { type: 'secret_key', key: secretKey, isValid: true };
+            return { type: 'secret_key', key: secretKey, credential: secretKey, isValid: true };
         }
         
-        if (apiKey && this.validateKey(apiKey)) {
-            return { type: 'api_key', key: apiKey, isValid: true };
+        // API keys resolve to the namespace their stats are stored under
+        const namespace = apiKey ? await this.resolveKey(apiKey) : null;
+        if (namespace) {
+            return { type: 'api_key', key: namespace, credential: apiKey, isValid: true };
+        }
+
+        const viewer = await this.verifyViewerToken(viewerToken);
+        if (viewer) {
+            return { type: 'viewer_token', key: viewer.namespace, credential: viewerToken, isValid: true };
         }
         
-        return { type: 'none', key: null, isValid: false };
+        return { type: 'none', key: null, credential: null, isValid: false };
     }
 
-    static validateAuthForContext(authData, requiresSecret = false, requiresPlayerId = false) {
-        const { apiKey, secretKey, playerId } = authData;
+    static async validateAuthForContext(authData, requiresSecret = false, requiresPlayerId = false) {
+        const { apiKey, secretKey, viewerToken, playerId } = authData;
         const errors = [];
+        // Viewer tokens stand in for an API key only on read paths, never for server-to-server calls
+        const resolved = apiKey
+            ? await this.resolveKeyDetails(apiKey)
+            : (requiresSecret ? null : await this.verifyViewerToken(viewerToken));
+        const resolvedKey = resolved ? resolved.namespace : null;
+        const isViewer = !apiKey && !!resolved;
 
         // Check secret key requirement
         if (requiresSecret) {
             if (!secretKey || !this.validateSecretKey(secretKey)) {
                 errors.push('Невірний або відсутній секретний ключ');
             }
-            if (!apiKey || !this.validateKey(apiKey)) {
+            if (!resolvedKey) {
                 errors.push('Невірний або відсутній API ключ для server-to-server запиту');
             }
         } else {
             // Regular API key validation
-            if (!apiKey || !this.validateKey(apiKey)) {
+            if (!resolvedKey) {
                 errors.push('Невірний або відсутній API ключ');
             }
         }
@@ -81,8 +146,12 @@ class AuthValidationUtils {
         return {
             isValid: errors.length === 0,
             errors,
-            authType: this.determineAuthType(authData).type,
-            keyForRateLimit: requiresSecret ? secretKey : apiKey
+            authType: secretKey && this.validateSecretKey(secretKey)
+                ? 'secret_key'
+                : (resolvedKey ? (isViewer ? 'viewer_token' : 'api_key') : 'none'),
+            resolvedKey,
+            scopes: resolved ? resolved.scopes : [],
+            keyForRateLimit: requiresSecret ? secretKey : (apiKey || (resolvedKey && `viewer:${resolvedKey}`))
         };
     }
 
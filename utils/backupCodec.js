@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const PAYLOAD_SCHEMA = require('../config/payloadSchema');
+
+const BACKUP_FORMAT = 'battle-stats-backup';
+const BACKUP_VERSION = 1;
+const PAYLOAD_SCHEMA_VERSION = 2;
+
+const pick = (source, fields) => Object.fromEntries(
+    fields.filter(field => source?.[field] !== undefined).map(field => [field, source[field]])
+);
+
+class BackupCodec {
+    static stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+        }
+
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    static checksum(data) {
+        return `sha256:${crypto.createHash('sha256').update(this.stableStringify(data)).digest('hex')}`;
+    }
+
+    static canonicalBattle(battle) {
+        const playerFields = Object.keys(PAYLOAD_SCHEMA.player);
+
+        return {
+            ...pick(battle, Object.keys(PAYLOAD_SCHEMA.battle)),
+            players: Object.fromEntries(
+                Object.entries(battle?.players || {}).map(([playerId, player]) => [playerId, pick(player, playerFields)])
+            )
+        };
+    }
+
+    static toBackupData(statsDoc) {
+        const BattleStats = {};
+        const PlayerInfo = {};
+
+        for (const [battleId, battle] of Object.entries(statsDoc?.BattleStats || {})) {
+            BattleStats[battleId] = this.canonicalBattle(battle);
+        }
+
+        for (const [playerId, info] of Object.entries(statsDoc?.PlayerInfo || {})) {
+            const nickname = info && typeof info === 'object' ? info._id : info;
+            if (typeof nickname === 'string') {
+                PlayerInfo[playerId] = nickname;
+            }
+        }
+
+        return { schemaVersion: PAYLOAD_SCHEMA_VERSION, BattleStats, PlayerInfo };
+    }
+
+    static create(key, revision, data) {
+        const players = Object.values(data.BattleStats)
+            .reduce((sum, battle) => sum + Object.keys(battle.players).length, 0);
+
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            source: { key, revision },
+            counts: {
+                battles: Object.keys(data.BattleStats).length,
+                players,
+                playerInfo: Object.keys(data.PlayerInfo).length
+            },
+            data,
+            checksum: this.checksum(data)
+        };
+    }
+
+    static verify(backup) {
+        const errors = [];
+
+        if (!backup || typeof backup !== 'object' || Array.isArray(backup)) {
+            return { isValid: false, errors: ['Backup must be an object'] };
+        }
+
+        if (backup.format !== BACKUP_FORMAT) {
+            errors.push(`Invalid format, expected ${BACKUP_FORMAT}`);
+        }
+
+        if (backup.version !== BACKUP_VERSION) {
+            errors.push(`Unsupported backup version, expected ${BACKUP_VERSION}`);
+        }
+
+        if (!backup.data || typeof backup.data !== 'object') {
+            errors.push('Missing data');
+        } else if (backup.checksum !== this.checksum(backup.data)) {
+            errors.push('Checksum mismatch');
+        }
+
+        return { isValid: errors.length === 0, errors };
+    }
+
+    static isSubset(data, stored) {
+        const battlesMatch = Object.entries(data.BattleStats || {}).every(([battleId, battle]) =>
+            this.stableStringify(battle) === this.stableStringify(stored.BattleStats[battleId])
+        );
+        const playersMatch = Object.entries(data.PlayerInfo || {}).every(([playerId, nickname]) =>
+            stored.PlayerInfo[playerId] === nickname
+        );
+
+        return battlesMatch && playersMatch;
+    }
+}
+
+module.exports = BackupCodec;
\ No newline at end of file
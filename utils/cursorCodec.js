@@ -0,0 +1,36 @@
+class CursorCodec {
+    static encode(sort, value, id) {
+        const payload = {
+            f: sort.field,
+            o: sort.order,
+            v: value === undefined ? null : value,
+            id: String(id)
+        };
+        return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+    }
+
+    static decode(cursor) {
+        if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > 512) {
+            return null;
+        }
+
+        try {
+            const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+            if (!payload || typeof payload !== 'object' || typeof payload.id !== 'string' ||
+                typeof payload.f !== 'string' || !['asc', 'desc'].includes(payload.o) ||
+                (payload.v !== null && typeof payload.v !== 'number')) {
+                return null;
+            }
+
+            return {
+                sort: { field: payload.f, order: payload.o },
+                value: payload.v,
+                id: payload.id
+            };
+        } catch {
+            return null;
+        }
+    }
+}
+
+module.exports = CursorCodec;
\ No newline at end of file
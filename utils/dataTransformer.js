@@ -54,6 +54,59 @@ class DataTransformer {
 
         return { cleanBattleStats, cleanPlayerInfo };
     }
+
+    static updatesToDelta(updates) {
+        const delta = { BattleStats: {}, PlayerInfo: {}, removed: [] };
+
+        for (const [path, value] of Object.entries(updates?.$set || {})) {
+            const segments = path.split('.');
+            const root = segments.shift();
+            if (!delta[root] || Array.isArray(delta[root]) || segments.length === 0) continue;
+
+            let target = delta[root];
+            while (segments.length > 1) {
+                const segment = segments.shift();
+                if (!target[segment] || typeof target[segment] !== 'object') {
+                    target[segment] = {};
+                }
+                target = target[segment];
+            }
+            target[segments[0]] = value;
+        }
+
+        for (const [playerId, player] of Object.entries(delta.PlayerInfo)) {
+            delta.PlayerInfo[playerId] = (player && player._id) || player;
+        }
+
+        for (const path of Object.keys(updates?.$unset || {})) {
+            delta.removed.push(path);
+        }
+
+        return delta;
+    }
+
+    static formatPlayerTotals(totals) {
+        const round = (value) => Math.round(value * 100) / 100;
+        const finishedBattles = totals.wins + totals.losses + totals.draws;
+        const average = (total) => totals.battles > 0 ? round(total / totals.battles) : 0;
+
+        return {
+            name: totals.name || 'Unknown Player',
+            battles: totals.battles,
+            wins: totals.wins,
+            losses: totals.losses,
+            draws: totals.draws,
+            winRate: finishedBattles > 0 ? round((totals.wins / finishedBattles) * 100) : 0,
+            totalDamage: totals.totalDamage,
+            averageDamage: average(totals.totalDamage),
+            totalKills: totals.totalKills,
+            averageKills: average(totals.totalKills),
+            totalPoints: totals.totalPoints,
+            averagePoints: average(totals.totalPoints),
+            firstBattleAt: totals.firstBattleAt,
+            lastBattleAt: totals.lastBattleAt
+        };
+    }
 }
 
 module.exports = DataTransformer;
\ No newline at end of file
@@ -0,0 +1,69 @@
+const BATTLE_RESULT = require('../config/battleResult');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+const EXPORT_COLUMNS = [
+    'battleId', 'startTime', 'duration', 'win', 'mapName',
+    'playerId', 'playerName', 'vehicle', 'damage', 'kills', 'points'
+];
+
+const WIN_LABELS = Object.fromEntries(
+    Object.entries(BATTLE_RESULT).map(([label, value]) => [value, label.toLowerCase()])
+);
+
+class ExportFormatter {
+    static get formats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    static getFormat(format) {
+        return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format) ? EXPORT_FORMATS[format] : null;
+    }
+
+    static toRecord(row) {
+        return {
+            battleId: row.battleId,
+            startTime: row.startTime,
+            duration: row.duration,
+            win: WIN_LABELS[row.win] || WIN_LABELS[BATTLE_RESULT.UNKNOWN],
+            mapName: row.mapName,
+            playerId: row.playerId,
+            playerName: row.name,
+            vehicle: row.vehicle,
+            damage: row.damage || 0,
+            kills: row.kills || 0,
+            points: row.points || 0
+        };
+    }
+
+    static escapeCsv(value) {
+        if (value === undefined || value === null) return '';
+
+        let text = String(value);
+        // Spreadsheet apps evaluate cells starting with these characters as formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static csvHeader() {
+        return `${EXPORT_COLUMNS.join(',')}\r\n`;
+    }
+
+    static formatRow(format, row) {
+        const record = this.toRecord(row);
+
+        if (format === 'ndjson') {
+            return `${JSON.stringify(record)}\n`;
+        }
+
+        return `${EXPORT_COLUMNS.map(column => this.escapeCsv(record[column])).join(',')}\r\n`;
+    }
+}
+
+module.exports = ExportFormatter;
\ No newline at end of file
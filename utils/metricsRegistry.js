@@ -0,0 +1,245 @@
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+
+const formatNumber = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+class Metric {
+    constructor(type, name, help, labelNames = [], options = {}) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collected = !!options.collected;
+        this.samples = new Map();
+    }
+
+    labelValues(labels = {}) {
+        return this.labelNames.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name]));
+    }
+
+    set(labels, value) {
+        const labelValues = this.labelValues(labels);
+        this.samples.set(JSON.stringify(labelValues), { labelValues, value });
+    }
+
+    reset() {
+        this.samples.clear();
+    }
+
+    sum(filter = {}) {
+        const matches = (labelValues) => Object.entries(filter)
+            .every(([name, value]) => labelValues[this.labelNames.indexOf(name)] === String(value));
+
+        return [...this.samples.values()]
+            .filter(sample => matches(sample.labelValues))
+            .reduce((total, sample) => total + sample.value, 0);
+    }
+
+    snapshot() {
+        return {
+            type: this.type,
+            name: this.name,
+            help: this.help,
+            labelNames: this.labelNames,
+            samples: [...this.samples.values()].map(({ labelValues, value }) => [labelValues, value])
+        };
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames, options) {
+        super('counter', name, help, labelNames, options);
+    }
+
+    inc(labels = {}, value = 1) {
+        const labelValues = this.labelValues(labels);
+        const id = JSON.stringify(labelValues);
+        const sample = this.samples.get(id);
+
+        if (sample) {
+            sample.value += value;
+        } else {
+            this.samples.set(id, { labelValues, value });
+        }
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames, options) {
+        super('gauge', name, help, labelNames, options);
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, options = {}) {
+        super('histogram', name, help, labelNames, options);
+        this.buckets = options.buckets || DEFAULT_BUCKETS;
+    }
+
+    observe(labels, value) {
+        const labelValues = this.labelValues(labels);
+        const id = JSON.stringify(labelValues);
+
+        if (!this.samples.has(id)) {
+            this.samples.set(id, {
+                labelValues,
+                value: { counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+            });
+        }
+
+        const histogram = this.samples.get(id).value;
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) histogram.counts[index]++;
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            this.observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+        };
+    }
+
+    snapshot() {
+        return { ...super.snapshot(), buckets: this.buckets };
+    }
+}
+
+class MetricsRegistry {
+    static get CONTENT_TYPE() {
+        return CONTENT_TYPE;
+    }
+
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Метрику ${metric.name} вже зареєстровано`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames = [], options = {}) {
+        return this.register(new Counter(name, help, labelNames, options));
+    }
+
+    gauge(name, help, labelNames = [], options = {}) {
+        return this.register(new Gauge(name, help, labelNames, options));
+    }
+
+    histogram(name, help, labelNames = [], options = {}) {
+        return this.register(new Histogram(name, help, labelNames, options));
+    }
+
+    addCollector(collector) {
+        this.collectors.push(collector);
+    }
+
+    snapshot() {
+        for (const metric of this.metrics.values()) {
+            if (metric.collected) metric.reset();
+        }
+
+        for (const collector of this.collectors) {
+            try {
+                collector();
+            } catch (error) {
+                console.error('Помилка збору метрик:', error);
+            }
+        }
+
+        return [...this.metrics.values()].map(metric => metric.snapshot());
+    }
+
+    static mergeValues(type, values) {
+        if (type === 'histogram') {
+            return values.reduce((total, value) => ({
+                counts: total.counts.map((count, index) => count + value.counts[index]),
+                sum: total.sum + value.sum,
+                count: total.count + value.count
+            }));
+        }
+
+        return values.reduce((total, value) => total + value, 0);
+    }
+
+    static merge(snapshots) {
+        const merged = new Map();
+
+        for (const snapshot of snapshots) {
+            for (const metric of snapshot) {
+                if (!merged.has(metric.name)) {
+                    merged.set(metric.name, { ...metric, grouped: new Map() });
+                }
+
+                const target = merged.get(metric.name);
+                for (const [labelValues, value] of metric.samples) {
+                    const id = JSON.stringify(labelValues);
+                    if (!target.grouped.has(id)) target.grouped.set(id, { labelValues, values: [] });
+                    target.grouped.get(id).values.push(value);
+                }
+            }
+        }
+
+        return [...merged.values()].map(({ grouped, ...metric }) => ({
+            ...metric,
+            samples: [...grouped.values()].map(({ labelValues, values }) => [
+                labelValues,
+                this.mergeValues(metric.type, values)
+            ])
+        }));
+    }
+
+    static formatLabels(labelNames, labelValues, extra = []) {
+        const pairs = [
+            ...labelNames.map((name, index) => [name, labelValues[index]]).filter(([, value]) => value !== ''),
+            ...extra
+        ];
+        return pairs.length > 0
+            ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+            : '';
+    }
+
+    static format(snapshot) {
+        const lines = [];
+
+        for (const metric of snapshot) {
+            lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+            for (const [labelValues, value] of metric.samples) {
+                if (metric.type !== 'histogram') {
+                    lines.push(`${metric.name}${this.formatLabels(metric.labelNames, labelValues)} ${formatNumber(value)}`);
+                    continue;
+                }
+
+                metric.buckets.forEach((bound, index) => {
+                    const labels = this.formatLabels(metric.labelNames, labelValues, [['le', formatNumber(bound)]]);
+                    lines.push(`${metric.name}_bucket${labels} ${value.counts[index]}`);
+                });
+                lines.push(`${metric.name}_bucket${this.formatLabels(metric.labelNames, labelValues, [['le', '+Inf']])} ${value.count}`);
+                lines.push(`${metric.name}_sum${this.formatLabels(metric.labelNames, labelValues)} ${formatNumber(value.sum)}`);
+                lines.push(`${metric.name}_count${this.formatLabels(metric.labelNames, labelValues)} ${value.count}`);
+            }
+        }
+
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+module.exports = MetricsRegistry;
\ No newline at end of file
@@ -0,0 +1,451 @@
+const PAYLOAD_SCHEMA = require('../config/payloadSchema');
+const API_DOCS = require('../config/apiDocs');
+const { SCOPES, ALL_SCOPES } = require('../config/scopes');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const mapOf = (schema, extra = {}) => ({ type: 'object', additionalProperties: schema, ...extra });
+
+const AUTH_ERRORS = {
+    client: { 401: ['UNKNOWN_ERROR'], 403: ['UNKNOWN_ERROR', 'INSUFFICIENT_SCOPE'] },
+    server: { 403: ['UNKNOWN_ERROR'] }
+};
+
+const FAMILIES = [
+    { basePath: '/api/battle-stats', name: 'client' },
+    { basePath: '/api/server', name: 'server' }
+];
+
+class OpenApiGenerator {
+    static fromRule(rule) {
+        const schema = { type: rule.type };
+
+        if (rule.enum) schema.enum = rule.enum;
+        if (rule.min !== undefined) schema.minimum = rule.min;
+        if (rule.max !== undefined) schema.maximum = rule.max;
+        if (rule.minLength !== undefined) schema.minLength = rule.minLength;
+        if (rule.maxLength !== undefined) schema.maxLength = rule.maxLength;
+        if (rule.default !== undefined && typeof rule.default !== 'function') schema.default = rule.default;
+
+        return schema;
+    }
+
+    static fromRules(rules) {
+        return object(Object.fromEntries(
+            Object.entries(rules).map(([field, rule]) => [field, this.fromRule(rule)])
+        ), { additionalProperties: false });
+    }
+
+    static buildSchemas() {
+        const { limits } = PAYLOAD_SCHEMA;
+        const success = (properties) => ({ allOf: [ref('SuccessEnvelope'), object(properties)] });
+        const battle = this.fromRules(PAYLOAD_SCHEMA.battle);
+        battle.properties.players = mapOf(ref('Player'), { maxProperties: limits.maxPlayersPerBattle });
+
+        return {
+            SuccessEnvelope: object({
+                success: { type: 'boolean', enum: [true] },
+                timestamp: { type: 'string', format: 'date-time' },
+                version: { type: 'string' }
+            }, { required: ['success', 'timestamp', 'version'] }),
+            ErrorResponse: object({
+                success: { type: 'boolean', enum: [false] },
+                timestamp: { type: 'string', format: 'date-time' },
+                version: { type: 'string' },
+                error: object({
+                    code: { type: 'string' },
+                    message: { type: 'string' },
+                    path: { type: 'string' },
+                    details: {}
+                }, { required: ['code', 'message'] })
+            }, { required: ['success', 'error'] }),
+            ValidationIssue: object({ path: { type: 'string' }, message: { type: 'string' } }),
+            Player: this.fromRules(PAYLOAD_SCHEMA.player),
+            Battle: battle,
+            StatsPayload: object({
+                schemaVersion: { type: 'integer', enum: [1, 2], description: 'Без поля — застаріла версія 1' },
+                BattleStats: mapOf(ref('Battle'), { maxProperties: limits.maxBattles }),
+                PlayerInfo: mapOf(this.fromRule(PAYLOAD_SCHEMA.playerInfo.nickname), { maxProperties: limits.maxPlayerInfo })
+            }, { description: `Ідентифікатори боїв і гравців мають відповідати ${limits.idPattern}` }),
+            QueuedUpdate: success({ message: { type: 'string' }, queueStats: object({}) }),
+            StatsResponse: success({
+                BattleStats: mapOf(ref('Battle')),
+                PlayerInfo: mapOf({}),
+                revision: { type: 'integer' },
+                nextCursor: { type: 'string', nullable: true },
+                pagination: object({}),
+                query: object({})
+            }),
+            PlayerTotals: object({
+                name: { type: 'string' },
+                battles: { type: 'integer' },
+                wins: { type: 'integer' },
+                losses: { type: 'integer' },
+                draws: { type: 'integer' },
+                winRate: { type: 'number' },
+                totalDamage: { type: 'number' },
+                averageDamage: { type: 'number' },
+                totalKills: { type: 'number' },
+                averageKills: { type: 'number' },
+                totalPoints: { type: 'number' },
+                averagePoints: { type: 'number' },
+                firstBattleAt: { type: 'number' },
+                lastBattleAt: { type: 'number' }
+            }),
+            PlayerSummaryResponse: success({
+                playerId: { type: 'string' },
+                found: { type: 'boolean' },
+                summary: ref('PlayerTotals')
+            }),
+            LeaderboardResponse: success({
+                metric: { type: 'string' },
+                range: object({ from: { type: 'number', nullable: true }, to: { type: 'number', nullable: true } }),
+                leaderboard: {
+                    type: 'array',
+                    items: { allOf: [object({ rank: { type: 'integer' }, playerId: { type: 'string' } }), ref('PlayerTotals')] }
+                }
+            }),
+            ImportSummary: object({
+                battles: mapOf({ type: 'integer' }),
+                players: mapOf({ type: 'integer' }),
+                playerInfo: mapOf({ type: 'integer' })
+            }),
+            ImportResult: success({
+                key: { type: 'string' },
+                strategy: { type: 'string' },
+                dryRun: { type: 'boolean' },
+                revision: { type: 'integer' },
+                summary: ref('ImportSummary')
+            }),
+            ImportJob: object({
+                id: { type: 'string' },
+                key: { type: 'string' },
+                status: { type: 'string', enum: ['queued', 'running', 'done', 'failed'] },
+                strategy: { type: 'string' },
+                dryRun: { type: 'boolean' },
+                totalBattles: { type: 'integer' },
+                processedBattles: { type: 'integer' },
+                progress: { type: 'integer', minimum: 0, maximum: 100 },
+                summary: { allOf: [ref('ImportSummary')], nullable: true },
+                revision: { type: 'integer', nullable: true },
+                error: { type: 'string', nullable: true }
+            }),
+            ImportJobResponse: success({
+                jobId: { type: 'string' },
+                statusUrl: { type: 'string' },
+                job: ref('ImportJob')
+            }),
+            Backup: object({
+                format: { type: 'string', enum: ['battle-stats-backup'] },
+                version: { type: 'integer', enum: [1] },
+                createdAt: { type: 'string', format: 'date-time' },
+                source: object({ key: { type: 'string' }, revision: { type: 'integer' } }),
+                counts: object({
+                    battles: { type: 'integer' },
+                    players: { type: 'integer' },
+                    playerInfo: { type: 'integer' }
+                }),
+                data: ref('StatsPayload'),
+                checksum: { type: 'string', pattern: '^sha256:[0-9a-f]{64}$' }
+            }, { required: ['format', 'version', 'data', 'checksum'] }),
+            RestoreResult: success({
+                mode: { type: 'string', enum: ['merge', 'replace'] },
+                revision: { type: 'integer' },
+                restored: object({ battles: { type: 'integer' }, playerInfo: { type: 'integer' } }),
+                verified: { type: 'boolean' }
+            }),
+            TrashEntry: object({
+                id: { type: 'string' },
+                key: { type: 'string' },
+                type: { type: 'string', enum: ['battle', 'stats'] },
+                status: { type: 'string', enum: ['pending', 'active'] },
+                battleId: { type: 'string', nullable: true },
+                battleCount: { type: 'integer' },
+                playerInfoCount: { type: 'integer' },
+                deletedAt: { type: 'string', format: 'date-time' },
+                expiresAt: { type: 'string', format: 'date-time' }
+            }),
+            TrashResult: success({
+                key: { type: 'string' },
+                trash: { allOf: [ref('TrashEntry')], nullable: true }
+            }),
+            TrashListResponse: success({ key: { type: 'string' }, entries: { type: 'array', items: ref('TrashEntry') } }),
+            TrashRestoreResult: success({
+                revision: { type: 'integer' },
+                restored: object({
+                    type: { type: 'string' },
+                    battleId: { type: 'string', nullable: true },
+                    battles: { type: 'integer' },
+                    playerInfo: { type: 'integer' }
+                })
+            }),
+            ViewerToken: success({
+                token: { type: 'string' },
+                expiresAt: { type: 'string', format: 'date-time' },
+                scopes: { type: 'array', items: { type: 'string', enum: [SCOPES.VIEW] } }
+            }),
+            DatabaseClearConfirmation: success({
+                confirmationRequired: { type: 'boolean' },
+                confirmationToken: { type: 'string' },
+                expiresAt: { type: 'string', format: 'date-time' }
+            }),
+            DatabaseClearResult: success({
+                snapshot: object({
+                    bucket: { type: 'string' },
+                    fileId: { type: 'string' },
+                    filename: { type: 'string' },
+                    keys: { type: 'integer' }
+                })
+            }),
+            ApiKey: object({
+                _id: { type: 'string' },
+                namespace: { type: 'string' },
+                label: { type: 'string' },
+                scopes: { type: 'array', items: { type: 'string', enum: ALL_SCOPES } },
+                status: { type: 'string', enum: ['active', 'revoked'] },
+                expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                revokedAt: { type: 'string', format: 'date-time', nullable: true },
+                rotatedFrom: { type: 'string', nullable: true },
+                rotatedTo: { type: 'string', nullable: true }
+            }),
+            ApiKeyInput: object({
+                label: { type: 'string', maxLength: 200 },
+                expiresAt: { type: 'string', format: 'date-time', nullable: true },
+                namespace: { type: 'string', description: 'Лише при створенні: спільний простір даних з існуючим ключем' },
+                scopes: { type: 'array', items: { type: 'string', enum: ALL_SCOPES }, minItems: 1 }
+            }),
+            ApiKeyResponse: success({ key: ref('ApiKey') }),
+            ApiKeyListResponse: success({ keys: { type: 'array', items: ref('ApiKey') }, count: { type: 'integer' } }),
+            ApiKeyRotation: success({ key: ref('ApiKey'), previous: ref('ApiKey') }),
+            AuditEntry: object({
+                id: { type: 'string' },
+                action: { type: 'string' },
+                key: { type: 'string', nullable: true },
+                status: { type: 'string', enum: ['pending', 'success', 'failed'] },
+                actor: object({
+                    key: { type: 'string', nullable: true },
+                    authType: { type: 'string', nullable: true },
+                    transport: { type: 'string', enum: ['http', 'websocket'] },
+                    ip: { type: 'string', nullable: true },
+                    socketId: { type: 'string', nullable: true },
+                    origin: { type: 'string', nullable: true }
+                }),
+                details: object({}),
+                error: { type: 'string', nullable: true },
+                timestamp: { type: 'string', format: 'date-time' }
+            }),
+            AuditLogResponse: success({
+                entries: { type: 'array', items: ref('AuditEntry') },
+                nextBefore: { type: 'string', nullable: true },
+                count: { type: 'integer' }
+            })
+        };
+    }
+
+    static toOpenApiPath(path) {
+        return path.replace(/:(\w+)/g, '{$1}');
+    }
+
+    static pathParameters(path) {
+        return [...path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+        }));
+    }
+
+    static security(route, family) {
+        if (route.secretOnly) return [{ SecretKey: [] }];
+        if (family === 'server' || route.requireSecret) return [{ SecretKey: [], ApiKey: [] }];
+
+        const security = [{ ApiKey: [] }];
+        if (route.scope === SCOPES.VIEW) {
+            security.push({ ViewerToken: [] }, { ViewerBearer: [] });
+        }
+        return security;
+    }
+
+    static errorResponse(codes) {
+        return {
+            description: `Коди помилок: ${codes.join(', ')}`,
+            'x-error-codes': codes,
+            content: { 'application/json': { schema: ref('ErrorResponse') } }
+        };
+    }
+
+    static responses(route, family, docs) {
+        const status = String(docs.status || 200);
+        const responses = {
+            [status]: {
+                description: 'Успішна відповідь',
+                content: docs.content || { 'application/json': { schema: docs.response ? ref(docs.response) : ref('SuccessEnvelope') } }
+            }
+        };
+
+        if (docs.accepted) {
+            responses['202'] = {
+                description: 'Запит прийнято',
+                content: { 'application/json': { schema: ref(docs.accepted) } }
+            };
+        }
+
+        const errors = {};
+        const addErrors = (source = {}) => Object.entries(source).forEach(([code, names]) => {
+            errors[code] = [...new Set([...(errors[code] || []), ...names])];
+        });
+
+        addErrors(route.secretOnly ? AUTH_ERRORS.server : AUTH_ERRORS[family]);
+        addErrors(docs.errors);
+        if (route.rateLimit) addErrors({ 429: ['RATE_LIMIT_EXCEEDED'] });
+        addErrors({ 429: ['UNKNOWN_ERROR'], 503: ['AUTH_UNAVAILABLE'] });
+
+        for (const code of Object.keys(errors).sort()) {
+            responses[code] = this.errorResponse(errors[code]);
+        }
+
+        return responses;
+    }
+
+    static operation(route, family) {
+        const docs = API_DOCS[`${route.method} ${route.path}`] || {};
+        const operation = {
+            tags: [docs.tag || 'Other'],
+            summary: docs.summary || `${route.method.toUpperCase()} ${route.path}`,
+            operationId: `${family}_${route.method}${route.path.replace(/[^a-zA-Z0-9]+(.)?/g, (match, next) => next ? next.toUpperCase() : '')}`,
+            security: this.security(route, family),
+            parameters: [
+                ...this.pathParameters(route.path),
+                ...(family === 'client' ? [{ $ref: '#/components/parameters/PlayerId' }] : []),
+                ...(docs.query || [])
+            ],
+            responses: this.responses(route, family, docs)
+        };
+
+        if (docs.description) operation.description = docs.description;
+        if (route.scope) operation['x-required-scope'] = route.scope;
+        if (route.rateLimit) operation['x-rate-limit'] = route.rateLimit;
+
+        if (docs.body) {
+            operation.requestBody = {
+                required: true,
+                content: { 'application/json': { schema: typeof docs.body === 'string' ? ref(docs.body) : docs.body } }
+            };
+        }
+
+        return operation;
+    }
+
+    static generate(routeBuilder, { title, version }) {
+        const paths = {};
+        const routesByFamily = {
+            client: routeBuilder.getRouteConfigs(),
+            server: [...routeBuilder.getRouteConfigs(), ...routeBuilder.getServerRouteConfigs()]
+        };
+
+        for (const { basePath, name } of FAMILIES) {
+            for (const route of routesByFamily[name]) {
+                if (typeof route.handler !== 'function') continue;
+
+                const path = `${basePath}${this.toOpenApiPath(route.path)}`;
+                paths[path] = { ...paths[path], [route.method]: this.operation(route, name) };
+            }
+        }
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title,
+                version,
+                description: 'Client API (/api/battle-stats) для оверлеїв і ботів та server-to-server API (/api/server).'
+            },
+            tags: [...new Set(Object.values(API_DOCS).map(docs => docs.tag))].map(name => ({ name })),
+            paths,
+            components: {
+                securitySchemes: {
+                    ApiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                    SecretKey: { type: 'apiKey', in: 'header', name: 'X-Secret-Key' },
+                    ViewerToken: { type: 'apiKey', in: 'header', name: 'X-Viewer-Token' },
+                    ViewerBearer: { type: 'http', scheme: 'bearer', description: 'Токен глядача в заголовку Authorization' }
+                },
+                parameters: {
+                    PlayerId: {
+                        name: 'X-Player-ID',
+                        in: 'header',
+                        required: false,
+                        schema: { type: 'string' },
+                        description: 'ID гравця, від імені якого надсилається запит'
+                    }
+                },
+                schemas: this.buildSchemas()
+            }
+        };
+    }
+
+    static escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    static renderHtml(document, specUrl) {
+        const escape = (value) => this.escapeHtml(value);
+        const schemaName = (schema) => schema?.$ref ? schema.$ref.split('/').pop() : '';
+        const sections = [];
+
+        for (const [path, methods] of Object.entries(document.paths)) {
+            for (const [method, operation] of Object.entries(methods)) {
+                const params = operation.parameters
+                    .filter(param => !param.$ref)
+                    .map(param => `<li><code>${escape(param.name)}</code> <em>${escape(param.in)}</em>${param.description ? ` — ${escape(param.description)}` : ''}</li>`)
+                    .join('');
+                const security = operation.security
+                    .map(requirement => Object.keys(requirement).join(' + '))
+                    .join(' або ');
+                const responses = Object.entries(operation.responses)
+                    .map(([code, response]) => {
+                        const schema = schemaName(Object.values(response.content || {})[0]?.schema);
+                        const codes = response['x-error-codes'] ? ` — ${response['x-error-codes'].map(escape).join(', ')}` : '';
+                        return `<li><strong>${escape(code)}</strong>${schema ? ` <code>${escape(schema)}</code>` : ''}${codes}</li>`;
+                    })
+                    .join('');
+                const body = schemaName(operation.requestBody?.content['application/json'].schema);
+
+                sections.push(`<section>
+<h3><span class="method ${escape(method)}">${escape(method.toUpperCase())}</span> <code>${escape(path)}</code></h3>
+<p>${escape(operation.summary)}</p>
+${operation.description ? `<p>${escape(operation.description)}</p>` : ''}
+<p><strong>Автентифікація:</strong> ${escape(security)}${operation['x-required-scope'] ? `, право <code>${escape(operation['x-required-scope'])}</code>` : ''}</p>
+${params ? `<p><strong>Параметри:</strong></p><ul>${params}</ul>` : ''}
+${body ? `<p><strong>Тіло запиту:</strong> <code>${escape(body)}</code></p>` : ''}
+<p><strong>Відповіді:</strong></p><ul>${responses}</ul>
+</section>`);
+            }
+        }
+
+        return `<!DOCTYPE html>
+<html lang="uk">
+<head>
+<meta charset="utf-8">
+<title>${escape(document.info.title)} ${escape(document.info.version)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+section { border-top: 1px solid #ddd; padding: .5rem 0; }
+code { background: #f4f4f4; padding: 0 .25rem; }
+.method { display: inline-block; min-width: 4.5rem; text-align: center; color: #fff; border-radius: 3px; background: #555; }
+.get { background: #2f7d32; } .post { background: #1565c0; } .delete { background: #c62828; } .patch { background: #ef6c00; }
+</style>
+</head>
+<body>
+<h1>${escape(document.info.title)} <small>${escape(document.info.version)}</small></h1>
+<p>${escape(document.info.description)}</p>
+<p>Специфікація OpenAPI: <a href="${escape(specUrl)}">${escape(specUrl)}</a></p>
+${sections.join('\n')}
+</body>
+</html>`;
+    }
+}
+
+module.exports = OpenApiGenerator;
\ No newline at end of file
@@ -52,10 +52,12 @@ class ResponseUtils {
         if (typeof callback === 'function') callback(response);
     }
 
-    static wsError(callback, statusCode, message, error = null) {
+    static wsError(callback, statusCode, message, error = null, code = null) {
         const errorObj = new Error(message);
         errorObj.statusCode = statusCode;
+        if (code) errorObj.code = code;
         if (error) errorObj.originalError = error;
+        if (error?.details) errorObj.details = error.details;
         
         const response = this.createErrorResponse(errorObj, null, statusCode);
         if (typeof callback === 'function') callback(response);
@@ -1,12 +1,27 @@
+const express = require('express');
 const { unifiedAuth } = require('../middleware/unifiedAuth');
 const { clientCors, serverCors } = require('../middleware/cors');
-const { version } = require('../package.json');
+const { name, version } = require('../package.json');
 const ResponseUtils = require('./responseUtils');
+const Validators = require('./validators');
+const ExportFormatter = require('./exportFormatter');
+const OpenApiGenerator = require('./openApiGenerator');
+const AsyncApiGenerator = require('./asyncApiGenerator');
+const { SCOPES } = require('../config/scopes');
+
+const RATE_LIMITS = {
+    heavyRead: { max: 10, windowSeconds: 60 },
+    import: { max: 10, windowSeconds: 60 },
+    delete: { max: 30, windowSeconds: 60 },
+    clearDatabase: { max: 3, windowSeconds: 300 }
+};
 
 class RouteBuilder {
-    constructor(app, controller) {
+    constructor(app, controller, apiKeyController = null, auditLogController = null) {
         this.app = app;
         this.controller = controller;
+        this.apiKeyController = apiKeyController;
+        this.auditLogController = auditLogController;
         
         if (!controller) {
             throw new Error('Controller is required for RouteBuilder');
@@ -48,6 +63,34 @@ class RouteBuilder {
         next();
     };
 
+    validateBattleQuery = (req, res, next) => {
+        const validation = Validators.validateBattleQuery(req.query);
+        if (!validation.isValid) {
+            return ResponseUtils.sendError(res, {
+                statusCode: 400,
+                code: 'INVALID_STATS_QUERY',
+                message: 'Некоректні параметри фільтрації',
+                details: validation.errors
+            });
+        }
+        req.battleQuery = validation.query;
+        next();
+    };
+
+    validateExportFormat = (req, res, next) => {
+        const format = req.query.format || 'csv';
+        if (!ExportFormatter.getFormat(format)) {
+            return ResponseUtils.sendError(res, {
+                statusCode: 400,
+                code: 'INVALID_EXPORT_FORMAT',
+                message: 'Непідтримуваний формат експорту',
+                details: [`Invalid format, expected one of: ${ExportFormatter.formats.join(', ')}`]
+            });
+        }
+        req.exportFormat = format;
+        next();
+    };
+
     validateBattleId = (req, res, next) => {
         if (!req.params.battleId) {
             return ResponseUtils.sendError(res, {
@@ -59,6 +102,31 @@ class RouteBuilder {
         next();
     };
 
+    validatePlayerIdParam = (req, res, next) => {
+        if (!req.params.playerId) {
+            return ResponseUtils.sendError(res, {
+                statusCode: 400,
+                code: 'MISSING_PLAYER_ID',
+                message: 'Відсутній ID гравця'
+            });
+        }
+        next();
+    };
+
+    validateLeaderboardQuery = (req, res, next) => {
+        const validation = Validators.validateLeaderboardOptions(req.query);
+        if (!validation.isValid) {
+            return ResponseUtils.sendError(res, {
+                statusCode: 400,
+                code: 'INVALID_LEADERBOARD_QUERY',
+                message: 'Некоректні параметри рейтингу',
+                details: validation.errors
+            });
+        }
+        req.leaderboard = validation.options;
+        next();
+    };
+
     asyncHandler = (fn) => {
         return (req, res, next) => {
             if (typeof fn !== 'function') {
@@ -79,46 +147,177 @@ class RouteBuilder {
                 method: 'post',
                 path: '/update-stats',
                 handler: this.controller.updateStats,
-                middleware: []
+                middleware: [],
+                scope: SCOPES.WRITE
             },
             {
                 method: 'get',
                 path: '/stats',
                 handler: this.controller.getStats,
-                middleware: [this.validatePagination]
+                middleware: [this.validatePagination, this.validateBattleQuery],
+                scope: SCOPES.VIEW
+            },
+            {
+                method: 'get',
+                path: '/players/:playerId/summary',
+                handler: this.controller.getPlayerSummary,
+                middleware: [this.validatePlayerIdParam],
+                scope: SCOPES.VIEW
+            },
+            {
+                method: 'get',
+                path: '/leaderboard',
+                handler: this.controller.getLeaderboard,
+                middleware: [this.validateLeaderboardQuery],
+                scope: SCOPES.VIEW
+            },
+            {
+                method: 'get',
+                path: '/export',
+                handler: this.controller.exportStats,
+                rateLimit: RATE_LIMITS.heavyRead,
+                middleware: [this.validateExportFormat, this.validateBattleQuery],
+                scope: SCOPES.READ
+            },
+            {
+                method: 'get',
+                path: '/jobs/:jobId',
+                handler: this.controller.getImportJob,
+                middleware: [],
+                scope: SCOPES.READ
+            },
+            {
+                method: 'get',
+                path: '/backup',
+                handler: this.controller.downloadBackup,
+                rateLimit: RATE_LIMITS.heavyRead,
+                middleware: [],
+                scope: SCOPES.READ
+            },
+            {
+                method: 'post',
+                path: '/restore',
+                handler: this.controller.restoreBackup,
+                rateLimit: RATE_LIMITS.import,
+                middleware: [],
+                scope: SCOPES.IMPORT
             },
             {
                 method: 'post',
                 path: '/import',
                 handler: this.controller.importStats,
-                middleware: []
+                rateLimit: RATE_LIMITS.import,
+                middleware: [],
+                scope: SCOPES.IMPORT
             },
             {
                 method: 'delete',
                 path: '/clear',
                 handler: this.controller.clearStats,
-                middleware: []
+                rateLimit: RATE_LIMITS.delete,
+                middleware: [],
+                scope: SCOPES.DELETE
             },
             {
                 method: 'delete',
                 path: '/battle/:battleId',
                 handler: this.controller.deleteBattle,
-                middleware: [this.validateBattleId]
+                rateLimit: RATE_LIMITS.delete,
+                middleware: [this.validateBattleId],
+                scope: SCOPES.DELETE
             },
+            {
+                method: 'get',
+                path: '/trash',
+                handler: this.controller.getTrash,
+                middleware: [],
+                scope: SCOPES.READ
+            },
+            {
+                method: 'post',
+                path: '/trash/:trashId/restore',
+                handler: this.controller.restoreFromTrash,
+                rateLimit: RATE_LIMITS.delete,
+                middleware: [],
+                scope: SCOPES.DELETE
+            },
+            ...(this.apiKeyController ? [{
+                method: 'post',
+                path: '/viewer-token',
+                handler: this.apiKeyController.createViewerToken,
+                middleware: [],
+                scope: SCOPES.READ
+            }] : []),
             {
                 method: 'delete',
                 path: '/clear-database',
                 handler: this.controller.clearDatabase,
+                rateLimit: RATE_LIMITS.clearDatabase,
                 middleware: [],
                 requireSecret: true
             }
         ];
     }
 
-    buildRoutes(basePath, headerMiddleware, corsMiddleware, requireSecret = false, isServerEndpoint = false) {
-        const routes = this.getRouteConfigs();
-        
-        routes.forEach(({ method, path, handler, middleware = [], requireSecret: routeRequireSecret = false }) => {
+    getServerRouteConfigs() {
+        return [
+            ...this.getKeyRouteConfigs(),
+            ...(this.auditLogController ? [{
+                method: 'get',
+                path: '/audit',
+                handler: this.auditLogController.getAuditLog,
+                middleware: [],
+                secretOnly: true
+            }] : [])
+        ];
+    }
+
+    getKeyRouteConfigs() {
+        if (!this.apiKeyController) return [];
+
+        return [
+            {
+                method: 'get',
+                path: '/keys',
+                handler: this.apiKeyController.listKeys,
+                middleware: [],
+                secretOnly: true
+            },
+            {
+                method: 'post',
+                path: '/keys',
+                handler: this.apiKeyController.createKey,
+                middleware: [],
+                secretOnly: true
+            },
+            {
+                method: 'patch',
+                path: '/keys/:key',
+                handler: this.apiKeyController.updateKey,
+                middleware: [],
+                secretOnly: true
+            },
+            {
+                method: 'post',
+                path: '/keys/:key/revoke',
+                handler: this.apiKeyController.revokeKey,
+                middleware: [],
+                secretOnly: true
+            },
+            {
+                method: 'post',
+                path: '/keys/:key/rotate',
+                handler: this.apiKeyController.rotateKey,
+                middleware: [],
+                secretOnly: true
+            }
+        ];
+    }
+
+    buildRoutes(basePath, headerMiddleware, corsMiddleware, requireSecret = false, isServerEndpoint = false, routes = this.getRouteConfigs()) {
+        const router = express.Router();
+
+        routes.forEach(({ method, path, handler, middleware = [], requireSecret: routeRequireSecret = false, secretOnly = false, scope = null, rateLimit = null }) => {
             try {
                 const fullPath = `${basePath}${path}`;
                 
@@ -127,19 +326,26 @@ class RouteBuilder {
                     return;
                 }
                 
+                const authMiddleware = secretOnly
+                    ? unifiedAuth.createSecretOnlyMiddleware()
+                    : unifiedAuth.createHttpMiddleware(requireSecret || routeRequireSecret, isServerEndpoint, scope);
+
                 const allMiddleware = [
                     corsMiddleware,
                     headerMiddleware,
-                    unifiedAuth.createHttpMiddleware(requireSecret || routeRequireSecret, isServerEndpoint),
+                    authMiddleware,
+                    ...(rateLimit ? [unifiedAuth.createRateLimitMiddleware(`${method}:${fullPath}`, rateLimit)] : []),
                     ...middleware
                 ];
 
-                this.app[method](fullPath, ...allMiddleware, this.asyncHandler(handler));
+                router[method](path, ...allMiddleware, this.asyncHandler(handler));
                 
             } catch (error) {
                 console.error(`Error registering route ${method} ${path}:`, error);
             }
         });
+
+        this.app.use(basePath, router);
     }
 
     buildClientRoutes() {
@@ -147,7 +353,40 @@ class RouteBuilder {
     }
 
     buildServerRoutes() {
-        this.buildRoutes('/api/server', this.addServerHeaders, serverCors, true, true);
+        this.buildRoutes('/api/server', this.addServerHeaders, serverCors, true, true, [
+            ...this.getRouteConfigs(),
+            ...this.getServerRouteConfigs()
+        ]);
+    }
+
+    getOpenApiDocument() {
+        if (!this.openApiDocument) {
+            this.openApiDocument = OpenApiGenerator.generate(this, { title: name, version });
+        }
+        return this.openApiDocument;
+    }
+
+    getAsyncApiDocument() {
+        if (!this.asyncApiDocument) {
+            this.asyncApiDocument = AsyncApiGenerator.generate({ title: `${name} socket`, version });
+        }
+        return this.asyncApiDocument;
+    }
+
+    buildDocsRoutes() {
+        const specPath = '/api/docs/openapi.json';
+
+        this.app.get(specPath, clientCors, (req, res) => {
+            res.json(this.getOpenApiDocument());
+        });
+
+        this.app.get('/api/docs/asyncapi.json', clientCors, (req, res) => {
+            res.json(this.getAsyncApiDocument());
+        });
+
+        this.app.get('/api/docs', (req, res) => {
+            res.type('html').send(OpenApiGenerator.renderHtml(this.getOpenApiDocument(), specPath));
+        });
     }
 }
 
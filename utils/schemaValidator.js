@@ -0,0 +1,83 @@
+class SchemaValidator {
+    static resolveDefault(rule) {
+        return typeof rule.default === 'function' ? rule.default() : rule.default;
+    }
+
+    static validateNumber(value, rule, path, errors) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push({ path, message: 'Must be a finite number' });
+            return undefined;
+        }
+
+        if (rule.type === 'integer' && !Number.isInteger(value)) {
+            errors.push({ path, message: 'Must be an integer' });
+            return undefined;
+        }
+
+        if (rule.min !== undefined && value < rule.min) {
+            errors.push({ path, message: `Must be greater than or equal to ${rule.min}` });
+            return undefined;
+        }
+
+        if (rule.max !== undefined && value > rule.max) {
+            errors.push({ path, message: `Must be less than or equal to ${rule.max}` });
+            return undefined;
+        }
+
+        return value;
+    }
+
+    static validateString(value, rule, path, errors) {
+        if (typeof value !== 'string') {
+            errors.push({ path, message: 'Must be a string' });
+            return undefined;
+        }
+
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push({ path, message: `Must be at least ${rule.minLength} characters long` });
+            return undefined;
+        }
+
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push({ path, message: `Must be at most ${rule.maxLength} characters long` });
+            return undefined;
+        }
+
+        return value;
+    }
+
+    static validateValue(value, rule, path, errors, applyDefaults = true) {
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ path, message: 'Is required' });
+            }
+            return applyDefaults ? this.resolveDefault(rule) : undefined;
+        }
+
+        const validated = rule.type === 'string'
+            ? this.validateString(value, rule, path, errors)
+            : this.validateNumber(value, rule, path, errors);
+
+        if (validated !== undefined && rule.enum && !rule.enum.includes(validated)) {
+            errors.push({ path, message: `Must be one of: ${rule.enum.join(', ')}` });
+            return undefined;
+        }
+
+        return validated;
+    }
+
+    static validateObject(source, rules, path, errors, transform = (value) => value, applyDefaults = true) {
+        const result = {};
+
+        for (const [field, rule] of Object.entries(rules)) {
+            const value = this.validateValue(transform(source[field], rule), rule, `${path}.${field}`, errors, applyDefaults);
+            if (value !== undefined) {
+                result[field] = value;
+            }
+        }
+
+        return result;
+    }
+}
+
+module.exports = SchemaValidator;
\ No newline at end of file
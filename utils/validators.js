@@ -1,4 +1,24 @@
+const BATTLE_RESULT = require('../config/battleResult');
+const CursorCodec = require('./cursorCodec');
+
+const LEADERBOARD_METRICS = ['damage', 'kills', 'points', 'averageDamage', 'winRate'];
+const MAX_LEADERBOARD_LIMIT = 100;
+const BATTLE_SORT_FIELDS = ['startTime', 'duration', 'totalDamage'];
+const MAX_FILTER_LENGTH = 100;
+
 class Validators {
+    static get leaderboardMetrics() {
+        return LEADERBOARD_METRICS;
+    }
+
+    static get maxLeaderboardLimit() {
+        return MAX_LEADERBOARD_LIMIT;
+    }
+
+    static get battleSortFields() {
+        return BATTLE_SORT_FIELDS;
+    }
+
     static validateBattleData(battleData) {
         return battleData && typeof battleData === 'object';
     }
@@ -27,6 +47,147 @@ class Validators {
         return errors;
     }
 
+    static parseTimeBoundary(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const numeric = Number(value);
+        if (!isNaN(numeric)) return numeric;
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? NaN : parsed;
+    }
+
+    static validateLeaderboardOptions(source = {}) {
+        const errors = [];
+        const metric = source.metric || 'damage';
+        const from = this.parseTimeBoundary(source.from);
+        const to = this.parseTimeBoundary(source.to);
+        const limit = source.limit !== undefined ? parseInt(source.limit) : 10;
+        const minBattles = source.minBattles !== undefined ? parseInt(source.minBattles) : 1;
+
+        if (!LEADERBOARD_METRICS.includes(metric)) {
+            errors.push(`Invalid metric, expected one of: ${LEADERBOARD_METRICS.join(', ')}`);
+        }
+
+        if (Number.isNaN(from)) {
+            errors.push('Invalid from');
+        }
+
+        if (Number.isNaN(to)) {
+            errors.push('Invalid to');
+        }
+
+        if (from !== null && to !== null && from > to) {
+            errors.push('from must not be greater than to');
+        }
+
+        if (isNaN(limit) || limit < 1 || limit > MAX_LEADERBOARD_LIMIT) {
+            errors.push(`Invalid limit, expected 1-${MAX_LEADERBOARD_LIMIT}`);
+        }
+
+        if (isNaN(minBattles) || minBattles < 1) {
+            errors.push('Invalid minBattles');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            options: { metric, from, to, limit, minBattles }
+        };
+    }
+
+    static parseWinFilter(value) {
+        if (value === undefined || value === null || value === '') return [];
+
+        const items = Array.isArray(value) ? value : String(value).split(',');
+        return items.map(item => {
+            const normalized = String(item).trim();
+            const named = BATTLE_RESULT[normalized.toUpperCase()];
+            if (named !== undefined) return named;
+            const numeric = Number(normalized);
+            return Object.values(BATTLE_RESULT).includes(numeric) ? numeric : NaN;
+        });
+    }
+
+    static validateBattleQuery(source = {}) {
+        const errors = [];
+        const win = this.parseWinFilter(source.win);
+        const from = this.parseTimeBoundary(source.from);
+        const to = this.parseTimeBoundary(source.to);
+        const minDuration = source.minDuration !== undefined ? Number(source.minDuration) : 0;
+        const sortField = source.sort || 'startTime';
+        const sortOrder = source.order || 'desc';
+
+        for (const field of ['mapName', 'playerId', 'vehicle']) {
+            const value = source[field];
+            if (value !== undefined && (typeof value !== 'string' && typeof value !== 'number' || String(value).length > MAX_FILTER_LENGTH)) {
+                errors.push(`Invalid ${field}`);
+            }
+        }
+
+        if (win.some(value => Number.isNaN(value))) {
+            errors.push('Invalid win, expected win, loss, draw, unknown or their numeric values');
+        }
+
+        if (Number.isNaN(from)) {
+            errors.push('Invalid from');
+        }
+
+        if (Number.isNaN(to)) {
+            errors.push('Invalid to');
+        }
+
+        if (from !== null && to !== null && from > to) {
+            errors.push('from must not be greater than to');
+        }
+
+        if (isNaN(minDuration) || minDuration < 0) {
+            errors.push('Invalid minDuration');
+        }
+
+        if (!BATTLE_SORT_FIELDS.includes(sortField)) {
+            errors.push(`Invalid sort, expected one of: ${BATTLE_SORT_FIELDS.join(', ')}`);
+        }
+
+        if (!['asc', 'desc'].includes(sortOrder)) {
+            errors.push('Invalid order, expected asc or desc');
+        }
+
+        let cursor = null;
+        if (source.cursor !== undefined && source.cursor !== null && source.cursor !== '') {
+            cursor = CursorCodec.decode(source.cursor);
+            if (!cursor) {
+                errors.push('Invalid cursor');
+            } else if (cursor.sort.field !== sortField || cursor.sort.order !== sortOrder) {
+                errors.push('Cursor does not match requested sort');
+            }
+        }
+
+        const filters = {};
+        if (source.mapName) filters.mapName = String(source.mapName);
+        if (win.length > 0) filters.win = win;
+        if (from !== null) filters.from = from;
+        if (to !== null) filters.to = to;
+        if (source.playerId) filters.playerId = String(source.playerId);
+        if (source.vehicle) filters.vehicle = String(source.vehicle);
+        if (minDuration > 0) filters.minDuration = minDuration;
+
+        return {
+            isValid: errors.length === 0,
+            errors,
+            query: {
+                filters,
+                sort: { field: sortField, order: sortOrder },
+                cursor: cursor ? { value: cursor.value, id: cursor.id } : null
+            }
+        };
+    }
+
+    static isDefaultBattleQuery(query = {}) {
+        const { filters = {}, sort = {} } = query;
+        return Object.keys(filters).length === 0 &&
+               (!sort.field || sort.field === 'startTime') &&
+               (!sort.order || sort.order === 'desc');
+    }
+
     static sanitizeBattleFields(battle) {
         return {
             duration: battle.duration || 0,